@@ -22,6 +22,17 @@ module.exports = {
     },
   },
   plugins: ['react-refresh'],
+  overrides: [
+    {
+      // The service worker template; vite.config.js fills in the globals
+      files: ['src/sw.js'],
+      env: { browser: false, serviceworker: true },
+      globals: {
+        __PRECACHE_URLS__: 'readonly',
+        __CACHE_VERSION__: 'readonly',
+      },
+    },
+  ],
   rules: {
     'react-refresh/only-export-components': [
       'warn',
@@ -1,15 +1,31 @@
 // Import React and hooks from the React library
 // useState: manages component state (data that can change)
 // useEffect: handles side effects (API calls, subscriptions, etc.)
-import React, { useState, useEffect } from 'react';
+// useRef: holds values that survive re-renders without causing one
+import React, { useState, useEffect, useRef } from 'react';
 
 import logger from './utils/logger.js';
 import errorHandler, { validators, errorUtils } from './utils/errorHandler.js';
 import api from './api/index.js';
-import { formatDateTime } from './utils/formatters.js';
+import { formatDateTime, getLocalDateString } from './utils/formatters.js';
+import { createIdempotencyKey } from './utils/idempotency.js';
+import { queueWorkout } from './utils/offlineQueue.js';
+import { startSyncEngine } from './utils/syncEngine.js';
+import { clearCachedApiResponses } from './utils/serviceWorker.js';
+import {
+  validateWorkoutPlan,
+  formatPlanError,
+} from '../../shared/planSchema.js';
+import { getPlanType, getPlanWeeks } from '../../shared/planSchedule.js';
 import LoginForm from './components/LoginForm.jsx';
 import ExerciseTracker from './components/ExerciseTracker.jsx';
 import CompleteWorkoutButton from './components/CompleteWorkoutButton.jsx';
+import PlanBrowser from './components/PlanBrowser.jsx';
+import PlanTemplates from './components/PlanTemplates.jsx';
+import PlanEditor from './components/PlanEditor.jsx';
+import Dashboard from './components/Dashboard.jsx';
+import GoalsPanel from './components/GoalsPanel.jsx';
+import SessionsPanel from './components/SessionsPanel.jsx';
 
 // Import icons from lucide-react icon library
 import {
@@ -24,21 +40,47 @@ import {
   Droplet,
   Trash2,
   Upload,
+  SkipBack,
+  SkipForward,
+  Pencil,
+  CloudOff,
+  BarChart3,
 } from 'lucide-react';
 
 // ==============================================
 // MAIN APP COMPONENT
 // ==============================================
 
+// How long to wait after the last set change before autosaving the draft
+const DRAFT_SAVE_DELAY = 1000;
+
+// History filters: date range (YYYY-MM-DD) and names to search for
+const EMPTY_HISTORY_FILTERS = { from: '', to: '', workout: '', exercise: '' };
+
 // Main App component - the root component that manages the entire application
 const App = () => {
   // Main application state
   const [user, setUser] = useState(null); // Current logged-in user (null if not logged in)
   const [isLogin, setIsLogin] = useState(true); // Whether login form shows login or register
-  const [currentView, setCurrentView] = useState('today'); // Current page ('today' or 'history')
+  const [currentView, setCurrentView] = useState('today'); // Current page ('today', 'weekly', 'history' or 'dashboard')
   const [todaysWorkout, setTodaysWorkout] = useState(null); // Today's workout data
-  const [workoutPlan, setWorkoutPlan] = useState([]); // Full workout plan
+  const [workoutPlan, setWorkoutPlan] = useState([]); // Full workout plan, as a list of weeks
+  const [planInfo, setPlanInfo] = useState(null); // Name and source of the active plan
+  const [savedPlans, setSavedPlans] = useState([]); // Every plan the user has stored
+  const [savedPlansLoading, setSavedPlansLoading] = useState(false);
+  const [busyPlanId, setBusyPlanId] = useState(null); // Plan currently being changed
+  const [planTemplates, setPlanTemplates] = useState([]); // Built-in plans to start from
+  const [planTemplatesLoading, setPlanTemplatesLoading] = useState(false);
+  const [adoptingTemplateId, setAdoptingTemplateId] = useState(null); // Template being adopted
+  const [editingPlan, setEditingPlan] = useState(false); // Whether the plan editor is open
+  const [savingPlan, setSavingPlan] = useState(false);
   const [workoutHistory, setWorkoutHistory] = useState([]); // Array of past workouts
+  const [historyCursor, setHistoryCursor] = useState(null); // Where the next page starts (null on the last page)
+  const [historyFilters, setHistoryFilters] = useState(EMPTY_HISTORY_FILTERS); // Filters applied to the list
+  const [historyFilterDraft, setHistoryFilterDraft] = useState(
+    EMPTY_HISTORY_FILTERS
+  ); // Filters being typed in
+  const [loadingMoreHistory, setLoadingMoreHistory] = useState(false);
   const [exerciseData, setExerciseData] = useState({}); // Current workout progress data
   const [loading, setLoading] = useState(false); // Global loading state
   const [deletingWorkoutId, setDeletingWorkoutId] = useState(null); // Track which workout is being deleted
@@ -46,29 +88,42 @@ const App = () => {
   const [showJsonGuide, setShowJsonGuide] = useState(false); // Track JSON guide visibility
   const [showLlmInstruction, setShowLlmInstruction] = useState(false); // Track LLM instruction visibility
   const [expandedWorkouts, setExpandedWorkouts] = useState(new Set()); // Set of currently expanded workouts
+  const [editingWorkout, setEditingWorkout] = useState(null); // Saved workout being corrected
+  const [editedExerciseData, setEditedExerciseData] = useState({}); // Its sets and notes, by exercise name
+  const [savingWorkoutEdit, setSavingWorkoutEdit] = useState(false);
+  const completionKeyRef = useRef(null); // Idempotency key for the workout being logged
+  const draftSaveRef = useRef({ timer: null, request: null }); // Autosave waiting to run, and the one in flight
+  const [pendingSyncCount, setPendingSyncCount] = useState(0); // Workouts waiting in the offline queue
+  const syncEngineRef = useRef(null); // Background sync for the offline queue
   const [error, setError] = useState(''); // error state
   const [success, setSuccess] = useState(''); // success state
   const [workoutCompleted, setWorkoutCompleted] = useState(false);
+  const [personalRecords, setPersonalRecords] = useState([]); // Set by the last completed workout
+  const [completedGoals, setCompletedGoals] = useState([]); // Met by the last completed workout
 
   // useEffect hook - runs side effects when component mounts or dependencies change
   // This effect runs once when the app starts (empty dependency array [])
   useEffect(() => {
     const checkAuth = async () => {
-      const token = localStorage.getItem('authToken');
-      if (!token) return; // No token, stay logged out
+      if (!api.hasSession()) return; // No tokens, stay logged out
 
       try {
-        // Actually validate the token with your backend
+        // Actually validate the token with your backend (refreshing it
+        // first if it has expired)
         const userData = await api.validateToken();
         setUser(userData); // Set real user data from backend
       } catch (error) {
         console.error('Token validation failed:', error);
         // Token is invalid/expired - clean up and stay logged out
-        localStorage.removeItem('authToken');
+        api.clearSession();
       }
     };
 
     checkAuth();
+
+    // Signed out from another device, or the session ran out
+    api.onSessionExpired(clearUserState);
+    return () => api.onSessionExpired(null);
   }, []);
 
   // This effect runs whenever user or currentView changes
@@ -79,15 +134,101 @@ const App = () => {
     }
     if (user && currentView === 'weekly') {
       loadWorkoutPlan();
+      loadSavedPlans();
+      loadPlanTemplates();
     }
   }, [user, currentView]); // Dependencies: runs when user or currentView changes
 
+  // Replay workouts saved offline while someone is logged in
+  useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
+
+    // Workouts the server kept refusing are gone from the queue; say which
+    const reportDropped = dropped => {
+      const workouts = dropped
+        .map(
+          entry =>
+            `${entry.workoutData.workout?.name || 'Workout'} (${
+              entry.workoutData.date
+            }): ${entry.lastError}`
+        )
+        .join('\n');
+      alert(
+        `The server turned down these workouts saved on this device, so they were removed:\n${workouts}`
+      );
+    };
+
+    const engine = startSyncEngine(user.id, setPendingSyncCount, reportDropped);
+    syncEngineRef.current = engine;
+
+    return () => {
+      engine.stop();
+      syncEngineRef.current = null;
+      setPendingSyncCount(0);
+    };
+  }, [user]);
+
+  // Autosave the session in progress so a refresh, or another device, can
+  // pick it up. Waits for a pause in typing before saving.
+  useEffect(() => {
+    if (!todaysWorkout || Object.keys(exerciseData).length === 0) {
+      return undefined;
+    }
+
+    const timer = setTimeout(() => {
+      draftSaveRef.current.timer = null;
+      draftSaveRef.current.request = api
+        .saveWorkoutDraft({
+          date: todaysWorkout.date,
+          workoutName:
+            todaysWorkout.workout?.name || getWorkoutName(todaysWorkout),
+          exercises: exerciseData,
+        })
+        .catch(() => {}); // Already logged; the next change tries again
+    }, DRAFT_SAVE_DELAY);
+    draftSaveRef.current.timer = timer;
+
+    return () => clearTimeout(timer);
+  }, [exerciseData]);
+
+  // Cancel an autosave that hasn't gone out yet and wait for one in flight,
+  // so neither can land after the workout is logged and bring its draft back
+  const settleDraftSave = async () => {
+    clearTimeout(draftSaveRef.current.timer);
+    draftSaveRef.current.timer = null;
+    await draftSaveRef.current.request;
+  };
+
+  // Drop the autosaved draft. Failing only leaves a stale draft behind.
+  const discardWorkoutDraft = () =>
+    api.deleteWorkoutDraft().catch(error => {
+      logger.warn('Could not delete workout draft', { error: error.message });
+    });
+
   // Function to load today's workout from the API
   const loadTodaysWorkout = async () => {
     try {
       setLoading(true); // Show loading indicator
-      const workout = await api.getTodaysWorkout();
+      const [workout, { draft }] = await Promise.all([
+        api.getTodaysWorkout(),
+        // A missing draft shouldn't stop today's workout from loading
+        api.getWorkoutDraft().catch(() => ({ draft: null })),
+      ]);
       console.log('Received workout data:', workout); // Debug log for development
+
+      // Resume a session in progress, possibly started on another device.
+      // Sets already entered on this page are newer than the saved draft.
+      if (
+        draft &&
+        draft.date === workout.date &&
+        draft.workoutName === (workout.workout?.name || getWorkoutName(workout))
+      ) {
+        setExerciseData(prev =>
+          Object.keys(prev).length > 0 ? prev : draft.exercises
+        );
+      }
       setTodaysWorkout(workout);
     } catch (error) {
       console.error('Failed to load workout:', error);
@@ -102,13 +243,39 @@ const App = () => {
       setLoading(true);
       const week = await api.getWeeklyWorkouts();
 
-      // Transform schedule object to an array
-      const days = Object.entries(week.plan.schedule).map(([day, workout]) => ({
-        day, // "monday", "tuesday", etc.
-        workout,
-      }));
-
-      setWorkoutPlan(days);
+      // Transform each week's schedule object to an array of days.
+      // Rotation plans are shown as one list of numbered days.
+      const weeks =
+        getPlanType(week.plan) === 'rotation'
+          ? [
+              {
+                number: 1,
+                name: week.plan.name,
+                days: week.plan.rotation.map((workout, index) => ({
+                  day: `Day ${index + 1}`,
+                  workout,
+                  isNext: index === week.nextRotationIndex,
+                })),
+              },
+            ]
+          : getPlanWeeks(week.plan).map((planWeek, index) => ({
+              number: index + 1,
+              name: planWeek.name,
+              days: Object.entries(planWeek.schedule).map(([day, workout]) => ({
+                day, // "monday", "tuesday", etc.
+                workout,
+              })),
+            }));
+
+      setWorkoutPlan(weeks);
+      setPlanInfo({
+        plan: week.plan,
+        planId: week.planId,
+        name: week.planName,
+        source: week.planSource,
+        startDate: week.startDate,
+        currentWeek: week.currentWeek,
+      });
     } catch (error) {
       console.error('Failed to load weekly workouts:', error);
     } finally {
@@ -116,13 +283,134 @@ const App = () => {
     }
   };
 
-  // Function to load workout history from API
-  const loadWorkoutHistory = async () => {
+  // Function to load the list of saved plans for the plan browser
+  const loadSavedPlans = async () => {
+    try {
+      setSavedPlansLoading(true);
+      const result = await api.getWorkoutPlans();
+      setSavedPlans(result.plans || []);
+    } catch (error) {
+      console.error('Failed to load saved plans:', error);
+    } finally {
+      setSavedPlansLoading(false);
+    }
+  };
+
+  // Plan browser actions - each one refreshes the plan list afterwards
+  const activateSavedPlan = async plan => {
+    try {
+      setBusyPlanId(plan.id);
+      await api.activateWorkoutPlan(plan.id);
+      await Promise.all([loadSavedPlans(), loadWorkoutPlan()]);
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'plan activation'));
+    } finally {
+      setBusyPlanId(null);
+    }
+  };
+
+  const renameSavedPlan = async plan => {
+    const name = window.prompt('Rename workout plan:', plan.name);
+    if (!name || !name.trim() || name.trim() === plan.name) {
+      return; // Cancelled or unchanged
+    }
+
+    try {
+      setBusyPlanId(plan.id);
+      await api.renameWorkoutPlan(plan.id, name.trim());
+      await loadSavedPlans();
+      if (plan.active) {
+        await loadWorkoutPlan();
+      }
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'plan rename'));
+    } finally {
+      setBusyPlanId(null);
+    }
+  };
+
+  const deleteSavedPlan = async plan => {
+    const confirmed = window.confirm(
+      plan.active
+        ? `"${plan.name}" is your active plan. Delete it and go back to the default plan?`
+        : `Are you sure you want to delete "${plan.name}"? This action cannot be undone.`
+    );
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      setBusyPlanId(plan.id);
+      await api.deleteWorkoutPlan(plan.id);
+      await loadSavedPlans();
+      if (plan.active) {
+        await loadWorkoutPlan();
+      }
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'plan deletion'));
+    } finally {
+      setBusyPlanId(null);
+    }
+  };
+
+  // Function to load the built-in plan templates
+  const loadPlanTemplates = async () => {
+    try {
+      setPlanTemplatesLoading(true);
+      const result = await api.getPlanTemplates();
+      setPlanTemplates(result.templates || []);
+    } catch (error) {
+      console.error('Failed to load plan templates:', error);
+    } finally {
+      setPlanTemplatesLoading(false);
+    }
+  };
+
+  // Copy a template into the user's plans; it becomes the active plan
+  const adoptPlanTemplate = async template => {
+    const confirmed = window.confirm(
+      `Start "${template.name}"? It will replace your current active plan (you can switch back from Saved Plans).`
+    );
+    if (!confirmed) {
+      return;
+    }
+
+    try {
+      setAdoptingTemplateId(template.id);
+      await api.adoptPlanTemplate(template.id);
+      await Promise.all([loadWorkoutPlan(), loadSavedPlans()]);
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'plan template adoption'));
+    } finally {
+      setAdoptingTemplateId(null);
+    }
+  };
+
+  // Save the plan editor's changes. Edits to the default plan are stored
+  // as a new plan of the user's own; errors go back to the editor.
+  const savePlanEdits = async planData => {
+    try {
+      setSavingPlan(true);
+      if (planInfo?.source === 'user' && planInfo.planId) {
+        await api.updateWorkoutPlan(planInfo.planId, planData.name, planData);
+      } else {
+        await api.uploadWorkoutPlan(planData.name, planData);
+      }
+      await Promise.all([loadWorkoutPlan(), loadSavedPlans()]);
+      setEditingPlan(false);
+    } finally {
+      setSavingPlan(false);
+    }
+  };
+
+  // Function to load the first page of workout history from API
+  const loadWorkoutHistory = async (filters = historyFilters) => {
     try {
       setLoading(true);
-      const history = await api.getWorkoutHistory();
+      const history = await api.getWorkoutHistory(filters);
       console.log('Received history data:', history); // Debug log
       setWorkoutHistory(history.workouts || []);
+      setHistoryCursor(history.nextCursor || null);
     } catch (error) {
       console.error('Failed to load workout history:', error);
       // You might want to show an error message to the user
@@ -131,6 +419,46 @@ const App = () => {
     }
   };
 
+  // Append the next page of history, with the same filters
+  const loadMoreHistory = async () => {
+    if (!historyCursor) return;
+
+    try {
+      setLoadingMoreHistory(true);
+      const history = await api.getWorkoutHistory({
+        ...historyFilters,
+        cursor: historyCursor,
+      });
+      setWorkoutHistory(prevHistory => [
+        ...prevHistory,
+        ...(history.workouts || []),
+      ]);
+      setHistoryCursor(history.nextCursor || null);
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'load more history'));
+    } finally {
+      setLoadingMoreHistory(false);
+    }
+  };
+
+  const applyHistoryFilters = event => {
+    event.preventDefault();
+    setHistoryFilters(historyFilterDraft);
+    loadWorkoutHistory(historyFilterDraft);
+  };
+
+  const clearHistoryFilters = () => {
+    setHistoryFilterDraft(EMPTY_HISTORY_FILTERS);
+    setHistoryFilters(EMPTY_HISTORY_FILTERS);
+    loadWorkoutHistory(EMPTY_HISTORY_FILTERS);
+  };
+
+  const updateHistoryFilter = (field, value) => {
+    setHistoryFilterDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const hasHistoryFilters = Object.values(historyFilters).some(Boolean);
+
   const toggleWorkoutExpanded = workoutId => {
     setExpandedWorkouts(prev => {
       const newSet = new Set(prev);
@@ -145,6 +473,79 @@ const App = () => {
     });
   };
 
+  // Open a saved workout for editing, starting from the latest copy on the server
+  const startEditingWorkout = async workoutId => {
+    try {
+      const { workout } = await api.getWorkout(workoutId);
+      const exercises = workout.workout_data?.exercises || [];
+
+      // ExerciseTracker inputs need every field present
+      setEditedExerciseData(
+        Object.fromEntries(
+          exercises.map(exercise => [
+            exercise.name,
+            {
+              sets: exercise.sets.map(set =>
+                exercise.type === 'time'
+                  ? { time: set.time ?? '', notes: set.notes ?? '' }
+                  : { reps: set.reps ?? '', weight: set.weight ?? '' }
+              ),
+              notes: exercise.notes || '',
+            },
+          ])
+        )
+      );
+      setEditingWorkout(workout);
+      setExpandedWorkouts(prev => new Set(prev).add(workoutId));
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'workout edit'));
+    }
+  };
+
+  const updateEditedExercise = (exerciseName, data) => {
+    setEditedExerciseData(prev => ({ ...prev, [exerciseName]: data }));
+  };
+
+  const cancelEditingWorkout = () => {
+    setEditingWorkout(null);
+    setEditedExerciseData({});
+  };
+
+  // Save corrections to a completed workout and swap it into the history list
+  const saveWorkoutEdits = async () => {
+    const exercises = (editingWorkout.workout_data?.exercises || []).map(
+      exercise => {
+        const data = editedExerciseData[exercise.name] || {};
+        return {
+          name: exercise.name,
+          type: exercise.type,
+          // Drop sets left completely empty
+          sets: (data.sets || []).filter(set =>
+            exercise.type === 'time'
+              ? set.time !== ''
+              : set.reps !== '' || set.weight !== ''
+          ),
+          notes: data.notes || '',
+        };
+      }
+    );
+
+    try {
+      setSavingWorkoutEdit(true);
+      const { workout } = await api.updateWorkout(editingWorkout.id, {
+        exercises,
+      });
+      setWorkoutHistory(prevHistory =>
+        prevHistory.map(item => (item.id === workout.id ? workout : item))
+      );
+      cancelEditingWorkout();
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'workout update'));
+    } finally {
+      setSavingWorkoutEdit(false);
+    }
+  };
+
   // Function to handle workout plan file upload with comprehensive validation
   const handleWorkoutPlanUpload = async event => {
     const file = event.target.files[0];
@@ -212,79 +613,41 @@ const App = () => {
         return;
       }
 
-      // Additional workout plan validation
-      try {
-        // Validate plan structure
-        if (!planData.name || typeof planData.name !== 'string') {
-          throw new Error('Workout plan must have a valid name');
-        }
-
-        if (!planData.schedule || typeof planData.schedule !== 'object') {
-          throw new Error('Workout plan must have a schedule object');
-        }
-
-        // Validate each day in schedule
-        const validDays = [
-          'monday',
-          'tuesday',
-          'wednesday',
-          'thursday',
-          'friday',
-          'saturday',
-          'sunday',
-        ];
-        const planDays = Object.keys(planData.schedule);
-
-        if (planDays.length === 0) {
-          throw new Error('Schedule must contain at least one day');
-        }
-
-        for (const day of planDays) {
-          if (!validDays.includes(day.toLowerCase())) {
-            throw new Error(
-              `Invalid day "${day}". Use: ${validDays.join(', ')}`
-            );
-          }
-
-          const dayWorkout = planData.schedule[day];
-          if (dayWorkout && dayWorkout.exercises) {
-            // Validate exercises
-            for (const exercise of dayWorkout.exercises) {
-              if (!exercise.name) {
-                throw new Error(`Exercise missing name in ${day}`);
-              }
-              if (!exercise.type || !['reps', 'time'].includes(exercise.type)) {
-                throw new Error(
-                  `Exercise "${exercise.name}" must have type "reps" or "time"`
-                );
-              }
-              if (!exercise.sets || exercise.sets < 1) {
-                throw new Error(
-                  `Exercise "${exercise.name}" must have at least 1 set`
-                );
-              }
-            }
-          }
-        }
-
-        // Log validation success
-        logger.info('Workout plan validation successful', {
-          planName: planData.name,
-          dayCount: planDays.length,
-          totalExercises: planDays.reduce((total, day) => {
-            return total + (planData.schedule[day]?.exercises?.length || 0);
-          }, 0),
-        });
-      } catch (validationError) {
-        const message = `Invalid workout plan: ${validationError.message}`;
-        setUploadStatus(message);
-        logger.error('Workout plan validation failed', validationError, {
+      // Validate against the same plan schema the server enforces
+      const { valid, errors } = validateWorkoutPlan(planData);
+      if (!valid) {
+        const message = `Invalid workout plan: ${formatPlanError(errors[0])}`;
+        setUploadStatus(
+          errors.length > 1
+            ? `${message} (and ${errors.length - 1} more issue${
+                errors.length > 2 ? 's' : ''
+              })`
+            : message
+        );
+        logger.warn('Workout plan validation failed', {
           fileName: file.name,
+          errors: errors.map(formatPlanError),
         });
         setTimeout(() => setUploadStatus(''), 8000);
         return;
       }
 
+      // Log validation success
+      const planWeeks = getPlanWeeks(planData);
+      logger.info('Workout plan validation successful', {
+        planName: planData.name,
+        weekCount: planWeeks.length,
+        totalExercises: planWeeks.reduce((total, planWeek) => {
+          return (
+            total +
+            Object.values(planWeek.schedule).reduce(
+              (weekTotal, day) => weekTotal + (day?.exercises?.length || 0),
+              0
+            )
+          );
+        }, 0),
+      });
+
       setUploadStatus('Uploading to server...');
 
       // Upload to backend with retry mechanism
@@ -305,7 +668,7 @@ const App = () => {
 
         // Reload data based on current view
         if (currentView === 'weekly' && typeof loadWorkoutPlan === 'function') {
-          await loadWorkoutPlan();
+          await Promise.all([loadWorkoutPlan(), loadSavedPlans()]);
         }
         if (currentView === 'today') {
           await loadTodaysWorkout();
@@ -313,10 +676,10 @@ const App = () => {
 
         logger.debug('Data refresh completed successfully');
       } catch (uploadError) {
-        const message = errorHandler.handleApiError(
-          uploadError,
-          'workout plan upload'
-        );
+        // Schema errors from the server already name the offending field
+        const message = uploadError.message?.startsWith('Invalid workout plan')
+          ? uploadError.message
+          : errorHandler.handleApiError(uploadError, 'workout plan upload');
         setUploadStatus(`Upload failed: ${message}`);
 
         // Provide additional help for network errors
@@ -382,11 +745,19 @@ const App = () => {
     setUser(userData);
   };
 
-  // Function to log out the user
-  const handleLogout = () => {
-    localStorage.removeItem('authToken'); // Remove token from storage
+  // Forget everything that belonged to the signed-in user
+  const clearUserState = () => {
+    clearCachedApiResponses(); // Cached plan and workout belong to this user
     setUser(null); // Clear user state
     setCurrentView('today'); // Reset to default view
+    setHistoryFilters(EMPTY_HISTORY_FILTERS); // Filters belong to this user's session
+    setHistoryFilterDraft(EMPTY_HISTORY_FILTERS);
+  };
+
+  // Function to log out the user
+  const handleLogout = () => {
+    api.logout(); // Ends this device's session and removes the tokens
+    clearUserState();
   };
 
   // Function to update exercise data during workout
@@ -398,6 +769,22 @@ const App = () => {
     }));
   };
 
+  // Function to move a rotation plan forward or back without logging a session
+  const skipRotationDay = async direction => {
+    try {
+      setLoading(true);
+      await api.skipRotation(direction);
+      setExerciseData({}); // Sets entered belong to the day being skipped
+      completionKeyRef.current = null;
+      discardWorkoutDraft();
+      await loadTodaysWorkout();
+    } catch (error) {
+      alert(errorHandler.handleApiError(error, 'rotation skip'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
   // Function to save completed workout to backend with better error handling
   const completeWorkout = async () => {
     if (!todaysWorkout) {
@@ -414,17 +801,27 @@ const App = () => {
       return;
     }
 
+    // One key per session: retries and repeat taps reuse it, so a request
+    // that reached the server but lost its response is not saved twice
+    if (!completionKeyRef.current) {
+      completionKeyRef.current = createIdempotencyKey();
+    }
+
     // Prepare workout data in the format expected by the API
     const workoutData = {
-      date: new Date().toISOString().split('T')[0],
+      date: getLocalDateString(),
       workout: {
         name: todaysWorkout.workout?.name || getWorkoutName(todaysWorkout),
       },
       exercises: Object.entries(exerciseData).map(([name, data]) => ({
         name,
+        type: getExercises(todaysWorkout).find(e => e.name === name)?.type,
         sets: data.sets || [],
         notes: data.notes || '',
       })),
+      // Lets the server advance rotation plans to the next day
+      rotationIndex: todaysWorkout.rotation?.index,
+      idempotencyKey: completionKeyRef.current,
     };
 
     // Validate workout data structure
@@ -453,6 +850,9 @@ const App = () => {
     }
 
     setLoading(true);
+    setPersonalRecords([]);
+    setCompletedGoals([]);
+    await settleDraftSave();
     logger.userAction('Attempting to complete workout', {
       workoutName: workoutData.workout.name,
       exerciseCount: workoutData.exercises.length,
@@ -466,7 +866,10 @@ const App = () => {
 
       // Success! Set completion state for button animation
       setWorkoutCompleted(true); // This will show the checkmark
+      setPersonalRecords(result.personalRecords || []); // Shown until dismissed
+      setCompletedGoals(result.completedGoals || []);
       setExerciseData({}); // Clear current workout data
+      completionKeyRef.current = null; // The next session gets a fresh key
 
       // Reload today's workout (might be different now)
       await loadTodaysWorkout();
@@ -485,13 +888,23 @@ const App = () => {
       );
       setError(userMessage);
 
-      // If it's a network error, suggest they try again
+      // If it's a network error, keep the workout on this device and let
+      // the sync engine send it when the connection is back
       if (errorUtils.isNetworkError(error)) {
-        setError(
-          userMessage +
-            ' Your workout data has been saved locally and will be retried when connection is restored.'
-        );
-        // In a real app, you might implement offline storage here
+        try {
+          await queueWorkout(user.id, workoutData);
+          setExerciseData({});
+          completionKeyRef.current = null;
+          discardWorkoutDraft(); // Syncing the workout clears it too
+          syncEngineRef.current?.sync(); // Refreshes the pending count
+
+          alert(
+            'No connection right now. Your workout is saved on this device and will sync automatically when you are back online.'
+          );
+        } catch (queueError) {
+          logger.error('Could not queue workout for sync', queueError);
+          alert(userMessage);
+        }
       }
 
       // Clear error message after 10 seconds
@@ -553,8 +966,26 @@ const App = () => {
             </div>
             {/* User info and logout */}
             <div className="flex items-center space-x-4">
-              <User className="text-gray-600" size={20} />
-              <span className="text-gray-700 font-medium">{user.username}</span>
+              {/* Offline workouts waiting to reach the server */}
+              {pendingSyncCount > 0 && (
+                <button
+                  onClick={() => syncEngineRef.current?.sync()}
+                  className="flex items-center px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800 hover:bg-yellow-200 transition-colors"
+                  title="Saved on this device and not yet sent to the server. Click to retry now."
+                >
+                  <CloudOff className="mr-1" size={14} />
+                  {pendingSyncCount} pending sync
+                </button>
+              )}
+              {/* Opens the list of signed-in devices */}
+              <button
+                onClick={() => setCurrentView('sessions')}
+                className="flex items-center text-gray-700 hover:text-gray-900"
+                title="Signed-in devices"
+              >
+                <User className="text-gray-600 mr-2" size={20} />
+                <span className="font-medium">{user.username}</span>
+              </button>
               <button
                 onClick={handleLogout}
                 className="flex items-center text-gray-600 hover:text-gray-800"
@@ -612,6 +1043,18 @@ const App = () => {
               <Calendar className="inline mr-2" size={16} />
               History
             </button>
+            {/* Dashboard tab */}
+            <button
+              onClick={() => setCurrentView('dashboard')}
+              className={`py-4 px-2 border-b-2 font-medium text-sm ${
+                currentView === 'dashboard'
+                  ? 'border-blue-500 text-blue-600'
+                  : 'border-transparent text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              <BarChart3 className="inline mr-2" size={16} />
+              Dashboard
+            </button>
           </div>
         </div>
       </nav>
@@ -656,14 +1099,45 @@ const App = () => {
                   <p className="text-blue-700">
                     {getExercises(todaysWorkout).length} exercises planned
                   </p>
+                  {todaysWorkout.rotation && (
+                    <div className="flex items-center gap-3 mt-2">
+                      <p className="text-sm text-blue-600">
+                        Day {todaysWorkout.rotation.position} of{' '}
+                        {todaysWorkout.rotation.total} in rotation
+                      </p>
+                      <button
+                        onClick={() => skipRotationDay('back')}
+                        className="flex items-center px-2 py-1 text-xs font-medium text-blue-700 bg-blue-100 hover:bg-blue-200 rounded transition-colors"
+                        title="Go back one day"
+                      >
+                        <SkipBack className="mr-1" size={12} />
+                        Back
+                      </button>
+                      <button
+                        onClick={() => skipRotationDay('forward')}
+                        className="flex items-center px-2 py-1 text-xs font-medium text-blue-700 bg-blue-100 hover:bg-blue-200 rounded transition-colors"
+                        title="Skip to the next day"
+                      >
+                        Skip
+                        <SkipForward className="ml-1" size={12} />
+                      </button>
+                    </div>
+                  )}
+                  {todaysWorkout.week && (
+                    <p className="text-sm text-blue-600 mt-1">
+                      {todaysWorkout.week.name} · week{' '}
+                      {todaysWorkout.week.number} of {todaysWorkout.week.total}
+                    </p>
+                  )}
                 </div>
 
                 {/* Exercise trackers - one for each exercise */}
                 <div className="space-y-4">
                   {getExercises(todaysWorkout).map((exercise, index) => (
                     <ExerciseTracker
-                      key={index} // React key for list items
+                      key={`${index}-${exercise.name}`} // New trackers when the workout changes
                       exercise={exercise}
+                      initialData={exerciseData[exercise.name]}
                       onUpdate={updateExerciseData}
                     />
                   ))}
@@ -675,6 +1149,12 @@ const App = () => {
                     onComplete={completeWorkout}
                     loading={loading}
                     completed={workoutCompleted}
+                    personalRecords={personalRecords}
+                    completedGoals={completedGoals}
+                    onDismissAchievements={() => {
+                      setPersonalRecords([]);
+                      setCompletedGoals([]);
+                    }}
                     exerciseCount={getExercises(todaysWorkout).length}
                   />
                 )}
@@ -704,6 +1184,74 @@ const App = () => {
               Workout History
             </h2>
 
+            {/* Filters: date range, workout name and exercise name */}
+            <form
+              onSubmit={applyHistoryFilters}
+              className="bg-white rounded-lg shadow-md p-4 mb-6"
+            >
+              <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-3">
+                <label className="block text-sm">
+                  <span className="block text-gray-600 mb-1">Workout</span>
+                  <input
+                    type="text"
+                    value={historyFilterDraft.workout}
+                    onChange={e =>
+                      updateHistoryFilter('workout', e.target.value)
+                    }
+                    placeholder="Push Day"
+                    className="w-full border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+                <label className="block text-sm">
+                  <span className="block text-gray-600 mb-1">Exercise</span>
+                  <input
+                    type="text"
+                    value={historyFilterDraft.exercise}
+                    onChange={e =>
+                      updateHistoryFilter('exercise', e.target.value)
+                    }
+                    placeholder="Bench Press"
+                    className="w-full border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+                <label className="block text-sm">
+                  <span className="block text-gray-600 mb-1">From</span>
+                  <input
+                    type="date"
+                    value={historyFilterDraft.from}
+                    onChange={e => updateHistoryFilter('from', e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+                <label className="block text-sm">
+                  <span className="block text-gray-600 mb-1">To</span>
+                  <input
+                    type="date"
+                    value={historyFilterDraft.to}
+                    onChange={e => updateHistoryFilter('to', e.target.value)}
+                    className="w-full border border-gray-300 rounded-md px-2 py-1 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+              </div>
+              <div className="flex justify-end gap-2 mt-3">
+                {hasHistoryFilters && (
+                  <button
+                    type="button"
+                    onClick={clearHistoryFilters}
+                    className="px-3 py-1 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+                  >
+                    Clear
+                  </button>
+                )}
+                <button
+                  type="submit"
+                  className="px-3 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+                >
+                  Apply filters
+                </button>
+              </div>
+            </form>
+
             {/* Loading indicator for history */}
             {loading && (
               <div className="text-center py-8">
@@ -716,6 +1264,7 @@ const App = () => {
             <div className="space-y-4">
               {workoutHistory.map((workout, index) => {
                 const isExpanded = expandedWorkouts.has(workout.id);
+                const isEditing = editingWorkout?.id === workout.id;
                 const exercises = workout.workout_data?.exercises || [];
 
                 return (
@@ -746,6 +1295,19 @@ const App = () => {
                         </div>
 
                         <div className="text-right relative">
+                          {/* Edit button */}
+                          <button
+                            onClick={e => {
+                              e.stopPropagation();
+                              startEditingWorkout(workout.id);
+                            }}
+                            disabled={isEditing}
+                            className="absolute top-0 right-8 p-1 text-gray-400 hover:text-blue-500 transition-colors duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                            title="Edit workout"
+                          >
+                            <Pencil size={16} />
+                          </button>
+
                           {/* Delete button */}
                           <button
                             onClick={e => {
@@ -800,10 +1362,47 @@ const App = () => {
                         <div className="p-6">
                           <h4 className="text-lg font-semibold text-gray-800 mb-4 flex items-center gap-2">
                             <span className="w-1 h-6 bg-blue-500 rounded"></span>
-                            Workout Details
+                            {isEditing ? 'Edit Workout' : 'Workout Details'}
                           </h4>
 
-                          {exercises.length === 0 ? (
+                          {isEditing ? (
+                            <div>
+                              {(
+                                editingWorkout.workout_data?.exercises || []
+                              ).map(exercise => (
+                                <ExerciseTracker
+                                  key={exercise.name}
+                                  exercise={{
+                                    name: exercise.name,
+                                    type: exercise.type,
+                                  }}
+                                  initialData={
+                                    editedExerciseData[exercise.name]
+                                  }
+                                  onUpdate={updateEditedExercise}
+                                />
+                              ))}
+
+                              <div className="flex items-center gap-3">
+                                <button
+                                  onClick={saveWorkoutEdits}
+                                  disabled={savingWorkoutEdit}
+                                  className="px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                                >
+                                  {savingWorkoutEdit
+                                    ? 'Saving...'
+                                    : 'Save changes'}
+                                </button>
+                                <button
+                                  onClick={cancelEditingWorkout}
+                                  disabled={savingWorkoutEdit}
+                                  className="px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md border border-gray-300 font-medium transition-colors disabled:opacity-50"
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </div>
+                          ) : exercises.length === 0 ? (
                             <p className="text-gray-500 italic">
                               No exercises recorded for this workout.
                             </p>
@@ -882,20 +1481,59 @@ const App = () => {
               })}
             </div>
 
+            {/* Next page of history */}
+            {historyCursor && !loading && (
+              <div className="text-center mt-6">
+                <button
+                  onClick={loadMoreHistory}
+                  disabled={loadingMoreHistory}
+                  className="px-4 py-2 text-sm font-medium text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:text-gray-400 disabled:bg-gray-100 rounded-md transition-colors"
+                >
+                  {loadingMoreHistory ? 'Loading...' : 'Load more'}
+                </button>
+              </div>
+            )}
+
             {/* Empty state for history */}
             {workoutHistory.length === 0 && !loading && (
               <div className="text-center py-12">
                 <Calendar className="mx-auto text-gray-400 mb-4" size={48} />
                 <h3 className="text-lg font-medium text-gray-900 mb-2">
-                  No workouts completed yet
+                  {hasHistoryFilters
+                    ? 'No workouts match these filters'
+                    : 'No workouts completed yet'}
                 </h3>
                 <p className="text-gray-600">
-                  Complete your first workout to see it here!
+                  {hasHistoryFilters
+                    ? 'Try a wider date range or a different name.'
+                    : 'Complete your first workout to see it here!'}
                 </p>
               </div>
             )}
           </div>
         )}
+        {/* SESSIONS VIEW */}
+        {currentView === 'sessions' && (
+          <div>
+            <h2 className="text-3xl font-bold text-gray-900 mb-8">
+              Your account
+            </h2>
+            <SessionsPanel />
+          </div>
+        )}
+
+        {/* DASHBOARD VIEW */}
+        {currentView === 'dashboard' && (
+          <div>
+            <h2 className="text-3xl font-bold text-gray-900 mb-8">Dashboard</h2>
+            {/* Loads its own data each time the tab is opened */}
+            <Dashboard />
+            <div className="mt-6">
+              <GoalsPanel />
+            </div>
+          </div>
+        )}
+
         {/* WORKOUT PLAN VIEW */}
         {currentView === 'weekly' && (
           <div>
@@ -980,6 +1618,36 @@ const App = () => {
   }
 }`}
                       </pre>
+                      <p className="text-xs text-gray-600 mt-2">
+                        Multi-week programs: replace{' '}
+                        <code>&quot;schedule&quot;</code> with{' '}
+                        <code>
+                          &quot;weeks&quot;: [{'{'} &quot;name&quot;: &quot;Week
+                          1&quot;, &quot;schedule&quot;: {'{...}'} {'}'}, ...]
+                        </code>{' '}
+                        and optionally add{' '}
+                        <code>
+                          &quot;start_date&quot;: &quot;YYYY-MM-DD&quot;
+                        </code>
+                        . Weeks count from the start date (or the day the plan
+                        was activated) and repeat after the last one unless you
+                        add <code>&quot;repeat&quot;: false</code>.
+                      </p>
+                      <p className="text-xs text-gray-600 mt-2">
+                        Rotation programs (Day A / Day B / Day C): use{' '}
+                        <code>
+                          &quot;rotation&quot;: [{'{'} &quot;name&quot;:
+                          &quot;Day A&quot;, &quot;exercises&quot;: [...] {'}'},
+                          ...]
+                        </code>{' '}
+                        instead. Each session picks up after the last one you
+                        completed, whatever the weekday.
+                      </p>
+                      <p className="text-xs text-gray-600 mt-2">
+                        Rest days with light activities (walking, stretching):
+                        add <code>&quot;rest&quot;: true</code> to the day so
+                        skipping it doesn&apos;t break your streak.
+                      </p>
                     </div>
 
                     {/* LLM Instruction Section */}
@@ -1004,7 +1672,7 @@ const App = () => {
                             Copy this instruction to your AI:
                           </p>
                           <pre className="text-xs text-gray-600 whitespace-pre-wrap bg-blue-50 p-2 rounded border">
-                            {`OUTPUT INSTRUCTION: Format your response as a valid JSON object with this exact structure: \`{"name": "Plan Name", "schedule": {"monday": {"name": "Workout Name", "exercises": [{"name": "Exercise Name", "sets": number, "target_reps": "rep range or count", "type": "reps", "notes": "instructions"}, {"name": "Time Exercise", "sets": number, "target_time": "duration", "type": "time", "notes": "instructions"}]}, "tuesday": {...}, "wednesday": {...}, "thursday": {...}, "friday": {...}, "saturday": {...}, "sunday": {...}}}\`. RULES: (1) Include all 7 days (monday-sunday lowercase), (2) Each exercise MUST have "name", "sets", "type", and "notes" fields, (3) Use "target_reps" for type:"reps" exercises, "target_time" for type:"time" exercises, (4) Only use type:"reps" or type:"time", (5) Rest days should have light activities like stretching, (6) Output ONLY the JSON with no additional text.`}
+                            {`OUTPUT INSTRUCTION: Format your response as a valid JSON object with this exact structure: \`{"name": "Plan Name", "schedule": {"monday": {"name": "Workout Name", "exercises": [{"name": "Exercise Name", "sets": number, "target_reps": "rep range or count", "type": "reps", "notes": "instructions"}, {"name": "Time Exercise", "sets": number, "target_time": "duration", "type": "time", "notes": "instructions"}]}, "tuesday": {...}, "wednesday": {...}, "thursday": {...}, "friday": {...}, "saturday": {...}, "sunday": {...}}}\`. RULES: (1) Include all 7 days (monday-sunday lowercase), (2) Each exercise MUST have "name", "sets", "type", and "notes" fields, (3) Use "target_reps" for type:"reps" exercises, "target_time" for type:"time" exercises, (4) Only use type:"reps" or type:"time", (5) Rest days should have "rest": true and light activities like stretching, (6) Output ONLY the JSON with no additional text.`}
                           </pre>
                         </div>
                       )}
@@ -1014,89 +1682,184 @@ const App = () => {
               )}
             </div>
 
+            {/* Saved plans - switch back to an earlier upload */}
+            <PlanBrowser
+              plans={savedPlans}
+              loading={savedPlansLoading}
+              busyPlanId={busyPlanId}
+              onActivate={activateSavedPlan}
+              onRename={renameSavedPlan}
+              onDelete={deleteSavedPlan}
+            />
+
+            {/* Plan templates - start from a ready-made plan */}
+            <PlanTemplates
+              templates={planTemplates}
+              loading={planTemplatesLoading}
+              adoptingId={adoptingTemplateId}
+              onAdopt={adoptPlanTemplate}
+            />
+
             {/* Current Plan Display - EXISTING CODE WITH ENHANCEMENTS */}
             <div className="bg-white rounded-lg shadow-md p-6 mb-6">
-              <h3 className="text-xl font-semibold text-gray-800 mb-4">
-                <Clock className="inline mr-2" size={20} />
-                Current Active Plan
-              </h3>
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-xl font-semibold text-gray-800">
+                  <Clock className="inline mr-2" size={20} />
+                  Current Active Plan
+                </h3>
+                {!editingPlan && planInfo?.plan && (
+                  <button
+                    onClick={() => setEditingPlan(true)}
+                    className="flex items-center px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm font-medium transition-colors"
+                  >
+                    <Pencil className="mr-1" size={14} />
+                    Edit plan
+                  </button>
+                )}
+              </div>
 
-              {/* Plan Info */}
-              {workoutPlan.length > 0 && (
-                <div className="mb-4 p-4 bg-blue-50 rounded-md">
-                  <p className="text-sm font-medium text-blue-800">
-                    Plan Source:{' '}
-                    {todaysWorkout?.planSource === 'user'
-                      ? 'Custom Upload'
-                      : 'Default Plan'}
-                  </p>
-                  {todaysWorkout?.planName && (
-                    <p className="text-sm text-blue-700">
-                      Plan Name: {todaysWorkout.planName}
-                    </p>
+              {/* Plan editor - replaces the plan display while open */}
+              {editingPlan && planInfo?.plan ? (
+                <PlanEditor
+                  plan={planInfo.plan}
+                  saving={savingPlan}
+                  onSave={savePlanEdits}
+                  onCancel={() => setEditingPlan(false)}
+                />
+              ) : (
+                <>
+                  {/* Plan Info */}
+                  {workoutPlan.length > 0 && (
+                    <div className="mb-4 p-4 bg-blue-50 rounded-md">
+                      <p className="text-sm font-medium text-blue-800">
+                        Plan Source:{' '}
+                        {planInfo?.source === 'user'
+                          ? 'Custom Upload'
+                          : 'Default Plan'}
+                      </p>
+                      {planInfo?.name && (
+                        <p className="text-sm text-blue-700">
+                          Plan Name: {planInfo.name}
+                        </p>
+                      )}
+                      {workoutPlan.length > 1 && (
+                        <p className="text-sm text-blue-700">
+                          {workoutPlan.length}-week program
+                          {planInfo?.startDate &&
+                            ` started ${planInfo.startDate}`}
+                          {planInfo?.currentWeek &&
+                            ` · currently in week ${planInfo.currentWeek}`}
+                        </p>
+                      )}
+                    </div>
                   )}
-                </div>
-              )}
 
-              {loading && (
-                <div className="text-center py-8">
-                  <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-                  <p className="mt-4 text-gray-600">Loading weekly plan...</p>
-                </div>
-              )}
+                  {loading && (
+                    <div className="text-center py-8">
+                      <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+                      <p className="mt-4 text-gray-600">
+                        Loading weekly plan...
+                      </p>
+                    </div>
+                  )}
 
-              <div className="space-y-4">
-                {workoutPlan.map((entry, index) => (
-                  <details
-                    key={index}
-                    className="bg-white border border-gray-200 rounded-lg p-4"
-                  >
-                    <summary className="cursor-pointer text-lg font-semibold text-gray-800 hover:text-blue-600">
-                      {entry.day.charAt(0).toUpperCase() + entry.day.slice(1)} -{' '}
-                      {entry.workout?.name || 'Unnamed Workout'}
-                    </summary>
+                  <div className="space-y-6">
+                    {workoutPlan.map(planWeek => {
+                      const isCurrentWeek =
+                        workoutPlan.length > 1 &&
+                        planWeek.number === planInfo?.currentWeek;
 
-                    <div className="mt-4 space-y-2">
-                      {entry.workout?.exercises?.map((exercise, i) => (
+                      return (
                         <div
-                          key={i}
-                          className="border border-gray-200 rounded p-3 bg-gray-50"
+                          key={planWeek.number}
+                          className={
+                            workoutPlan.length > 1
+                              ? `rounded-lg border-2 p-4 ${
+                                  isCurrentWeek
+                                    ? 'border-blue-400 bg-blue-50'
+                                    : 'border-gray-200'
+                                }`
+                              : ''
+                          }
                         >
-                          <h4 className="font-medium text-gray-800">
-                            {exercise.name}
-                          </h4>
-                          <p className="text-sm text-gray-600">
-                            {exercise.type === 'time'
-                              ? `${exercise.sets} sets × ${exercise.target_time}`
-                              : `${exercise.sets} sets × ${exercise.target_reps} reps`}
-                          </p>
-                          {exercise.notes && (
-                            <p className="text-sm italic text-gray-500 mt-1">
-                              {exercise.notes}
-                            </p>
+                          {/* Week header - only for multi-week programs */}
+                          {workoutPlan.length > 1 && (
+                            <h4 className="text-lg font-semibold text-gray-800 mb-3 flex items-center gap-2">
+                              {planWeek.name}
+                              {isCurrentWeek && (
+                                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                  Current week
+                                </span>
+                              )}
+                            </h4>
                           )}
+
+                          <div className="space-y-4">
+                            {planWeek.days.map((entry, index) => (
+                              <details
+                                key={index}
+                                className="bg-white border border-gray-200 rounded-lg p-4"
+                              >
+                                <summary className="cursor-pointer text-lg font-semibold text-gray-800 hover:text-blue-600">
+                                  {entry.day.charAt(0).toUpperCase() +
+                                    entry.day.slice(1)}{' '}
+                                  - {entry.workout?.name || 'Unnamed Workout'}
+                                  {entry.isNext && (
+                                    <span className="ml-2 inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                                      Up next
+                                    </span>
+                                  )}
+                                </summary>
+
+                                <div className="mt-4 space-y-2">
+                                  {entry.workout?.exercises?.map(
+                                    (exercise, i) => (
+                                      <div
+                                        key={i}
+                                        className="border border-gray-200 rounded p-3 bg-gray-50"
+                                      >
+                                        <h4 className="font-medium text-gray-800">
+                                          {exercise.name}
+                                        </h4>
+                                        <p className="text-sm text-gray-600">
+                                          {exercise.type === 'time'
+                                            ? `${exercise.sets} sets × ${exercise.target_time}`
+                                            : `${exercise.sets} sets × ${exercise.target_reps} reps`}
+                                        </p>
+                                        {exercise.notes && (
+                                          <p className="text-sm italic text-gray-500 mt-1">
+                                            {exercise.notes}
+                                          </p>
+                                        )}
+                                      </div>
+                                    )
+                                  )}
+                                  {!entry.workout?.exercises?.length && (
+                                    <p className="text-sm text-gray-500">
+                                      No exercises planned.
+                                    </p>
+                                  )}
+                                </div>
+                              </details>
+                            ))}
+                          </div>
                         </div>
-                      ))}
-                      {!entry.workout?.exercises?.length && (
-                        <p className="text-sm text-gray-500">
-                          No exercises planned.
-                        </p>
-                      )}
-                    </div>
-                  </details>
-                ))}
-              </div>
+                      );
+                    })}
+                  </div>
 
-              {workoutPlan.length === 0 && !loading && (
-                <div className="text-center py-12">
-                  <Clock className="mx-auto text-gray-400 mb-4" size={48} />
-                  <h3 className="text-lg font-medium text-gray-900 mb-2">
-                    No workouts planned this week
-                  </h3>
-                  <p className="text-gray-600">
-                    Upload a custom workout plan above to get started!
-                  </p>
-                </div>
+                  {workoutPlan.length === 0 && !loading && (
+                    <div className="text-center py-12">
+                      <Clock className="mx-auto text-gray-400 mb-4" size={48} />
+                      <h3 className="text-lg font-medium text-gray-900 mb-2">
+                        No workouts planned this week
+                      </h3>
+                      <p className="text-gray-600">
+                        Upload a custom workout plan above to get started!
+                      </p>
+                    </div>
+                  )}
+                </>
               )}
             </div>
           </div>
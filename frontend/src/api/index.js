@@ -6,14 +6,149 @@ import logger from '../utils/logger.js';
 // Base URL for your backend API server
 const API_BASE_URL = '/api';
 
+// The device's IANA timezone (e.g. "America/Chicago") so the server can work
+// out which day "today" is for this user
+const getTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Where the login session is kept. The access token is short-lived; the
+// refresh token gets a new one and is itself replaced each time.
+const ACCESS_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// A refresh already under way, shared so parallel requests that all hit an
+// expired token only refresh once
+let refreshPromise = null;
+
+// Called when the server ends the session (signed out from another device,
+// or the refresh token expired)
+let sessionExpiredHandler = null;
+
 // API service object - contains all functions for communicating with backend
 const api = {
   // Helper function to get authorization headers for authenticated requests
   getAuthHeaders: () => {
     // Get JWT token from browser's localStorage
-    const token = localStorage.getItem('authToken');
+    const token = localStorage.getItem(ACCESS_TOKEN_KEY);
     // Return headers object with Authorization header if token exists
-    return token ? { Authorization: `Bearer ${token}` } : {};
+    return token
+      ? { Authorization: `Bearer ${token}`, 'X-Timezone': getTimeZone() }
+      : {};
+  },
+
+  // Remember the tokens from login, register or refresh
+  storeSession: ({ token, refreshToken }) => {
+    localStorage.setItem(ACCESS_TOKEN_KEY, token);
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  },
+
+  clearSession: () => {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  },
+
+  hasSession: () =>
+    !!(
+      localStorage.getItem(ACCESS_TOKEN_KEY) ||
+      localStorage.getItem(REFRESH_TOKEN_KEY)
+    ),
+
+  onSessionExpired: handler => {
+    sessionExpiredHandler = handler;
+  },
+
+  // Fetch with the current access token. When the server says it has
+  // expired (401), refresh once and retry with the new one.
+  authFetch: async (url, options = {}) => {
+    const send = () =>
+      fetch(url, {
+        ...options,
+        headers: { ...options.headers, ...api.getAuthHeaders() },
+      });
+
+    const response = await send();
+    if (response.status !== 401 || !localStorage.getItem(REFRESH_TOKEN_KEY)) {
+      return response;
+    }
+
+    return (await api.refreshSession()) ? send() : response;
+  },
+
+  // REFRESH SESSION - trades the refresh token for new tokens. Resolves
+  // true when there is a fresh access token to use.
+  refreshSession: () => {
+    if (!refreshPromise) {
+      refreshPromise = api.requestNewTokens().finally(() => {
+        refreshPromise = null;
+      });
+    }
+    return refreshPromise;
+  },
+
+  requestNewTokens: async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) return false;
+
+    logger.debug('Refreshing access token');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('POST', '/auth/refresh', response.status);
+
+      if (response.ok) {
+        api.storeSession(data);
+        logger.debug('Access token refreshed');
+        return true;
+      }
+
+      // Another tab may have used the same refresh token a moment earlier
+      // and stored the new pair already
+      if (localStorage.getItem(REFRESH_TOKEN_KEY) !== refreshToken) {
+        return true;
+      }
+
+      if (response.status === 401) {
+        logger.warn('Session ended by the server', {
+          httpStatus: response.status,
+        });
+        api.clearSession();
+        sessionExpiredHandler?.();
+      }
+      return false;
+    } catch (error) {
+      // Offline: keep the tokens and try again later
+      logger.error('Token refresh error', error);
+      return false;
+    }
+  },
+
+  // LOGOUT FUNCTION - ends this device's session on the server. Local
+  // tokens are cleared even if the server can't be reached.
+  logout: async () => {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    logger.userAction('Logout');
+    api.clearSession();
+    if (!refreshToken) return;
+
+    logger.apiCall('POST', '/auth/logout');
+
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/logout`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      logger.apiResponse('POST', '/auth/logout', response.status);
+    } catch (error) {
+      logger.error('Logout request failed', error);
+    }
   },
 
   // LOGIN FUNCTION - sends credentials to backend
@@ -25,7 +160,7 @@ const api = {
       const response = await fetch(`${API_BASE_URL}/auth/login`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify({ username, password, timezone: getTimeZone() }),
       });
 
       const data = await response.json();
@@ -40,7 +175,10 @@ const api = {
           username,
           httpStatus: response.status,
         });
-        throw new Error(data.error || 'Login failed');
+        const error = new Error(data.error || 'Login failed');
+        // Seconds until another attempt is allowed, when throttled (429)
+        error.retryAfter = data.retryAfter;
+        throw error;
       }
 
       logger.info('User logged in successfully', { username });
@@ -56,7 +194,7 @@ const api = {
     logger.debug('Validating authentication token');
 
     try {
-      const response = await fetch(`${API_BASE_URL}/auth/validate`, {
+      const response = await api.authFetch(`${API_BASE_URL}/auth/validate`, {
         headers: api.getAuthHeaders(),
       });
 
@@ -86,7 +224,7 @@ const api = {
       const response = await fetch(`${API_BASE_URL}/auth/register`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify({ username, password, timezone: getTimeZone() }),
       });
 
       const data = await response.json();
@@ -117,7 +255,7 @@ const api = {
     logger.startTimer('workout-fetch');
 
     try {
-      const response = await fetch(`${API_BASE_URL}/workouts/today`, {
+      const response = await api.authFetch(`${API_BASE_URL}/workouts/today`, {
         headers: api.getAuthHeaders(),
       });
 
@@ -153,7 +291,7 @@ const api = {
     logger.startTimer('weekly-workouts-fetch');
 
     try {
-      const response = await fetch(`${API_BASE_URL}/workouts/plan`, {
+      const response = await api.authFetch(`${API_BASE_URL}/workouts/plan`, {
         headers: api.getAuthHeaders(),
       });
 
@@ -175,6 +313,8 @@ const api = {
       logger.info('Successfully fetched weekly workout plan', {
         planName: data.plan?.name || 'Unknown',
         daysCount: dayCount,
+        weekCount: data.plan?.weeks?.length || 1,
+        currentWeek: data.currentWeek,
       });
 
       return data;
@@ -191,12 +331,11 @@ const api = {
     logger.apiCall('POST', '/workouts/upload-plan', { planName: name });
 
     try {
-      const token = localStorage.getItem('authToken');
-      const response = await fetch('/api/workouts/upload-plan', {
+      const response = await api.authFetch('/api/workouts/upload-plan', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          Authorization: `Bearer ${token}`,
+          ...api.getAuthHeaders(),
         },
         body: JSON.stringify({
           name,
@@ -228,6 +367,305 @@ const api = {
     }
   },
 
+  // GET SAVED WORKOUT PLANS - lists every plan the user has stored
+  getWorkoutPlans: async () => {
+    logger.debug('Fetching saved workout plans');
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/workouts/plans`, {
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/workouts/plans', response.status);
+
+      if (!response.ok) {
+        logger.error('Failed to fetch workout plans', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to load workout plans');
+      }
+
+      logger.info('Successfully fetched workout plans', {
+        planCount: data.plans?.length || 0,
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Workout plans fetch failed', error);
+      throw error;
+    }
+  },
+
+  // ACTIVATE WORKOUT PLAN - switches the active plan to a saved one
+  activateWorkoutPlan: async planId => {
+    logger.userAction('Activate Workout Plan', { planId });
+    logger.apiCall('POST', `/workouts/plans/${planId}/activate`);
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/plans/${planId}/activate`,
+        {
+          method: 'POST',
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse(
+        'POST',
+        `/workouts/plans/${planId}/activate`,
+        response.status
+      );
+
+      if (!response.ok) {
+        logger.error('Workout plan activation failed', new Error(data.error), {
+          planId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to activate workout plan');
+      }
+
+      logger.info('Workout plan activated', { planId });
+      return data;
+    } catch (error) {
+      logger.error('Workout plan activation error', error, { planId });
+      throw error;
+    }
+  },
+
+  // RENAME WORKOUT PLAN
+  renameWorkoutPlan: async (planId, name) => {
+    logger.userAction('Rename Workout Plan', { planId, planName: name });
+    logger.apiCall('PATCH', `/workouts/plans/${planId}`, { name });
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/plans/${planId}`,
+        {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json',
+            ...api.getAuthHeaders(),
+          },
+          body: JSON.stringify({ name }),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('PATCH', `/workouts/plans/${planId}`, response.status);
+
+      if (!response.ok) {
+        logger.error('Workout plan rename failed', new Error(data.error), {
+          planId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to rename workout plan');
+      }
+
+      logger.info('Workout plan renamed', { planId, planName: name });
+      return data;
+    } catch (error) {
+      logger.error('Workout plan rename error', error, { planId });
+      throw error;
+    }
+  },
+
+  // UPDATE WORKOUT PLAN - saves changes made in the plan editor
+  updateWorkoutPlan: async (planId, name, planData) => {
+    logger.userAction('Update Workout Plan', { planId, planName: name });
+    logger.apiCall('PUT', `/workouts/plans/${planId}`, { planName: name });
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/plans/${planId}`,
+        {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            ...api.getAuthHeaders(),
+          },
+          body: JSON.stringify({ name, planData }),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('PUT', `/workouts/plans/${planId}`, response.status);
+
+      if (!response.ok) {
+        logger.error('Workout plan update failed', new Error(data.error), {
+          planId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to update workout plan');
+      }
+
+      logger.info('Workout plan updated', { planId, planName: name });
+      return data;
+    } catch (error) {
+      logger.error('Workout plan update error', error, { planId });
+      throw error;
+    }
+  },
+
+  // DELETE WORKOUT PLAN
+  deleteWorkoutPlan: async planId => {
+    logger.userAction('Delete Workout Plan', { planId });
+    logger.apiCall('DELETE', `/workouts/plans/${planId}`);
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/plans/${planId}`,
+        {
+          method: 'DELETE',
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse(
+        'DELETE',
+        `/workouts/plans/${planId}`,
+        response.status
+      );
+
+      if (!response.ok) {
+        logger.error('Workout plan deletion failed', new Error(data.error), {
+          planId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to delete workout plan');
+      }
+
+      logger.info('Workout plan deleted', { planId });
+      return data;
+    } catch (error) {
+      logger.error('Workout plan deletion error', error, { planId });
+      throw error;
+    }
+  },
+
+  // SKIP ROTATION - moves a rotation plan forward or back one day
+  skipRotation: async direction => {
+    logger.userAction('Skip Rotation Day', { direction });
+    logger.apiCall('POST', '/workouts/rotation/skip', { direction });
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/rotation/skip`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...api.getAuthHeaders(),
+          },
+          body: JSON.stringify({ direction }),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('POST', '/workouts/rotation/skip', response.status);
+
+      if (!response.ok) {
+        logger.error('Rotation skip failed', new Error(data.error), {
+          direction,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to update rotation');
+      }
+
+      logger.info('Rotation moved', {
+        direction,
+        position: data.rotation?.position,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Rotation skip error', error, { direction });
+      throw error;
+    }
+  },
+
+  // GET PLAN TEMPLATES - lists the built-in plans users can start from
+  getPlanTemplates: async () => {
+    logger.debug('Fetching plan templates');
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/templates`,
+        {
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/workouts/templates', response.status);
+
+      if (!response.ok) {
+        logger.error('Failed to fetch plan templates', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to load plan templates');
+      }
+
+      logger.info('Successfully fetched plan templates', {
+        templateCount: data.templates?.length || 0,
+      });
+
+      return data;
+    } catch (error) {
+      logger.error('Plan templates fetch failed', error);
+      throw error;
+    }
+  },
+
+  // ADOPT PLAN TEMPLATE - copies a template into the user's plans and activates it
+  adoptPlanTemplate: async templateId => {
+    logger.userAction('Adopt Plan Template', { templateId });
+    logger.apiCall('POST', `/workouts/templates/${templateId}/adopt`);
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/templates/${encodeURIComponent(templateId)}/adopt`,
+        {
+          method: 'POST',
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse(
+        'POST',
+        `/workouts/templates/${templateId}/adopt`,
+        response.status
+      );
+
+      if (!response.ok) {
+        logger.error('Plan template adoption failed', new Error(data.error), {
+          templateId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to adopt plan template');
+      }
+
+      logger.info('Plan template adopted', {
+        templateId,
+        planId: data.plan?.id,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Plan template adoption error', error, { templateId });
+      throw error;
+    }
+  },
+
   // COMPLETE WORKOUT - saves completed workout data to backend
   completeWorkout: async workoutData => {
     const exerciseCount = workoutData.exercises?.length || 0;
@@ -244,16 +682,20 @@ const api = {
     });
 
     try {
-      const response = await fetch(`${API_BASE_URL}/workouts/complete`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...api.getAuthHeaders(),
-        },
-        body: JSON.stringify(workoutData),
-      });
-
-      const data = await response.json();
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/complete`,
+        {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...api.getAuthHeaders(),
+          },
+          body: JSON.stringify(workoutData),
+        }
+      );
+
+      // A proxy's error page (e.g. a 502 during a deploy) isn't JSON
+      const data = await response.json().catch(() => ({}));
 
       logger.apiResponse('POST', '/workouts/complete', response.status);
 
@@ -263,13 +705,17 @@ const api = {
           exerciseCount,
           httpStatus: response.status,
         });
-        throw new Error(data.error || 'Failed to save workout');
+        const error = new Error(data.error || 'Failed to save workout');
+        // Lets the sync engine tell a rejected workout from a server outage
+        error.status = response.status;
+        throw error;
       }
 
       logger.info('Workout completed successfully', {
         workoutName,
         exerciseCount,
         workoutId: data.workout?.id,
+        replayed: data.replayed,
       });
 
       return data;
@@ -283,14 +729,28 @@ const api = {
   },
 
   // GET WORKOUT HISTORY - retrieves past workouts
-  getWorkoutHistory: async () => {
-    logger.debug('Fetching workout history');
+  // Options: cursor (nextCursor from the previous page), limit, and the
+  // filters from, to, workout and exercise. Resolves with
+  // { workouts, nextCursor }.
+  getWorkoutHistory: async (options = {}) => {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        params.set(key, value);
+      }
+    });
+    const query = params.toString();
+
+    logger.debug('Fetching workout history', options);
     logger.startTimer('history-fetch');
 
     try {
-      const response = await fetch(`${API_BASE_URL}/workouts/history`, {
-        headers: api.getAuthHeaders(),
-      });
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/history${query ? `?${query}` : ''}`,
+        {
+          headers: api.getAuthHeaders(),
+        }
+      );
 
       const data = await response.json();
       logger.endTimer('history-fetch');
@@ -305,7 +765,10 @@ const api = {
       }
 
       const workoutCount = data.workouts?.length || 0;
-      logger.info('Successfully fetched workout history', { workoutCount });
+      logger.info('Successfully fetched workout history', {
+        workoutCount,
+        hasMore: Boolean(data.nextCursor),
+      });
 
       return data;
     } catch (error) {
@@ -321,7 +784,7 @@ const api = {
     logger.apiCall('POST', '/workouts/delete', { workoutId });
 
     try {
-      const response = await fetch(`${API_BASE_URL}/workouts/delete`, {
+      const response = await api.authFetch(`${API_BASE_URL}/workouts/delete`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -353,6 +816,540 @@ const api = {
       throw error;
     }
   },
+
+  // GET WORKOUT DRAFT - the in-progress session, possibly from another device
+  getWorkoutDraft: async () => {
+    logger.debug('Fetching workout draft');
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/workouts/draft`, {
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/workouts/draft', response.status);
+
+      if (!response.ok) {
+        logger.error('Failed to fetch workout draft', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to get workout draft');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Workout draft fetch failed', error);
+      throw error;
+    }
+  },
+
+  // SAVE WORKOUT DRAFT - autosaves the sets entered so far
+  saveWorkoutDraft: async draft => {
+    logger.debug('Saving workout draft', {
+      workoutName: draft.workoutName,
+      exerciseCount: Object.keys(draft.exercises || {}).length,
+    });
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/workouts/draft`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...api.getAuthHeaders(),
+        },
+        body: JSON.stringify(draft),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('PUT', '/workouts/draft', response.status);
+
+      if (!response.ok) {
+        logger.error('Workout draft save failed', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to save workout draft');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Workout draft save error', error);
+      throw error;
+    }
+  },
+
+  // DELETE WORKOUT DRAFT - throws away the in-progress session
+  deleteWorkoutDraft: async () => {
+    logger.debug('Deleting workout draft');
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/workouts/draft`, {
+        method: 'DELETE',
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('DELETE', '/workouts/draft', response.status);
+
+      if (!response.ok) {
+        logger.error('Workout draft delete failed', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to delete workout draft');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Workout draft delete error', error);
+      throw error;
+    }
+  },
+
+  // GET WORKOUT - fetches one saved workout, e.g. before editing it
+  getWorkout: async workoutId => {
+    logger.debug('Fetching workout', { workoutId });
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/${workoutId}`,
+        {
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', `/workouts/${workoutId}`, response.status);
+
+      if (!response.ok) {
+        logger.error('Failed to fetch workout', new Error(data.error), {
+          workoutId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to get workout');
+      }
+
+      return data;
+    } catch (error) {
+      logger.error('Workout fetch failed', error, { workoutId });
+      throw error;
+    }
+  },
+
+  // UPDATE WORKOUT - saves corrections to a completed workout
+  updateWorkout: async (workoutId, workoutData) => {
+    const exerciseCount = workoutData.exercises?.length || 0;
+
+    logger.userAction('Update Workout', { workoutId, exerciseCount });
+    logger.apiCall('PUT', `/workouts/${workoutId}`, { exerciseCount });
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/workouts/${workoutId}`,
+        {
+          method: 'PUT',
+          headers: {
+            'Content-Type': 'application/json',
+            ...api.getAuthHeaders(),
+          },
+          body: JSON.stringify(workoutData),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('PUT', `/workouts/${workoutId}`, response.status);
+
+      if (!response.ok) {
+        logger.error('Workout update failed', new Error(data.error), {
+          workoutId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to update workout');
+      }
+
+      logger.info('Workout updated successfully', { workoutId });
+      return data;
+    } catch (error) {
+      logger.error('Workout update error', error, { workoutId });
+      throw error;
+    }
+  },
+
+  // GET CONSISTENCY STATS - streaks, workouts per week/month and adherence
+  getConsistencyStats: async () => {
+    logger.debug('Fetching consistency stats');
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/analytics/consistency`,
+        {
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/analytics/consistency', response.status);
+
+      if (!response.ok) {
+        logger.error(
+          'Failed to fetch consistency stats',
+          new Error(data.error),
+          {
+            httpStatus: response.status,
+          }
+        );
+        throw new Error(data.error || 'Failed to load consistency stats');
+      }
+
+      logger.info('Successfully fetched consistency stats', {
+        currentStreak: data.currentStreak?.days,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Consistency stats fetch failed', error);
+      throw error;
+    }
+  },
+
+  // GET PERSONAL RECORDS - newest first
+  getPersonalRecords: async (limit = 10) => {
+    logger.debug('Fetching personal records', { limit });
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/records?limit=${limit}`,
+        {
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/records', response.status);
+
+      if (!response.ok) {
+        logger.error('Failed to load personal records', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to load personal records');
+      }
+
+      logger.info('Successfully fetched personal records', {
+        recordCount: data.records?.length || 0,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Personal records fetch failed', error);
+      throw error;
+    }
+  },
+
+  // GET LOGGED EXERCISES - every exercise in the user's history
+  getLoggedExercises: async () => {
+    logger.debug('Fetching logged exercises');
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/analytics/exercises`,
+        {
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/analytics/exercises', response.status);
+
+      if (!response.ok) {
+        logger.error(
+          'Failed to fetch logged exercises',
+          new Error(data.error),
+          {
+            httpStatus: response.status,
+          }
+        );
+        throw new Error(data.error || 'Failed to load exercises');
+      }
+
+      logger.info('Successfully fetched logged exercises', {
+        exerciseCount: data.exercises?.length || 0,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Logged exercises fetch failed', error);
+      throw error;
+    }
+  },
+
+  // GET EXERCISE ANALYTICS - progress over time for one exercise
+  getExerciseAnalytics: async exerciseName => {
+    const endpoint = `/analytics/exercises/${encodeURIComponent(exerciseName)}`;
+    logger.debug('Fetching exercise analytics', { exerciseName });
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}${endpoint}`, {
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', endpoint, response.status);
+
+      if (!response.ok) {
+        logger.error(
+          'Failed to fetch exercise analytics',
+          new Error(data.error),
+          {
+            exerciseName,
+            httpStatus: response.status,
+          }
+        );
+        throw new Error(data.error || 'Failed to load exercise analytics');
+      }
+
+      logger.info('Successfully fetched exercise analytics', {
+        exerciseName,
+        sessionCount: data.sessions?.length || 0,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Exercise analytics fetch failed', error, { exerciseName });
+      throw error;
+    }
+  },
+
+  // GET GOALS - every goal with its progress
+  getGoals: async () => {
+    logger.debug('Fetching goals');
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/goals`, {
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/goals', response.status);
+
+      if (!response.ok) {
+        logger.error('Failed to fetch goals', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to load goals');
+      }
+
+      logger.info('Successfully fetched goals', {
+        goalCount: data.goals?.length || 0,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Goals fetch failed', error);
+      throw error;
+    }
+  },
+
+  // CREATE GOAL - strength, consistency or volume target
+  createGoal: async goal => {
+    logger.userAction('Create Goal', { type: goal.type });
+    logger.apiCall('POST', '/goals', { type: goal.type });
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/goals`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...api.getAuthHeaders(),
+        },
+        body: JSON.stringify(goal),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('POST', '/goals', response.status);
+
+      if (!response.ok) {
+        logger.error('Goal creation failed', new Error(data.error), {
+          type: goal.type,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to create goal');
+      }
+
+      logger.info('Goal created successfully', { goalId: data.goal?.id });
+      return data;
+    } catch (error) {
+      logger.error('Goal creation error', error);
+      throw error;
+    }
+  },
+
+  // UPDATE GOAL - replaces the goal's target and dates
+  updateGoal: async (goalId, goal) => {
+    logger.userAction('Update Goal', { goalId, type: goal.type });
+    logger.apiCall('PUT', `/goals/${goalId}`, { type: goal.type });
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/goals/${goalId}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          ...api.getAuthHeaders(),
+        },
+        body: JSON.stringify(goal),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('PUT', `/goals/${goalId}`, response.status);
+
+      if (!response.ok) {
+        logger.error('Goal update failed', new Error(data.error), {
+          goalId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to update goal');
+      }
+
+      logger.info('Goal updated successfully', { goalId });
+      return data;
+    } catch (error) {
+      logger.error('Goal update error', error, { goalId });
+      throw error;
+    }
+  },
+
+  // DELETE GOAL
+  deleteGoal: async goalId => {
+    logger.userAction('Delete Goal', { goalId });
+    logger.apiCall('DELETE', `/goals/${goalId}`);
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/goals/${goalId}`, {
+        method: 'DELETE',
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('DELETE', `/goals/${goalId}`, response.status);
+
+      if (!response.ok) {
+        logger.error('Goal deletion failed', new Error(data.error), {
+          goalId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to delete goal');
+      }
+
+      logger.info('Goal deleted successfully', { goalId });
+      return data;
+    } catch (error) {
+      logger.error('Goal deletion error', error, { goalId });
+      throw error;
+    }
+  },
+
+  // GET SESSIONS - devices signed in to this account
+  getSessions: async () => {
+    logger.debug('Fetching sessions');
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/auth/sessions`, {
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('GET', '/auth/sessions', response.status);
+
+      if (!response.ok) {
+        logger.error('Failed to fetch sessions', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to load sessions');
+      }
+
+      logger.info('Successfully fetched sessions', {
+        sessionCount: data.sessions?.length || 0,
+      });
+      return data;
+    } catch (error) {
+      logger.error('Sessions fetch failed', error);
+      throw error;
+    }
+  },
+
+  // REVOKE SESSION - signs one device out
+  revokeSession: async sessionId => {
+    logger.userAction('Revoke Session', { sessionId });
+    logger.apiCall('DELETE', `/auth/sessions/${sessionId}`);
+
+    try {
+      const response = await api.authFetch(
+        `${API_BASE_URL}/auth/sessions/${sessionId}`,
+        {
+          method: 'DELETE',
+          headers: api.getAuthHeaders(),
+        }
+      );
+
+      const data = await response.json();
+
+      logger.apiResponse(
+        'DELETE',
+        `/auth/sessions/${sessionId}`,
+        response.status
+      );
+
+      if (!response.ok) {
+        logger.error('Session revoke failed', new Error(data.error), {
+          sessionId,
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to sign out session');
+      }
+
+      logger.info('Session revoked successfully', { sessionId });
+      return data;
+    } catch (error) {
+      logger.error('Session revoke error', error, { sessionId });
+      throw error;
+    }
+  },
+
+  // REVOKE OTHER SESSIONS - signs out every device but this one
+  revokeOtherSessions: async () => {
+    logger.userAction('Revoke Other Sessions');
+    logger.apiCall('DELETE', '/auth/sessions');
+
+    try {
+      const response = await api.authFetch(`${API_BASE_URL}/auth/sessions`, {
+        method: 'DELETE',
+        headers: api.getAuthHeaders(),
+      });
+
+      const data = await response.json();
+
+      logger.apiResponse('DELETE', '/auth/sessions', response.status);
+
+      if (!response.ok) {
+        logger.error('Revoking other sessions failed', new Error(data.error), {
+          httpStatus: response.status,
+        });
+        throw new Error(data.error || 'Failed to sign out other sessions');
+      }
+
+      logger.info('Other sessions revoked', { revoked: data.revoked });
+      return data;
+    } catch (error) {
+      logger.error('Revoking other sessions error', error);
+      throw error;
+    }
+  },
 };
 
 export default api;
@@ -1,5 +1,6 @@
 import React from 'react';
-import { Trophy } from 'lucide-react';
+import { Medal, Target, Trophy, X } from 'lucide-react';
+import { describeGoal, describePersonalRecord } from '../utils/formatters.js';
 
 export const CompleteWorkoutButton = ({
   onComplete,
@@ -7,6 +8,9 @@ export const CompleteWorkoutButton = ({
   completed,
   disabled = false,
   exerciseCount = 0,
+  personalRecords = [],
+  completedGoals = [],
+  onDismissAchievements,
 }) => {
   // Don't show button if no exercises
   if (exerciseCount === 0) return null;
@@ -100,6 +104,63 @@ export const CompleteWorkoutButton = ({
           Great job! Your workout has been saved. 🎉
         </p>
       )}
+
+      {/* Goals met and records set by the workout just saved */}
+      {(completedGoals.length > 0 || personalRecords.length > 0) && (
+        <div className="relative mt-6 mx-auto max-w-md bg-yellow-50 border border-yellow-300 rounded-lg p-4 text-left space-y-3 animate-fade-in">
+          {onDismissAchievements && (
+            <button
+              onClick={onDismissAchievements}
+              className="absolute top-2 right-2 p-1 text-yellow-700 hover:text-yellow-900 rounded"
+              title="Dismiss"
+            >
+              <X size={16} />
+            </button>
+          )}
+
+          {completedGoals.length > 0 && (
+            <div>
+              <h4 className="flex items-center font-semibold text-yellow-900 mb-2">
+                <Target className="w-5 h-5 mr-2" />
+                {completedGoals.length === 1
+                  ? 'Goal complete!'
+                  : `${completedGoals.length} goals complete!`}
+              </h4>
+              <ul className="space-y-1">
+                {completedGoals.map(goal => (
+                  <li key={goal.id} className="text-sm text-yellow-900">
+                    <span className="font-medium">
+                      {goal.title || describeGoal(goal)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {personalRecords.length > 0 && (
+            <div>
+              <h4 className="flex items-center font-semibold text-yellow-900 mb-2">
+                <Medal className="w-5 h-5 mr-2" />
+                {personalRecords.length === 1
+                  ? 'New personal record!'
+                  : `${personalRecords.length} new personal records!`}
+              </h4>
+              <ul className="space-y-1">
+                {personalRecords.map(record => {
+                  const { label, detail } = describePersonalRecord(record);
+                  return (
+                    <li key={record.id} className="text-sm text-yellow-900">
+                      <span className="font-medium">{record.exercise}</span> ·{' '}
+                      {label}: {detail}
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,286 @@
+import React, { useEffect, useState } from 'react';
+import { Calendar, Flame, Medal, TrendingUp } from 'lucide-react';
+import api from '../api/index.js';
+import errorHandler from '../utils/errorHandler.js';
+import logger from '../utils/logger.js';
+import ProgressChart from './ProgressChart.jsx';
+import {
+  describePersonalRecord,
+  formatShortDate,
+} from '../utils/formatters.js';
+
+// What can be charted for each exercise type, read from the analytics
+// sessions returned by /analytics/exercises/:name
+const METRICS = {
+  reps: [
+    { key: 'estimatedOneRepMax', label: 'Estimated 1RM', unit: 'lbs' },
+    { key: 'topSetWeight', label: 'Top set weight', unit: 'lbs' },
+    { key: 'volume', label: 'Volume', unit: 'lbs' },
+    { key: 'totalReps', label: 'Total reps', unit: 'reps' },
+  ],
+  time: [
+    { key: 'longestHold', label: 'Longest hold', unit: 's' },
+    { key: 'totalTime', label: 'Total time', unit: 's' },
+  ],
+};
+
+const StatCard = ({ icon: Icon, label, value, detail }) => (
+  <div className="bg-white border rounded-lg p-4">
+    <div className="flex items-center text-sm text-gray-500 mb-1">
+      <Icon className="mr-2" size={16} />
+      {label}
+    </div>
+    <p className="text-2xl font-bold text-gray-900">{value}</p>
+    {detail && <p className="text-sm text-gray-500 mt-1">{detail}</p>}
+  </div>
+);
+
+// Progress overview: this week's sessions, streaks, recent personal records
+// and a chart of one exercise over time
+export const Dashboard = () => {
+  const [stats, setStats] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [recentWorkouts, setRecentWorkouts] = useState([]);
+  const [exercises, setExercises] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [selectedExercise, setSelectedExercise] = useState('');
+  const [metricKey, setMetricKey] = useState('');
+  const [analytics, setAnalytics] = useState(null);
+  const [chartLoading, setChartLoading] = useState(false);
+
+  // Everything except the chart loads together when the view opens
+  useEffect(() => {
+    const loadDashboard = async () => {
+      try {
+        const [statsData, recordsData, historyData, exercisesData] =
+          await Promise.all([
+            api.getConsistencyStats(),
+            api.getPersonalRecords(5),
+            api.getWorkoutHistory(),
+            api.getLoggedExercises(),
+          ]);
+
+        setStats(statsData);
+        setRecords(recordsData.records || []);
+        setRecentWorkouts(historyData.workouts || []);
+        setExercises(exercisesData.exercises || []);
+        if (exercisesData.exercises?.length > 0) {
+          setSelectedExercise(exercisesData.exercises[0].name);
+        }
+        logger.debug('Dashboard loaded');
+      } catch (err) {
+        setError(errorHandler.handleApiError(err, 'load dashboard'));
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadDashboard();
+  }, []);
+
+  // Load the chart data whenever another exercise is picked
+  useEffect(() => {
+    if (!selectedExercise) return;
+
+    let cancelled = false;
+    const loadAnalytics = async () => {
+      setChartLoading(true);
+      try {
+        const data = await api.getExerciseAnalytics(selectedExercise);
+        if (cancelled) return;
+        setAnalytics(data);
+        setMetricKey(METRICS[data.type][0].key);
+      } catch (err) {
+        if (!cancelled) {
+          setAnalytics(null);
+          setError(errorHandler.handleApiError(err, 'load exercise progress'));
+        }
+      } finally {
+        if (!cancelled) setChartLoading(false);
+      }
+    };
+
+    loadAnalytics();
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedExercise]);
+
+  if (loading) {
+    return (
+      <div className="text-center py-8">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
+        <p className="mt-4 text-gray-600">Loading dashboard...</p>
+      </div>
+    );
+  }
+
+  const weekStart = stats?.perWeek[stats.perWeek.length - 1]?.weekStart;
+  const thisWeeksWorkouts = weekStart
+    ? recentWorkouts.filter(workout => workout.date >= weekStart)
+    : [];
+
+  const metrics = analytics ? METRICS[analytics.type] : [];
+  const metric = metrics.find(option => option.key === metricKey);
+  const points =
+    analytics && metric
+      ? analytics.sessions
+          .filter(session => session[metric.key] !== null)
+          .map(session => ({ date: session.date, value: session[metric.key] }))
+      : [];
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-lg p-4">
+          {error}
+        </div>
+      )}
+
+      {stats && (
+        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+          <StatCard
+            icon={Calendar}
+            label="This week"
+            value={`${stats.totals.thisWeek} ${
+              stats.totals.thisWeek === 1 ? 'session' : 'sessions'
+            }`}
+            detail={`${stats.totals.thisMonth} this month`}
+          />
+          <StatCard
+            icon={Flame}
+            label="Current streak"
+            value={`${stats.currentStreak.days} ${
+              stats.currentStreak.days === 1 ? 'day' : 'days'
+            }`}
+            detail={`Longest: ${stats.longestStreak.days}`}
+          />
+          <StatCard
+            icon={TrendingUp}
+            label="Plan adherence"
+            value={
+              stats.adherence?.rate !== null &&
+              stats.adherence?.rate !== undefined
+                ? `${stats.adherence.rate}%`
+                : '—'
+            }
+            detail={
+              stats.adherence
+                ? `${stats.adherence.completedDays} of ${stats.adherence.scheduledDays} scheduled days`
+                : 'Not tracked for rotation plans'
+            }
+          />
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="bg-white border rounded-lg p-4">
+          <h3 className="font-semibold text-gray-900 mb-3">
+            This Week's Sessions
+          </h3>
+          {thisWeeksWorkouts.length === 0 ? (
+            <p className="text-sm text-gray-500">No workouts yet this week.</p>
+          ) : (
+            <ul className="space-y-2">
+              {thisWeeksWorkouts.map(workout => (
+                <li
+                  key={workout.id}
+                  className="flex justify-between text-sm text-gray-700"
+                >
+                  <span className="font-medium">
+                    {workout.workout_data.workoutName}
+                  </span>
+                  <span className="text-gray-500">
+                    {formatShortDate(workout.date)}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="bg-white border rounded-lg p-4">
+          <h3 className="flex items-center font-semibold text-gray-900 mb-3">
+            <Medal className="mr-2 text-yellow-600" size={18} />
+            Recent Personal Records
+          </h3>
+          {records.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              Beat a previous best to set your first record.
+            </p>
+          ) : (
+            <ul className="space-y-2">
+              {records.map(record => {
+                const { label, detail } = describePersonalRecord(record);
+                return (
+                  <li key={record.id} className="text-sm text-gray-700">
+                    <span className="font-medium">{record.exercise}</span> ·{' '}
+                    {label}: {detail}
+                    <span className="text-gray-500">
+                      {' '}
+                      · {formatShortDate(record.date)}
+                    </span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      <div className="bg-white border rounded-lg p-4">
+        <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+          <h3 className="font-semibold text-gray-900">Exercise Progress</h3>
+          {exercises.length > 0 && (
+            <div className="flex gap-2">
+              <select
+                value={selectedExercise}
+                onChange={e => setSelectedExercise(e.target.value)}
+                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+              >
+                {exercises.map(exercise => (
+                  <option key={exercise.name} value={exercise.name}>
+                    {exercise.name}
+                  </option>
+                ))}
+              </select>
+              {metrics.length > 0 && (
+                <select
+                  value={metricKey}
+                  onChange={e => setMetricKey(e.target.value)}
+                  className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                >
+                  {metrics.map(option => (
+                    <option key={option.key} value={option.key}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
+          )}
+        </div>
+
+        {exercises.length === 0 ? (
+          <p className="text-sm text-gray-500">
+            Complete a workout to start tracking your progress.
+          </p>
+        ) : chartLoading ? (
+          <p className="text-sm text-gray-500 py-8 text-center">
+            Loading progress...
+          </p>
+        ) : (
+          <ProgressChart
+            points={points}
+            unit={metric?.unit}
+            label={metric?.label}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Dashboard;
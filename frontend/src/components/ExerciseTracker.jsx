@@ -2,11 +2,14 @@ import React, { useState } from 'react';
 import { Plus, Trash2 } from 'lucide-react';
 import logger from '../utils/logger.js';
 
-// ExerciseTracker component with better validation and error handling
-const ExerciseTracker = ({ exercise, onUpdate }) => {
-  // Component state
-  const [sets, setSets] = useState([]);
-  const [notes, setNotes] = useState('');
+// ExerciseTracker component with better validation and error handling.
+// initialData ({ sets, notes }) pre-fills it when editing a saved workout.
+const ExerciseTracker = ({ exercise, onUpdate, initialData }) => {
+  // Component state - sets are copied because updateSet edits them in place
+  const [sets, setSets] = useState(() =>
+    (initialData?.sets || []).map(set => ({ ...set }))
+  );
+  const [notes, setNotes] = useState(initialData?.notes || '');
   const [errors, setErrors] = useState({}); // Track validation errors for individual sets
   const [isExpanded, setIsExpanded] = useState(true); // Allow collapsing
 
@@ -146,16 +149,19 @@ const ExerciseTracker = ({ exercise, onUpdate }) => {
                 </span>
               )}
             </h3>
-            <p className="text-gray-600">
-              Target:{' '}
-              {exercise.type === 'time'
-                ? `${exercise.sets} sets × ${
-                    exercise.target_time || 'time-based'
-                  }`
-                : `${exercise.sets} sets × ${
-                    exercise.target_reps || 'reps'
-                  } reps`}
-            </p>
+            {/* Saved workouts have no plan target to show */}
+            {exercise.sets !== undefined && (
+              <p className="text-gray-600">
+                Target:{' '}
+                {exercise.type === 'time'
+                  ? `${exercise.sets} sets × ${
+                      exercise.target_time || 'time-based'
+                    }`
+                  : `${exercise.sets} sets × ${
+                      exercise.target_reps || 'reps'
+                    } reps`}
+              </p>
+            )}
             {exercise.notes && (
               <p className="text-sm text-blue-600 mt-1 italic">
                 {exercise.notes}
@@ -0,0 +1,399 @@
+import React, { useEffect, useState } from 'react';
+import { CheckCircle, Pencil, Plus, Target, Trash2 } from 'lucide-react';
+import api from '../api/index.js';
+import errorHandler from '../utils/errorHandler.js';
+import {
+  describeGoal,
+  formatDateTime,
+  formatShortDate,
+} from '../utils/formatters.js';
+
+const GOAL_TYPES = [
+  { value: 'strength', label: 'Strength' },
+  { value: 'consistency', label: 'Consistency' },
+  { value: 'volume', label: 'Volume' },
+];
+
+const EMPTY_FORM = {
+  type: 'strength',
+  title: '',
+  exercise: '',
+  targetWeight: '',
+  targetReps: '',
+  sessionsPerWeek: '',
+  weeks: '',
+  targetVolume: '',
+  startDate: '',
+  endDate: '',
+};
+
+// Form fields are strings; numbers left blank are sent as null so the
+// server reports what is missing
+const toNumber = value => (value === '' ? null : Number(value));
+
+const toFormValues = goal => ({
+  type: goal.type,
+  title: goal.title || '',
+  exercise: goal.exercise || '',
+  targetWeight: goal.targetWeight ?? '',
+  targetReps: goal.targetReps ?? '',
+  sessionsPerWeek: goal.sessionsPerWeek ?? '',
+  weeks: goal.weeks ?? '',
+  targetVolume: goal.targetVolume ?? '',
+  startDate: goal.startDate || '',
+  endDate: goal.endDate || '',
+});
+
+const fromFormValues = form => ({
+  type: form.type,
+  title: form.title,
+  exercise: form.exercise,
+  targetWeight: toNumber(form.targetWeight),
+  targetReps: toNumber(form.targetReps),
+  sessionsPerWeek: toNumber(form.sessionsPerWeek),
+  weeks: toNumber(form.weeks),
+  targetVolume: toNumber(form.targetVolume),
+  startDate: form.startDate || null,
+  endDate: form.type === 'consistency' ? null : form.endDate || null,
+});
+
+// The line under each progress bar
+const describeProgress = goal => {
+  const { progress } = goal;
+  if (goal.type === 'strength') {
+    return progress.bestSet
+      ? `Best set: ${progress.bestSet.weight} lbs × ${progress.bestSet.reps}`
+      : 'No sets logged yet';
+  }
+  if (goal.type === 'consistency') {
+    return `${progress.weeksMet} of ${goal.weeks} weeks · ${progress.thisWeekSessions} this week`;
+  }
+  return `${progress.volume.toLocaleString(
+    'en-US'
+  )} of ${goal.targetVolume.toLocaleString('en-US')} lbs`;
+};
+
+const inputClasses =
+  'w-full border border-gray-300 rounded-md px-2 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const Field = ({ label, children }) => (
+  <label className="block text-sm">
+    <span className="block text-gray-600 mb-1">{label}</span>
+    {children}
+  </label>
+);
+
+// Goals with progress bars, plus a form to add or edit one
+export const GoalsPanel = () => {
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const [form, setForm] = useState(null); // null while the form is closed
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const loadGoals = async () => {
+    try {
+      const data = await api.getGoals();
+      setGoals(data.goals || []);
+      setError('');
+    } catch (err) {
+      setError(errorHandler.handleApiError(err, 'load goals'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadGoals();
+  }, []);
+
+  const openForm = (goal = null) => {
+    setEditingId(goal ? goal.id : null);
+    setForm(goal ? toFormValues(goal) : EMPTY_FORM);
+    setError('');
+  };
+
+  const closeForm = () => {
+    setForm(null);
+    setEditingId(null);
+  };
+
+  const updateField = (field, value) =>
+    setForm(current => ({ ...current, [field]: value }));
+
+  const saveGoal = async e => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const goal = fromFormValues(form);
+      if (editingId) {
+        await api.updateGoal(editingId, goal);
+      } else {
+        await api.createGoal(goal);
+      }
+      closeForm();
+      await loadGoals();
+    } catch (err) {
+      setError(errorHandler.handleApiError(err, 'save goal'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteGoal = async goal => {
+    if (!confirm(`Delete the goal "${goal.title || describeGoal(goal)}"?`)) {
+      return;
+    }
+    try {
+      await api.deleteGoal(goal.id);
+      setGoals(current => current.filter(item => item.id !== goal.id));
+    } catch (err) {
+      alert(errorHandler.handleApiError(err, 'delete goal'));
+    }
+  };
+
+  return (
+    <div className="bg-white border rounded-lg p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="flex items-center font-semibold text-gray-900">
+          <Target className="mr-2 text-blue-600" size={18} />
+          Goals
+        </h3>
+        {!form && (
+          <button
+            onClick={() => openForm()}
+            className="flex items-center px-3 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 rounded-md transition-colors"
+          >
+            <Plus className="mr-1" size={14} />
+            New goal
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-md p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      {form && (
+        <form
+          onSubmit={saveGoal}
+          className="border border-gray-200 rounded-lg p-4 mb-4 space-y-3"
+        >
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <Field label="Type">
+              <select
+                value={form.type}
+                onChange={e => updateField('type', e.target.value)}
+                className={inputClasses}
+              >
+                {GOAL_TYPES.map(type => (
+                  <option key={type.value} value={type.value}>
+                    {type.label}
+                  </option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Title (optional)">
+              <input
+                type="text"
+                value={form.title}
+                onChange={e => updateField('title', e.target.value)}
+                className={inputClasses}
+                maxLength={100}
+              />
+            </Field>
+
+            {form.type !== 'consistency' && (
+              <Field
+                label={
+                  form.type === 'volume' ? 'Exercise (optional)' : 'Exercise'
+                }
+              >
+                <input
+                  type="text"
+                  value={form.exercise}
+                  onChange={e => updateField('exercise', e.target.value)}
+                  className={inputClasses}
+                  placeholder="Squat"
+                  maxLength={100}
+                />
+              </Field>
+            )}
+
+            {form.type === 'strength' && (
+              <>
+                <Field label="Weight (lbs)">
+                  <input
+                    type="number"
+                    min="0"
+                    step="any"
+                    value={form.targetWeight}
+                    onChange={e => updateField('targetWeight', e.target.value)}
+                    className={inputClasses}
+                  />
+                </Field>
+                <Field label="Reps">
+                  <input
+                    type="number"
+                    min="1"
+                    value={form.targetReps}
+                    onChange={e => updateField('targetReps', e.target.value)}
+                    className={inputClasses}
+                  />
+                </Field>
+              </>
+            )}
+
+            {form.type === 'consistency' && (
+              <>
+                <Field label="Sessions per week">
+                  <input
+                    type="number"
+                    min="1"
+                    max="14"
+                    value={form.sessionsPerWeek}
+                    onChange={e =>
+                      updateField('sessionsPerWeek', e.target.value)
+                    }
+                    className={inputClasses}
+                  />
+                </Field>
+                <Field label="Weeks">
+                  <input
+                    type="number"
+                    min="1"
+                    max="52"
+                    value={form.weeks}
+                    onChange={e => updateField('weeks', e.target.value)}
+                    className={inputClasses}
+                  />
+                </Field>
+              </>
+            )}
+
+            {form.type === 'volume' && (
+              <Field label="Total volume (lbs)">
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={form.targetVolume}
+                  onChange={e => updateField('targetVolume', e.target.value)}
+                  className={inputClasses}
+                />
+              </Field>
+            )}
+
+            <Field label="Start date (default today)">
+              <input
+                type="date"
+                value={form.startDate}
+                onChange={e => updateField('startDate', e.target.value)}
+                className={inputClasses}
+              />
+            </Field>
+            {form.type !== 'consistency' && (
+              <Field label="End date (optional)">
+                <input
+                  type="date"
+                  value={form.endDate}
+                  onChange={e => updateField('endDate', e.target.value)}
+                  className={inputClasses}
+                />
+              </Field>
+            )}
+          </div>
+
+          <div className="flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={closeForm}
+              className="px-3 py-1 text-sm font-medium text-gray-700 bg-gray-100 hover:bg-gray-200 rounded-md transition-colors"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-3 py-1 text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 disabled:bg-gray-400 rounded-md transition-colors"
+            >
+              {saving ? 'Saving...' : editingId ? 'Save goal' : 'Add goal'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading goals...</p>
+      ) : goals.length === 0 ? (
+        !form && (
+          <p className="text-sm text-gray-500">
+            Set a strength, consistency or volume goal to track it here.
+          </p>
+        )
+      ) : (
+        <ul className="space-y-4">
+          {goals.map(goal => (
+            <li key={goal.id}>
+              <div className="flex items-start justify-between gap-2">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {goal.title || describeGoal(goal)}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {goal.title && `${describeGoal(goal)} · `}
+                    From {formatShortDate(goal.startDate)}
+                    {goal.endDate && ` to ${formatShortDate(goal.endDate)}`}
+                  </p>
+                </div>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => openForm(goal)}
+                    className="p-1 text-gray-400 hover:text-blue-600 rounded"
+                    title="Edit goal"
+                  >
+                    <Pencil size={14} />
+                  </button>
+                  <button
+                    onClick={() => deleteGoal(goal)}
+                    className="p-1 text-gray-400 hover:text-red-600 rounded"
+                    title="Delete goal"
+                  >
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+
+              <div className="mt-2 h-2 bg-gray-200 rounded-full overflow-hidden">
+                <div
+                  className={`h-full rounded-full ${
+                    goal.completedAt ? 'bg-green-500' : 'bg-blue-600'
+                  }`}
+                  style={{ width: `${goal.progress.percent}%` }}
+                />
+              </div>
+
+              <div className="flex justify-between mt-1 text-xs text-gray-500">
+                <span>{describeProgress(goal)}</span>
+                {goal.completedAt ? (
+                  <span className="flex items-center text-green-600 font-medium">
+                    <CheckCircle className="mr-1" size={12} />
+                    Completed {formatDateTime(null, goal.completedAt)}
+                  </span>
+                ) : (
+                  <span>{goal.progress.percent}%</span>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default GoalsPanel;
@@ -69,7 +69,7 @@ const LoginForm = ({ onLogin, isLogin, setIsLogin }) => {
       );
 
       // Success! Store token and notify parent
-      localStorage.setItem('authToken', result.token);
+      api.storeSession(result);
       onLogin(result.user);
 
       logger.userAction(isLogin ? 'Login Success' : 'Registration Success', {
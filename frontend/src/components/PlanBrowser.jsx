@@ -0,0 +1,106 @@
+import React from 'react';
+import { Check, FolderOpen, Pencil, Trash2 } from 'lucide-react';
+
+// PlanBrowser component - lists saved workout plans and lets the user
+// switch, rename or delete them
+const PlanBrowser = ({
+  plans,
+  loading,
+  busyPlanId,
+  onActivate,
+  onRename,
+  onDelete,
+}) => {
+  const formatCreatedAt = createdAt => {
+    const date = new Date(createdAt);
+    return isNaN(date.getTime())
+      ? createdAt
+      : date.toLocaleDateString('en-US', {
+          year: 'numeric',
+          month: 'short',
+          day: 'numeric',
+        });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">
+        <FolderOpen className="inline mr-2" size={20} />
+        Saved Plans
+      </h3>
+
+      {loading && plans.length === 0 && (
+        <p className="text-sm text-gray-500">Loading saved plans...</p>
+      )}
+
+      {!loading && plans.length === 0 && (
+        <p className="text-sm text-gray-500">
+          No saved plans yet. Plans you upload will show up here so you can
+          switch back to them later.
+        </p>
+      )}
+
+      <div className="space-y-3">
+        {plans.map(plan => {
+          const isBusy = busyPlanId === plan.id;
+
+          return (
+            <div
+              key={plan.id}
+              className={`flex items-center justify-between gap-4 p-4 rounded-lg border ${
+                plan.active
+                  ? 'border-blue-300 bg-blue-50'
+                  : 'border-gray-200 bg-gray-50'
+              }`}
+            >
+              <div className="min-w-0">
+                <p className="font-medium text-gray-800 truncate flex items-center gap-2">
+                  {plan.name}
+                  {plan.active && (
+                    <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
+                      Active
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-500">
+                  Added {formatCreatedAt(plan.created_at)}
+                </p>
+              </div>
+
+              <div className="flex items-center gap-2 flex-shrink-0">
+                {!plan.active && (
+                  <button
+                    onClick={() => onActivate(plan)}
+                    disabled={isBusy}
+                    className="flex items-center px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                  >
+                    <Check className="mr-1" size={14} />
+                    Use this plan
+                  </button>
+                )}
+                <button
+                  onClick={() => onRename(plan)}
+                  disabled={isBusy}
+                  className="p-2 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded-md transition-colors disabled:opacity-50"
+                  title="Rename plan"
+                >
+                  <Pencil size={16} />
+                </button>
+                <button
+                  onClick={() => onDelete(plan)}
+                  disabled={isBusy}
+                  className="p-2 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded-md transition-colors disabled:opacity-50"
+                  title="Delete plan"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default PlanBrowser;
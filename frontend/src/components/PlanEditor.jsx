@@ -0,0 +1,618 @@
+import React, { useState } from 'react';
+import { ArrowDown, ArrowUp, Plus, Save, Trash2, X } from 'lucide-react';
+import {
+  DAY_NAMES,
+  EXERCISE_TYPES,
+  formatPlanError,
+  validateWorkoutPlan,
+} from '../../../shared/planSchema.js';
+import { getPlanType } from '../../../shared/planSchedule.js';
+import errorHandler from '../utils/errorHandler.js';
+
+// ==========================================
+// PLAN <-> EDITOR CONVERSION
+// ==========================================
+// The editor works on a flat copy of the plan: a list of weeks, each with a
+// list of days. Weekly days remember which weekday they sit on; rotation
+// days are just in order. Targets are edited as text and turned back into
+// numbers on save when they are plain numbers.
+
+const toEditorExercise = exercise => ({
+  name: exercise.name || '',
+  type: exercise.type || 'reps',
+  sets: exercise.sets !== undefined ? String(exercise.sets) : '',
+  target: String(
+    (exercise.type === 'time' ? exercise.target_time : exercise.target_reps) ??
+      ''
+  ),
+  notes: exercise.notes || '',
+});
+
+const toEditorDay = (workout, day = null) => ({
+  day,
+  name: workout.name || '',
+  rest: workout.rest === true,
+  exercises: (workout.exercises || []).map(toEditorExercise),
+});
+
+const toEditorPlan = plan => {
+  const type = getPlanType(plan);
+  const scheduleDays = schedule =>
+    DAY_NAMES.filter(day => schedule?.[day]).map(day =>
+      toEditorDay(schedule[day], day)
+    );
+
+  let weeks;
+  if (type === 'rotation') {
+    weeks = [{ name: '', days: plan.rotation.map(day => toEditorDay(day)) }];
+  } else if (type === 'weeks') {
+    weeks = plan.weeks.map(week => ({
+      name: week.name || '',
+      days: scheduleDays(week.schedule),
+    }));
+  } else {
+    weeks = [{ name: '', days: scheduleDays(plan.schedule) }];
+  }
+
+  return {
+    name: plan.name || '',
+    type,
+    startDate: plan.start_date || '',
+    repeat: plan.repeat !== false,
+    weeks,
+  };
+};
+
+// "12" -> 12, "8-12" stays a string, "" is left out
+const parseTarget = target => {
+  const value = target.trim();
+  if (!value) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+const fromEditorExercise = exercise => {
+  const result = {
+    name: exercise.name.trim(),
+    type: exercise.type,
+    sets: exercise.sets === '' ? undefined : Number(exercise.sets),
+  };
+  const target = parseTarget(exercise.target);
+  if (target !== undefined) {
+    result[exercise.type === 'time' ? 'target_time' : 'target_reps'] = target;
+  }
+  if (exercise.notes.trim()) {
+    result.notes = exercise.notes.trim();
+  }
+  return result;
+};
+
+const fromEditorDay = day => ({
+  name: day.name.trim(),
+  ...(day.rest && { rest: true }),
+  exercises: day.exercises.map(fromEditorExercise),
+});
+
+const fromEditorSchedule = days =>
+  Object.fromEntries(
+    DAY_NAMES.flatMap(dayName =>
+      days
+        .filter(day => day.day === dayName)
+        .map(day => [dayName, fromEditorDay(day)])
+    )
+  );
+
+const fromEditorPlan = draft => {
+  const plan = { name: draft.name.trim() };
+
+  if (draft.type === 'rotation') {
+    plan.rotation = draft.weeks[0].days.map(fromEditorDay);
+    return plan;
+  }
+
+  if (draft.type === 'weeks') {
+    plan.weeks = draft.weeks.map(week => ({
+      ...(week.name.trim() && { name: week.name.trim() }),
+      schedule: fromEditorSchedule(week.days),
+    }));
+    if (!draft.repeat) plan.repeat = false;
+  } else {
+    plan.schedule = fromEditorSchedule(draft.weeks[0].days);
+  }
+
+  if (draft.startDate) plan.start_date = draft.startDate;
+  return plan;
+};
+
+// Move an item one place up (-1) or down (+1)
+const moveItem = (list, index, direction) => {
+  const target = index + direction;
+  if (target < 0 || target >= list.length) return list;
+  const copy = [...list];
+  [copy[index], copy[target]] = [copy[target], copy[index]];
+  return copy;
+};
+
+const capitalize = text => text.charAt(0).toUpperCase() + text.slice(1);
+
+const inputClass =
+  'w-full px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const iconButtonClass =
+  'p-1 text-gray-500 hover:text-blue-600 hover:bg-blue-50 rounded transition-colors disabled:opacity-30 disabled:cursor-not-allowed';
+
+const deleteButtonClass =
+  'p-1 text-gray-500 hover:text-red-600 hover:bg-red-50 rounded transition-colors';
+
+// PlanEditor component - edit the active plan with forms instead of JSON.
+// onSave receives the finished plan; errors it throws are shown inline.
+const PlanEditor = ({ plan, saving, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => toEditorPlan(plan));
+  const [errors, setErrors] = useState([]);
+
+  const isRotation = draft.type === 'rotation';
+
+  // Immutable updaters, narrowing from the plan down to one exercise
+  const updateDraft = changes => setDraft(prev => ({ ...prev, ...changes }));
+
+  const updateWeeks = update =>
+    setDraft(prev => ({ ...prev, weeks: update(prev.weeks) }));
+
+  const updateWeek = (weekIndex, update) =>
+    updateWeeks(weeks =>
+      weeks.map((week, i) => (i === weekIndex ? update(week) : week))
+    );
+
+  const updateDays = (weekIndex, update) =>
+    updateWeek(weekIndex, week => ({ ...week, days: update(week.days) }));
+
+  const updateDay = (weekIndex, dayIndex, update) =>
+    updateDays(weekIndex, days =>
+      days.map((day, i) => (i === dayIndex ? update(day) : day))
+    );
+
+  const updateExercises = (weekIndex, dayIndex, update) =>
+    updateDay(weekIndex, dayIndex, day => ({
+      ...day,
+      exercises: update(day.exercises),
+    }));
+
+  const updateExercise = (weekIndex, dayIndex, exerciseIndex, changes) =>
+    updateExercises(weekIndex, dayIndex, exercises =>
+      exercises.map((exercise, i) =>
+        i === exerciseIndex ? { ...exercise, ...changes } : exercise
+      )
+    );
+
+  // Weeks - adding one to a single-schedule plan makes it a program
+  const addWeek = () => {
+    const lastWeek = draft.weeks[draft.weeks.length - 1];
+    setDraft(prev => ({
+      ...prev,
+      type: 'weeks',
+      weeks: [
+        ...prev.weeks,
+        {
+          name: '',
+          // Start from a copy of the last week, the usual case for programs
+          days: lastWeek.days.map(day => ({
+            ...day,
+            exercises: day.exercises.map(exercise => ({ ...exercise })),
+          })),
+        },
+      ],
+    }));
+  };
+
+  const removeWeek = weekIndex =>
+    updateWeeks(weeks => weeks.filter((_, i) => i !== weekIndex));
+
+  // Days - weekly days go on the first free weekday
+  const addDay = weekIndex =>
+    updateDays(weekIndex, days => {
+      const freeDay = isRotation
+        ? null
+        : DAY_NAMES.find(dayName => !days.some(day => day.day === dayName));
+      if (!isRotation && !freeDay) return days;
+      return [...days, { day: freeDay, name: '', rest: false, exercises: [] }];
+    });
+
+  const removeDay = (weekIndex, dayIndex) =>
+    updateDays(weekIndex, days => days.filter((_, i) => i !== dayIndex));
+
+  const moveDay = (weekIndex, dayIndex, direction) =>
+    updateDays(weekIndex, days => moveItem(days, dayIndex, direction));
+
+  // Exercises
+  const addExercise = (weekIndex, dayIndex) =>
+    updateExercises(weekIndex, dayIndex, exercises => [
+      ...exercises,
+      { name: '', type: 'reps', sets: '3', target: '', notes: '' },
+    ]);
+
+  const removeExercise = (weekIndex, dayIndex, exerciseIndex) =>
+    updateExercises(weekIndex, dayIndex, exercises =>
+      exercises.filter((_, i) => i !== exerciseIndex)
+    );
+
+  const moveExercise = (weekIndex, dayIndex, exerciseIndex, direction) =>
+    updateExercises(weekIndex, dayIndex, exercises =>
+      moveItem(exercises, exerciseIndex, direction)
+    );
+
+  const handleSave = async () => {
+    const planData = fromEditorPlan(draft);
+
+    // Same checks the server runs, so most mistakes never leave the page
+    const { valid, errors: planErrors } = validateWorkoutPlan(planData);
+    if (!valid) {
+      setErrors(planErrors.map(formatPlanError));
+      return;
+    }
+
+    try {
+      setErrors([]);
+      await onSave(planData);
+    } catch (error) {
+      setErrors([
+        error.message?.startsWith('Invalid workout plan')
+          ? error.message
+          : errorHandler.handleApiError(error, 'plan save'),
+      ]);
+    }
+  };
+
+  const renderExercise = (exercise, weekIndex, dayIndex, exerciseIndex) => {
+    const exerciseCount =
+      draft.weeks[weekIndex].days[dayIndex].exercises.length;
+
+    return (
+      <div
+        key={exerciseIndex}
+        className="border border-gray-200 rounded p-3 bg-white space-y-2"
+      >
+        <div className="flex items-center gap-2">
+          <input
+            type="text"
+            value={exercise.name}
+            onChange={e =>
+              updateExercise(weekIndex, dayIndex, exerciseIndex, {
+                name: e.target.value,
+              })
+            }
+            placeholder="Exercise name"
+            className={inputClass}
+          />
+          <button
+            onClick={() => moveExercise(weekIndex, dayIndex, exerciseIndex, -1)}
+            disabled={exerciseIndex === 0}
+            className={iconButtonClass}
+            title="Move exercise up"
+          >
+            <ArrowUp size={16} />
+          </button>
+          <button
+            onClick={() => moveExercise(weekIndex, dayIndex, exerciseIndex, 1)}
+            disabled={exerciseIndex === exerciseCount - 1}
+            className={iconButtonClass}
+            title="Move exercise down"
+          >
+            <ArrowDown size={16} />
+          </button>
+          <button
+            onClick={() => removeExercise(weekIndex, dayIndex, exerciseIndex)}
+            className={deleteButtonClass}
+            title="Remove exercise"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-3 gap-2">
+          <label className="text-xs text-gray-600">
+            Type
+            <select
+              value={exercise.type}
+              onChange={e =>
+                updateExercise(weekIndex, dayIndex, exerciseIndex, {
+                  type: e.target.value,
+                })
+              }
+              className={inputClass}
+            >
+              {EXERCISE_TYPES.map(type => (
+                <option key={type} value={type}>
+                  {type === 'time' ? 'Timed' : 'Reps'}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="text-xs text-gray-600">
+            Sets
+            <input
+              type="number"
+              min="1"
+              max="20"
+              value={exercise.sets}
+              onChange={e =>
+                updateExercise(weekIndex, dayIndex, exerciseIndex, {
+                  sets: e.target.value,
+                })
+              }
+              className={inputClass}
+            />
+          </label>
+          <label className="text-xs text-gray-600">
+            {exercise.type === 'time' ? 'Target time' : 'Target reps'}
+            <input
+              type="text"
+              value={exercise.target}
+              onChange={e =>
+                updateExercise(weekIndex, dayIndex, exerciseIndex, {
+                  target: e.target.value,
+                })
+              }
+              placeholder={exercise.type === 'time' ? '30-60 sec' : '8-12'}
+              className={inputClass}
+            />
+          </label>
+        </div>
+
+        <input
+          type="text"
+          value={exercise.notes}
+          onChange={e =>
+            updateExercise(weekIndex, dayIndex, exerciseIndex, {
+              notes: e.target.value,
+            })
+          }
+          placeholder="Notes (optional)"
+          className={inputClass}
+        />
+      </div>
+    );
+  };
+
+  const renderDay = (day, weekIndex, dayIndex) => {
+    const days = draft.weeks[weekIndex].days;
+
+    return (
+      <div
+        key={dayIndex}
+        className="border border-gray-200 rounded-lg p-4 bg-gray-50 space-y-3"
+      >
+        <div className="flex items-center gap-2">
+          {isRotation ? (
+            <span className="text-sm font-medium text-gray-700 whitespace-nowrap">
+              Day {dayIndex + 1}
+            </span>
+          ) : (
+            <select
+              value={day.day}
+              onChange={e =>
+                updateDay(weekIndex, dayIndex, current => ({
+                  ...current,
+                  day: e.target.value,
+                }))
+              }
+              className={`${inputClass} w-auto`}
+              title="Weekday"
+            >
+              {DAY_NAMES.map(dayName => (
+                <option
+                  key={dayName}
+                  value={dayName}
+                  disabled={days.some(
+                    (other, i) => i !== dayIndex && other.day === dayName
+                  )}
+                >
+                  {capitalize(dayName)}
+                </option>
+              ))}
+            </select>
+          )}
+          <input
+            type="text"
+            value={day.name}
+            onChange={e =>
+              updateDay(weekIndex, dayIndex, current => ({
+                ...current,
+                name: e.target.value,
+              }))
+            }
+            placeholder="Workout name, e.g. Push Day"
+            className={inputClass}
+          />
+          <label
+            className="flex items-center gap-1 text-sm text-gray-700 whitespace-nowrap"
+            title="Light activity that doesn't count as a training day"
+          >
+            <input
+              type="checkbox"
+              checked={day.rest}
+              onChange={e =>
+                updateDay(weekIndex, dayIndex, current => ({
+                  ...current,
+                  rest: e.target.checked,
+                }))
+              }
+            />
+            Rest day
+          </label>
+          {isRotation && (
+            <>
+              <button
+                onClick={() => moveDay(weekIndex, dayIndex, -1)}
+                disabled={dayIndex === 0}
+                className={iconButtonClass}
+                title="Move day up"
+              >
+                <ArrowUp size={16} />
+              </button>
+              <button
+                onClick={() => moveDay(weekIndex, dayIndex, 1)}
+                disabled={dayIndex === days.length - 1}
+                className={iconButtonClass}
+                title="Move day down"
+              >
+                <ArrowDown size={16} />
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => removeDay(weekIndex, dayIndex)}
+            className={deleteButtonClass}
+            title="Remove day"
+          >
+            <Trash2 size={16} />
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          {day.exercises.map((exercise, exerciseIndex) =>
+            renderExercise(exercise, weekIndex, dayIndex, exerciseIndex)
+          )}
+        </div>
+
+        <button
+          onClick={() => addExercise(weekIndex, dayIndex)}
+          className="flex items-center text-sm text-blue-600 hover:text-blue-800 font-medium"
+        >
+          <Plus className="mr-1" size={14} />
+          Add exercise
+        </button>
+      </div>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Plan details */}
+      <div className="grid gap-4 md:grid-cols-2">
+        <label className="block text-sm font-medium text-gray-700">
+          Plan name
+          <input
+            type="text"
+            value={draft.name}
+            onChange={e => updateDraft({ name: e.target.value })}
+            className={inputClass}
+          />
+        </label>
+        {draft.type === 'weeks' && (
+          <div className="flex items-end gap-4">
+            <label className="block text-sm font-medium text-gray-700">
+              Start date
+              <input
+                type="date"
+                value={draft.startDate}
+                onChange={e => updateDraft({ startDate: e.target.value })}
+                className={inputClass}
+              />
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-700 pb-1">
+              <input
+                type="checkbox"
+                checked={draft.repeat}
+                onChange={e => updateDraft({ repeat: e.target.checked })}
+              />
+              Repeat when finished
+            </label>
+          </div>
+        )}
+      </div>
+
+      {/* Weeks and days */}
+      {draft.weeks.map((week, weekIndex) => (
+        <div
+          key={weekIndex}
+          className={
+            draft.weeks.length > 1
+              ? 'rounded-lg border-2 border-gray-200 p-4 space-y-4'
+              : 'space-y-4'
+          }
+        >
+          {draft.type === 'weeks' && (
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                value={week.name}
+                onChange={e =>
+                  updateWeek(weekIndex, current => ({
+                    ...current,
+                    name: e.target.value,
+                  }))
+                }
+                placeholder={`Week ${weekIndex + 1}`}
+                className={inputClass}
+              />
+              {draft.weeks.length > 1 && (
+                <button
+                  onClick={() => removeWeek(weekIndex)}
+                  className={deleteButtonClass}
+                  title="Remove week"
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+            </div>
+          )}
+
+          {week.days.map((day, dayIndex) =>
+            renderDay(day, weekIndex, dayIndex)
+          )}
+
+          <button
+            onClick={() => addDay(weekIndex)}
+            disabled={!isRotation && week.days.length >= DAY_NAMES.length}
+            className="flex items-center px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md border border-gray-300 text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <Plus className="mr-1" size={14} />
+            Add day
+          </button>
+        </div>
+      ))}
+
+      {!isRotation && (
+        <button
+          onClick={addWeek}
+          className="flex items-center px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md border border-gray-300 text-sm font-medium transition-colors"
+        >
+          <Plus className="mr-1" size={14} />
+          Add week
+        </button>
+      )}
+
+      {/* Validation or save errors */}
+      {errors.length > 0 && (
+        <div className="p-3 rounded-md bg-red-50 text-red-800 border border-red-200 text-sm">
+          <p className="font-medium mb-1">Please fix the following:</p>
+          <ul className="list-disc list-inside space-y-1">
+            {errors.slice(0, 5).map((error, index) => (
+              <li key={index}>{error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex items-center gap-3">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center px-4 py-2 bg-blue-600 hover:bg-blue-700 text-white rounded-md font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          <Save className="mr-2" size={16} />
+          {saving ? 'Saving...' : 'Save plan'}
+        </button>
+        <button
+          onClick={onCancel}
+          disabled={saving}
+          className="flex items-center px-4 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-md border border-gray-300 font-medium transition-colors disabled:opacity-50"
+        >
+          <X className="mr-2" size={16} />
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PlanEditor;
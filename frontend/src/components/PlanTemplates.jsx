@@ -0,0 +1,68 @@
+import React from 'react';
+import { Dumbbell, LayoutTemplate } from 'lucide-react';
+
+// PlanTemplates component - built-in plans a user can start from instead of
+// writing their own JSON
+const PlanTemplates = ({ templates, loading, adoptingId, onAdopt }) => {
+  const planTypeLabels = {
+    weekly: 'Weekly schedule',
+    weeks: 'Multi-week program',
+    rotation: 'Rotation',
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+      <h3 className="text-xl font-semibold text-gray-800 mb-4">
+        <LayoutTemplate className="inline mr-2" size={20} />
+        Plan Templates
+      </h3>
+
+      {loading && templates.length === 0 && (
+        <p className="text-sm text-gray-500">Loading templates...</p>
+      )}
+
+      <div className="grid gap-4 md:grid-cols-2">
+        {templates.map(template => (
+          <div
+            key={template.id}
+            className="flex flex-col justify-between p-4 rounded-lg border border-gray-200 bg-gray-50"
+          >
+            <div>
+              <p className="font-medium text-gray-800">{template.name}</p>
+              <p className="text-sm text-gray-600 mt-1">
+                {template.description}
+              </p>
+              <div className="flex flex-wrap gap-2 mt-3">
+                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800 capitalize">
+                  {template.level}
+                </span>
+                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                  {template.daysPerWeek} days/week
+                </span>
+                <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-200 text-gray-700">
+                  {planTypeLabels[template.planType] || template.planType}
+                </span>
+              </div>
+              {template.equipment && (
+                <p className="text-xs text-gray-500 mt-2">
+                  <Dumbbell className="inline mr-1" size={12} />
+                  {template.equipment}
+                </p>
+              )}
+            </div>
+
+            <button
+              onClick={() => onAdopt(template)}
+              disabled={adoptingId !== null}
+              className="mt-4 self-start px-3 py-1 bg-blue-600 hover:bg-blue-700 text-white rounded text-sm font-medium transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              {adoptingId === template.id ? 'Adding...' : 'Use this template'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default PlanTemplates;
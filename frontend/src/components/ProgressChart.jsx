@@ -0,0 +1,131 @@
+import React from 'react';
+import { formatShortDate } from '../utils/formatters.js';
+
+// Drawing area in SVG units; the chart scales to its container's width
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+
+const formatNumber = value =>
+  Number.isInteger(value) ? `${value}` : value.toFixed(1);
+
+// A simple line chart of values over time, drawn as SVG.
+// points: [{ date: 'YYYY-MM-DD', value }] oldest first.
+export const ProgressChart = ({ points, unit = '', label = 'Value' }) => {
+  if (points.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 py-8 text-center">
+        Nothing to chart yet.
+      </p>
+    );
+  }
+
+  const values = points.map(point => point.value);
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  // Give a flat line some room above and below
+  if (min === max) {
+    min = Math.max(0, min - 1);
+    max += 1;
+  }
+
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  // Sessions are spaced evenly; a single one sits in the middle
+  const x = index =>
+    PADDING.left +
+    (points.length === 1
+      ? plotWidth / 2
+      : (index / (points.length - 1)) * plotWidth);
+  const y = value =>
+    PADDING.top + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+  const path = points
+    .map(
+      (point, index) =>
+        `${index === 0 ? 'M' : 'L'} ${x(index)} ${y(point.value)}`
+    )
+    .join(' ');
+
+  const gridValues = [max, (min + max) / 2, min];
+  const suffix = unit ? ` ${unit}` : '';
+
+  return (
+    <svg
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      className="w-full h-auto"
+      role="img"
+      aria-label={`${label} over time`}
+    >
+      {/* Horizontal grid lines with their values */}
+      {gridValues.map(value => (
+        <g key={value}>
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(value)}
+            y2={y(value)}
+            className="stroke-gray-200"
+            strokeWidth="1"
+          />
+          <text
+            x={PADDING.left - 8}
+            y={y(value)}
+            textAnchor="end"
+            dominantBaseline="middle"
+            className="fill-gray-500 text-xs"
+          >
+            {formatNumber(value)}
+          </text>
+        </g>
+      ))}
+
+      <path
+        d={path}
+        fill="none"
+        className="stroke-blue-600"
+        strokeWidth="2"
+        strokeLinejoin="round"
+        strokeLinecap="round"
+      />
+
+      {points.map((point, index) => (
+        <circle
+          key={`${point.date}-${index}`}
+          cx={x(index)}
+          cy={y(point.value)}
+          r="4"
+          className="fill-white stroke-blue-600"
+          strokeWidth="2"
+        >
+          <title>{`${formatShortDate(point.date)}: ${formatNumber(
+            point.value
+          )}${suffix}`}</title>
+        </circle>
+      ))}
+
+      {/* First and last dates along the bottom */}
+      <text
+        x={x(0)}
+        y={HEIGHT - 8}
+        textAnchor={points.length === 1 ? 'middle' : 'start'}
+        className="fill-gray-500 text-xs"
+      >
+        {formatShortDate(points[0].date)}
+      </text>
+      {points.length > 1 && (
+        <text
+          x={x(points.length - 1)}
+          y={HEIGHT - 8}
+          textAnchor="end"
+          className="fill-gray-500 text-xs"
+        >
+          {formatShortDate(points[points.length - 1].date)}
+        </text>
+      )}
+    </svg>
+  );
+};
+
+export default ProgressChart;
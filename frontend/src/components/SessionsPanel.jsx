@@ -0,0 +1,157 @@
+import React, { useEffect, useState } from 'react';
+import { LogOut, Monitor, Smartphone } from 'lucide-react';
+import api from '../api/index.js';
+import errorHandler from '../utils/errorHandler.js';
+import { formatDateTime } from '../utils/formatters.js';
+
+const BROWSERS = [
+  ['Edg/', 'Edge'],
+  ['OPR/', 'Opera'],
+  ['Firefox/', 'Firefox'],
+  ['Chrome/', 'Chrome'],
+  ['Safari/', 'Safari'],
+];
+
+const SYSTEMS = [
+  ['iPhone', 'iPhone'],
+  ['iPad', 'iPad'],
+  ['Android', 'Android'],
+  ['Windows', 'Windows'],
+  ['Mac OS X', 'macOS'],
+  ['Linux', 'Linux'],
+];
+
+// "Chrome on Android" from a user agent string, good enough to tell devices
+// apart. Order matters: Edge and Opera also claim to be Chrome and Safari.
+const describeDevice = userAgent => {
+  if (!userAgent) return 'Unknown device';
+  const browser = BROWSERS.find(([marker]) => userAgent.includes(marker));
+  const system = SYSTEMS.find(([marker]) => userAgent.includes(marker));
+  if (!browser && !system) return userAgent;
+  return [browser?.[1], system?.[1]].filter(Boolean).join(' on ');
+};
+
+const isMobile = userAgent =>
+  /iPhone|iPad|Android|Mobile/.test(userAgent || '');
+
+// Devices signed in to this account, each of which can be signed out
+export const SessionsPanel = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [revokingId, setRevokingId] = useState(null); // 'others' for all
+
+  const loadSessions = async () => {
+    try {
+      const data = await api.getSessions();
+      setSessions(data.sessions || []);
+      setError('');
+    } catch (err) {
+      setError(errorHandler.handleApiError(err, 'load sessions'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSessions();
+  }, []);
+
+  const revokeSession = async session => {
+    setRevokingId(session.id);
+    try {
+      await api.revokeSession(session.id);
+      setSessions(current => current.filter(item => item.id !== session.id));
+    } catch (err) {
+      setError(errorHandler.handleApiError(err, 'revoke session'));
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const revokeOtherSessions = async () => {
+    if (!confirm('Sign out every other device?')) return;
+
+    setRevokingId('others');
+    try {
+      await api.revokeOtherSessions();
+      setSessions(current => current.filter(item => item.current));
+    } catch (err) {
+      setError(errorHandler.handleApiError(err, 'revoke other sessions'));
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const hasOtherSessions = sessions.some(session => !session.current);
+
+  return (
+    <div className="bg-white border rounded-lg p-4">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="font-semibold text-gray-900">Signed-in devices</h3>
+        {hasOtherSessions && (
+          <button
+            onClick={revokeOtherSessions}
+            disabled={revokingId !== null}
+            className="px-3 py-1 text-sm font-medium text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50 rounded-md transition-colors"
+          >
+            Sign out all other devices
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 text-red-700 rounded-md p-3 mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading devices...</p>
+      ) : (
+        <ul className="divide-y">
+          {sessions.map(session => {
+            const Icon = isMobile(session.userAgent) ? Smartphone : Monitor;
+            return (
+              <li
+                key={session.id}
+                className="flex items-center justify-between gap-4 py-3"
+              >
+                <div className="flex items-center min-w-0">
+                  <Icon className="mr-3 text-gray-500 shrink-0" size={20} />
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">
+                      {describeDevice(session.userAgent)}
+                      {session.current && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-medium text-green-700 bg-green-100 rounded-full">
+                          This device
+                        </span>
+                      )}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.ipAddress && `${session.ipAddress} · `}
+                      Last active {formatDateTime(null, session.lastUsedAt)}
+                    </p>
+                  </div>
+                </div>
+                {!session.current && (
+                  <button
+                    onClick={() => revokeSession(session)}
+                    disabled={revokingId !== null}
+                    className="flex items-center px-2 py-1 text-sm text-gray-600 hover:text-red-600 disabled:opacity-50 rounded shrink-0"
+                    title="Sign out this device"
+                  >
+                    <LogOut className="mr-1" size={14} />
+                    {revokingId === session.id ? 'Signing out...' : 'Sign out'}
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SessionsPanel;
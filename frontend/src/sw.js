@@ -0,0 +1,107 @@
+// ==========================================
+// SERVICE WORKER
+// ==========================================
+// Not bundled directly: the service worker plugin in vite.config.js fills
+// in the list of built files to precache and the cache version, and writes
+// the result to dist/sw.js.
+//
+// - Built assets: precached on install, served cache-first
+// - Page loads: network first, falling back to the cached app shell
+// - Today's workout and the plan: network first, falling back to the last
+//   good response so the app still opens without signal
+// - All other API requests go straight to the network
+
+const STATIC_CACHE = `sweatsync-static-${__CACHE_VERSION__}`;
+const API_CACHE = 'sweatsync-api';
+const CACHED_API_PATHS = ['/api/workouts/today', '/api/workouts/plan'];
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches
+      .open(STATIC_CACHE)
+      .then(cache => cache.addAll(__PRECACHE_URLS__))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drop the precache of older builds
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then(keys =>
+        Promise.all(
+          keys
+            .filter(
+              key => key.startsWith('sweatsync-static-') && key !== STATIC_CACHE
+            )
+            .map(key => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+// The app asks for this on logout so the next user never sees cached data
+self.addEventListener('message', event => {
+  if (event.data?.type === 'CLEAR_API_CACHE') {
+    event.waitUntil(caches.delete(API_CACHE));
+  }
+});
+
+// Fetch from the network and remember good API responses by path. Offline,
+// answer with the last remembered response.
+const fetchApiWithFallback = async (request, path) => {
+  const cache = await caches.open(API_CACHE);
+
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(path, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(path, { ignoreVary: true });
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Page loads get fresh HTML when possible, otherwise the precached shell
+const fetchPage = async request => {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const cached = await caches.match('/index.html');
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+const fetchStatic = async request => {
+  const cached = await caches.match(request);
+  return cached || fetch(request);
+};
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) {
+    return;
+  }
+
+  if (url.pathname.startsWith('/api/')) {
+    if (CACHED_API_PATHS.includes(url.pathname)) {
+      event.respondWith(fetchApiWithFallback(request, url.pathname));
+    }
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(fetchPage(request));
+    return;
+  }
+
+  event.respondWith(fetchStatic(request));
+});
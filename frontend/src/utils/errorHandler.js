@@ -5,7 +5,14 @@
 
 import logger from './logger.js';
 
-// Map technical errors to user-friendly messages
+// "3 minutes" from a wait in seconds, rounded up
+const describeWait = seconds => {
+  const minutes = Math.max(1, Math.ceil((seconds || 60) / 60));
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+};
+
+// Map technical errors to user-friendly messages. A function gets the error
+// and returns the message, for messages that need details from it.
 const ERROR_MESSAGES = {
   // Network/Connection errors
   'Failed to fetch':
@@ -18,14 +25,68 @@ const ERROR_MESSAGES = {
   'Invalid credentials': 'Username or password is incorrect.',
   'Token validation failed': 'Your session has expired. Please log in again.',
   'User not found': 'Username or password is incorrect.',
+  'Too many login attempts': error =>
+    `Too many login attempts. Please try again in ${describeWait(
+      error.retryAfter
+    )}.`,
   'Username already exists':
     'This username is already taken. Please choose another.',
+  'Token expired': 'Your session has expired. Please log in again.',
+  'Session expired': 'Your session has expired. Please log in again.',
+  'Invalid refresh token': 'Your session has expired. Please log in again.',
+  'Session not found': 'That device is already signed out.',
+  'Failed to load sessions': 'Could not load your signed-in devices.',
+  'Failed to sign out session':
+    'Could not sign out that device. Please try again.',
+  'Failed to sign out other sessions':
+    'Could not sign out your other devices. Please try again.',
 
   // Workout errors
   'Failed to fetch workout':
     "Could not load today's workout. Please try again.",
   'Failed to save workout': 'Could not save your workout. Please try again.',
   'Workout not found': 'This workout could not be found.',
+  'Access denied or workout not found': 'This workout could not be found.',
+  'Failed to get workout': 'Could not load that workout. Please try again.',
+  'Failed to update workout':
+    'Could not save your changes to the workout. Please try again.',
+
+  // Workout plan errors
+  'Workout plan not found':
+    'That workout plan no longer exists. Try refreshing the page.',
+  'Failed to load workout plans': 'Could not load your saved plans.',
+  'Failed to activate workout plan':
+    'Could not switch to that plan. Please try again.',
+  'Failed to update workout plan':
+    'Could not save your changes to the plan. Please try again.',
+  'Plan template not found':
+    'That template is no longer available. Try refreshing the page.',
+  'Failed to load plan templates': 'Could not load the plan templates.',
+  'Failed to adopt plan template':
+    'Could not start that template. Please try again.',
+
+  // Progress dashboard errors
+  'Failed to load consistency stats': 'Could not load your streaks.',
+  'Failed to load personal records': 'Could not load your personal records.',
+  'Failed to load exercise analytics':
+    'Could not load progress for that exercise.',
+  'Failed to load exercises': 'Could not load your exercise list.',
+  'No logged sets found for this exercise':
+    'There are no logged sets for that exercise yet.',
+
+  // Goal errors
+  'Goal not found': 'That goal no longer exists. Try refreshing the page.',
+  'Failed to load goals': 'Could not load your goals.',
+  'Failed to create goal': 'Could not save your goal. Please try again.',
+  'Failed to update goal': 'Could not save your goal. Please try again.',
+  'Failed to delete goal': 'Could not delete that goal. Please try again.',
+  'Strength goals need':
+    'Strength goals need an exercise, a weight and a number of reps.',
+  'Consistency goals need':
+    'Consistency goals need 1-14 sessions per week for 1-52 weeks.',
+  'Volume goals need': 'Volume goals need a total volume to reach.',
+  'Goal end date must not be before its start date':
+    'The end date must be on or after the start date.',
 
   // Validation errors
   'Please fill in all fields': 'Please fill in all required fields.',
@@ -44,17 +105,23 @@ class ErrorHandler {
   getUserFriendlyMessage(error) {
     if (!error) return 'An unexpected error occurred.';
 
+    // Already converted, e.g. rethrown by errorUtils.withErrorHandling
+    if (error.userMessage) return error.userMessage;
+
     const errorMessage = error.message || error.toString();
 
+    const toMessage = value =>
+      typeof value === 'function' ? value(error) : value;
+
     // Look for exact matches first
     if (ERROR_MESSAGES[errorMessage]) {
-      return ERROR_MESSAGES[errorMessage];
+      return toMessage(ERROR_MESSAGES[errorMessage]);
     }
 
     // Look for partial matches
     for (const [key, value] of Object.entries(ERROR_MESSAGES)) {
       if (errorMessage.includes(key)) {
-        return value;
+        return toMessage(value);
       }
     }
 
@@ -126,24 +193,13 @@ export const validators = {
     return true;
   },
 
-  // Validate JSON file content
+  // Parse JSON file content. What the content has to contain is up to the
+  // caller, e.g. validateWorkoutPlan for plan uploads.
   json: jsonString => {
     try {
-      const parsed = JSON.parse(jsonString);
-
-      // Validate workout plan structure
-      if (parsed.name && parsed.schedule) {
-        return parsed;
-      } else {
-        throw new Error(
-          'Invalid JSON: Must include "name" and "schedule" fields'
-        );
-      }
-    } catch (error) {
-      if (error.message.includes('JSON')) {
-        throw new Error('Invalid JSON format');
-      }
-      throw error;
+      return JSON.parse(jsonString);
+    } catch {
+      throw new Error('Invalid JSON format');
     }
   },
 };
@@ -156,7 +212,9 @@ export const errorUtils = {
       return await operation();
     } catch (error) {
       const userMessage = errorHandler.handleError(error, errorContext);
-      throw new Error(userMessage);
+      // Keep details such as retryAfter, and the converted message so
+      // handling this error again doesn't convert it a second time
+      throw Object.assign(new Error(userMessage), error, { userMessage });
     }
   },
 
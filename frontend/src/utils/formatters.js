@@ -1,10 +1,12 @@
 // Helper function to format date and time in a user-friendly way
 export const formatDateTime = (dateString, completedAt) => {
-  // Use completed_at if available (has time), otherwise fall back to date
-  const timestamp = completedAt || dateString;
-
   try {
-    const date = new Date(timestamp);
+    // Use completed_at if available (has time), otherwise fall back to date.
+    // completed_at is a UTC SQLite timestamp ("2025-07-11 19:30:00") with no
+    // zone marker, so mark it as UTC before converting to local time.
+    const date = completedAt
+      ? new Date(`${completedAt.replace(' ', 'T')}Z`)
+      : new Date(`${dateString}T00:00:00`);
 
     // Check if date is valid
     if (isNaN(date.getTime())) {
@@ -33,3 +35,63 @@ export const formatDateTime = (dateString, completedAt) => {
     return dateString; // Fall back to original if anything goes wrong
   }
 };
+
+// Today's date on this device as "YYYY-MM-DD" (toISOString would give the
+// UTC date, which is tomorrow for evening workouts west of Greenwich)
+export const getLocalDateString = (date = new Date()) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+// "2025-07-11" -> "Jul 11", read as a local calendar date
+export const formatShortDate = dateString =>
+  new Date(`${dateString}T00:00:00`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+  });
+
+// Label and detail line for a personal record from the API
+export const describePersonalRecord = record => {
+  switch (record.type) {
+    case 'heaviest_weight':
+      return {
+        label: 'Heaviest weight',
+        detail: `${record.value} lbs × ${record.reps} (was ${record.previousValue} lbs)`,
+      };
+    case 'most_reps':
+      return {
+        label:
+          record.weight === null
+            ? 'Most reps'
+            : `Most reps at ${record.weight} lbs`,
+        detail: `${record.value} reps (was ${record.previousValue})`,
+      };
+    case 'estimated_1rm':
+      return {
+        label: 'Best estimated 1RM',
+        detail: `${record.value} lbs from ${record.weight} × ${record.reps} (was ${record.previousValue} lbs)`,
+      };
+    case 'longest_hold':
+      return {
+        label: 'Longest hold',
+        detail: `${record.value}s (was ${record.previousValue}s)`,
+      };
+    default:
+      return { label: 'Personal record', detail: `${record.value}` };
+  }
+};
+
+// Short description of a goal's target, e.g. "Squat 225 lbs × 5"
+export const describeGoal = goal => {
+  if (goal.type === 'strength') {
+    return `${goal.exercise} ${goal.targetWeight} lbs × ${goal.targetReps}`;
+  }
+  if (goal.type === 'consistency') {
+    return `${goal.sessionsPerWeek} ${
+      goal.sessionsPerWeek === 1 ? 'session' : 'sessions'
+    }/week for ${goal.weeks} ${goal.weeks === 1 ? 'week' : 'weeks'}`;
+  }
+  const volume = `${goal.targetVolume.toLocaleString('en-US')} lbs volume`;
+  return goal.exercise ? `${goal.exercise}: ${volume}` : volume;
+};
@@ -0,0 +1,15 @@
+// ==========================================
+// IDEMPOTENCY KEYS
+// ==========================================
+// Unique keys sent with requests that must not be applied twice, such as
+// completing a workout. The server returns the original result when it
+// sees a key again.
+
+export const createIdempotencyKey = () => {
+  // randomUUID only exists in secure contexts (HTTPS or localhost), so fall
+  // back to time + randomness when the app is opened over plain HTTP
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+};
@@ -0,0 +1,99 @@
+// ==========================================
+// OFFLINE WORKOUT QUEUE
+// ==========================================
+// Completed workouts that could not reach the server are kept in IndexedDB
+// until the sync engine delivers them. Entries are keyed by the workout's
+// idempotency key, so replaying one can never save it twice.
+
+import logger from './logger.js';
+
+const DB_NAME = 'sweatsync';
+const DB_VERSION = 1;
+const STORE_NAME = 'pendingWorkouts';
+
+let dbPromise = null;
+
+// Open (and on first use, create) the database. The connection is reused.
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, {
+            keyPath: 'idempotencyKey',
+          });
+          store.createIndex('userId', 'userId');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Let a later call try again if opening failed
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+
+  return dbPromise;
+};
+
+// Run a single request against the store and resolve with its result
+const withStore = async (mode, operation) => {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = operation(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+// Save a workout for later. workoutData is the body for /workouts/complete
+// and must carry an idempotencyKey.
+export const queueWorkout = async (userId, workoutData) => {
+  const entry = {
+    idempotencyKey: workoutData.idempotencyKey,
+    userId,
+    workoutData,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    lastError: null,
+  };
+
+  await withStore('readwrite', store => store.put(entry));
+  logger.info('Workout queued for sync', {
+    workoutName: workoutData.workout?.name,
+    idempotencyKey: entry.idempotencyKey,
+  });
+  return entry;
+};
+
+// Every queued workout for a user, oldest first
+export const getPendingWorkouts = async userId => {
+  const entries = await withStore('readonly', store =>
+    store.index('userId').getAll(userId)
+  );
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+};
+
+export const countPendingWorkouts = userId =>
+  withStore('readonly', store => store.index('userId').count(userId));
+
+export const updatePendingWorkout = entry =>
+  withStore('readwrite', store => store.put(entry));
+
+export const removePendingWorkout = idempotencyKey =>
+  withStore('readwrite', store => store.delete(idempotencyKey));
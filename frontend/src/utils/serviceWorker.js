@@ -0,0 +1,33 @@
+// ==========================================
+// SERVICE WORKER REGISTRATION
+// ==========================================
+// The service worker (src/sw.js) is only built for production, so it is
+// only registered there. In development Vite serves everything fresh.
+
+import logger from './logger.js';
+
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register('/sw.js')
+      .then(registration => {
+        logger.info('Service worker registered', {
+          scope: registration.scope,
+        });
+      })
+      .catch(error => {
+        logger.error('Service worker registration failed', error);
+      });
+  });
+};
+
+// Forget cached API responses (today's workout, the plan) on logout
+export const clearCachedApiResponses = () => {
+  navigator.serviceWorker?.controller?.postMessage({
+    type: 'CLEAR_API_CACHE',
+  });
+};
@@ -0,0 +1,135 @@
+// ==========================================
+// BACKGROUND SYNC
+// ==========================================
+// Replays workouts from the offline queue to /workouts/complete once the
+// connection is back. Each queued workout keeps the idempotency key from its
+// first attempt, so one that did reach the server is not saved again.
+
+import api from '../api/index.js';
+import logger from './logger.js';
+import { errorUtils } from './errorHandler.js';
+import {
+  countPendingWorkouts,
+  getPendingWorkouts,
+  removePendingWorkout,
+  updatePendingWorkout,
+} from './offlineQueue.js';
+
+const RETRY_INTERVAL = 60 * 1000; // Check the queue every minute
+
+// Longest wait between tries of a workout the server failed to save
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+
+// The server looked at the workout and turned it down; sending it again
+// won't change that, so it is dropped. Any other failure (a 5xx, a proxy's
+// error page during a deploy) is kept and retried for as long as it takes.
+const REJECTED_STATUSES = [400, 422];
+
+let activeSync = null; // Only one sync runs at a time
+
+// Send every queued workout for the user, oldest first. Stops at the first
+// network error (still offline). Workouts the server rejects are dropped;
+// other failures stay queued with the error recorded and are tried again
+// after a wait that doubles each time. Resolves with { synced, dropped }:
+// the number sent and the entries given up on.
+export const syncPendingWorkouts = userId => {
+  if (activeSync) return activeSync;
+
+  activeSync = (async () => {
+    const entries = await getPendingWorkouts(userId);
+    let synced = 0;
+    const dropped = [];
+
+    for (const entry of entries) {
+      if (entry.retryAt && Date.now() < entry.retryAt) continue;
+
+      try {
+        await api.completeWorkout(entry.workoutData);
+        await removePendingWorkout(entry.idempotencyKey);
+        synced += 1;
+      } catch (error) {
+        if (errorUtils.isNetworkError(error)) {
+          break;
+        }
+        const failed = {
+          ...entry,
+          attempts: entry.attempts + 1,
+          lastError: error.message,
+        };
+        if (REJECTED_STATUSES.includes(error.status)) {
+          await removePendingWorkout(entry.idempotencyKey);
+          dropped.push(failed);
+          logger.warn('Server rejected queued workout', {
+            idempotencyKey: entry.idempotencyKey,
+            httpStatus: error.status,
+            error: error.message,
+          });
+        } else {
+          // 1, 2, 4... minutes, up to MAX_RETRY_DELAY
+          failed.retryAt =
+            Date.now() +
+            Math.min(
+              RETRY_INTERVAL * 2 ** (failed.attempts - 1),
+              MAX_RETRY_DELAY
+            );
+          await updatePendingWorkout(failed);
+        }
+      }
+    }
+
+    if (entries.length > 0) {
+      logger.info('Workout sync finished', {
+        synced,
+        dropped: dropped.length,
+        remaining: entries.length - synced - dropped.length,
+      });
+    }
+    return { synced, dropped };
+  })().finally(() => {
+    activeSync = null;
+  });
+
+  return activeSync;
+};
+
+// Keep the queue flowing for the logged-in user: sync now, whenever the
+// browser comes back online, and on a timer. onChange receives the number
+// of workouts still waiting after every run; onDrop receives the entries
+// that were given up on, so the user can be told.
+// Returns { sync, stop }: sync() runs a pass immediately.
+export const startSyncEngine = (userId, onChange, onDrop = () => {}) => {
+  let stopped = false;
+
+  const sync = async () => {
+    try {
+      if (navigator.onLine !== false) {
+        const { dropped } = await syncPendingWorkouts(userId);
+        if (dropped.length > 0 && !stopped) onDrop(dropped);
+      }
+    } catch (error) {
+      logger.error('Workout sync failed', error);
+    }
+
+    try {
+      const pending = await countPendingWorkouts(userId);
+      if (!stopped) onChange(pending);
+    } catch (error) {
+      logger.warn('Could not read the offline workout queue', {
+        error: error.message,
+      });
+    }
+  };
+
+  window.addEventListener('online', sync);
+  const timer = setInterval(sync, RETRY_INTERVAL);
+  sync();
+
+  return {
+    sync,
+    stop: () => {
+      stopped = true;
+      window.removeEventListener('online', sync);
+      clearInterval(timer);
+    },
+  };
+};
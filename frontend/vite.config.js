@@ -1,11 +1,52 @@
 import react from "@vitejs/plugin-react";
+import { createHash } from "crypto";
+import { readFileSync } from "fs";
 import { defineConfig } from "vite";
 
+// The app shell: the page itself is emitted after this plugin runs, and
+// public/ files are copied without going through the bundle
+const APP_SHELL = ["/index.html", "/droplet.svg", "/manifest.webmanifest"];
+
+// Turn src/sw.js into dist/sw.js with the list of files to precache. The
+// cache version changes whenever a built file or the worker itself does.
+const serviceWorker = () => ({
+  name: "sweatsync-service-worker",
+  apply: "build",
+  generateBundle(options, bundle) {
+    const template = readFileSync(
+      new URL("./src/sw.js", import.meta.url),
+      "utf8"
+    );
+    const urls = [
+      ...APP_SHELL,
+      ...Object.keys(bundle)
+        .map((fileName) => `/${fileName}`)
+        .filter((url) => !APP_SHELL.includes(url)),
+    ];
+    const version = createHash("sha256")
+      .update(template + urls.join("\n"))
+      .digest("hex")
+      .slice(0, 12);
+
+    this.emitFile({
+      type: "asset",
+      fileName: "sw.js",
+      source: template
+        .replace("__PRECACHE_URLS__", JSON.stringify(urls))
+        .replace("__CACHE_VERSION__", JSON.stringify(version)),
+    });
+  },
+});
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     port: 5173,
+    fs: {
+      // Allow importing modules from ../shared (e.g. the plan schema)
+      allow: [".."],
+    },
     proxy: {
       "/api": {
         target: "http://localhost:3000",
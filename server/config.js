@@ -0,0 +1,173 @@
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+// Server settings, read once at startup. Later sources win:
+//   1. defaults, some of which depend on NODE_ENV
+//   2. .env, .env.local, .env.<NODE_ENV>, .env.<NODE_ENV>.local in the
+//      project root
+//   3. real environment variables
+// Every setting is checked before anything else runs. If any is invalid the
+// process stops with a list of all the problems, not just the first.
+
+const ROOT_DIR = path.join(__dirname, "..");
+const ENVIRONMENTS = ["development", "test", "production"];
+
+// The placeholder older versions fell back to; never accept it
+const PLACEHOLDER_SECRET = "your-secret-key-change-this-in-production";
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+const DEFAULTS = {
+  PORT: "3000",
+  ALLOWED_ORIGINS: "http://localhost:5173,http://localhost:3000",
+  ACCESS_TOKEN_MINUTES: "15",
+  REFRESH_TOKEN_DAYS: "30",
+  TRUST_PROXY: "false",
+  DB_PATH: path.join(__dirname, "workout_tracker.db"),
+  BACKUP_DIR: path.join(ROOT_DIR, "backups"),
+  BACKUP_INTERVAL_HOURS: "24",
+  BACKUP_KEEP_DAILY: "7",
+  BACKUP_KEEP_WEEKLY: "4",
+};
+
+// Tests get a throwaway database and no backup timer
+const ENVIRONMENT_DEFAULTS = {
+  development: {},
+  test: { DB_PATH: ":memory:", BACKUP_INTERVAL_HOURS: "0" },
+  production: {},
+};
+
+const readEnvFile = (file) => {
+  const filePath = path.join(ROOT_DIR, file);
+  return fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+};
+
+// Merge the sources into one set of raw string values
+const readSettings = (env = process.env) => {
+  const base = { ...readEnvFile(".env"), ...readEnvFile(".env.local") };
+  const nodeEnv = env.NODE_ENV || base.NODE_ENV || "development";
+
+  return {
+    ...DEFAULTS,
+    ...ENVIRONMENT_DEFAULTS[nodeEnv],
+    ...base,
+    ...readEnvFile(`.env.${nodeEnv}`),
+    ...readEnvFile(`.env.${nodeEnv}.local`),
+    ...env,
+    NODE_ENV: nodeEnv,
+  };
+};
+
+// Check raw settings and turn them into the config object. Returns
+// { config } or { errors } with one message per bad setting.
+const buildConfig = (settings) => {
+  const errors = [];
+
+  const readInteger = (name, min, max) => {
+    const raw = String(settings[name]).trim();
+    const value = Number(raw);
+    if (!/^\d+$/.test(raw) || value < min || value > max) {
+      errors.push(
+        `${name} must be a whole number from ${min} to ${max} (got "${settings[name]}")`
+      );
+      return null;
+    }
+    return value;
+  };
+
+  const env = settings.NODE_ENV;
+  if (!ENVIRONMENTS.includes(env)) {
+    errors.push(
+      `NODE_ENV must be one of: ${ENVIRONMENTS.join(", ")} (got "${env}")`
+    );
+  }
+  const isProduction = env === "production";
+
+  const jwtSecret = settings.JWT_SECRET || "";
+  if (!jwtSecret) {
+    errors.push("JWT_SECRET is required");
+  } else if (jwtSecret === PLACEHOLDER_SECRET) {
+    errors.push(
+      "JWT_SECRET is still the example placeholder; set a random secret"
+    );
+  } else if (isProduction && jwtSecret.length < MIN_PRODUCTION_SECRET_LENGTH) {
+    errors.push(
+      `JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production (e.g. openssl rand -base64 32)`
+    );
+  }
+
+  const allowedOrigins = settings.ALLOWED_ORIGINS.split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+  allowedOrigins.forEach((origin) => {
+    let parsed = null;
+    try {
+      parsed = new URL(origin);
+    } catch (err) {
+      // Reported below
+    }
+    if (!parsed || parsed.origin !== origin) {
+      errors.push(
+        `ALLOWED_ORIGINS entry "${origin}" is not an origin like https://example.com`
+      );
+    }
+  });
+
+  // Express "trust proxy": how to find the client's address behind a reverse
+  // proxy. Login throttling goes by that address.
+  const readTrustProxy = () => {
+    const raw = String(settings.TRUST_PROXY).trim();
+    if (raw === "true") return true;
+    if (raw === "false" || raw === "") return false;
+    if (/^\d+$/.test(raw)) return Number(raw);
+    if (!/^[\w.:/,\s]+$/.test(raw)) {
+      errors.push(
+        `TRUST_PROXY must be true, false, a hop count or a list of addresses (got "${raw}")`
+      );
+    }
+    return raw;
+  };
+
+  const dbPath = settings.DB_PATH.trim();
+  if (!dbPath) {
+    errors.push("DB_PATH must not be empty");
+  }
+
+  const config = {
+    env,
+    isProduction,
+    port: readInteger("PORT", 1, 65535),
+    jwtSecret,
+    accessTokenMinutes: readInteger("ACCESS_TOKEN_MINUTES", 1, 24 * 60),
+    // Sliding: every refresh starts the period again
+    refreshTokenDays: readInteger("REFRESH_TOKEN_DAYS", 1, 365),
+    allowedOrigins,
+    trustProxy: readTrustProxy(),
+    dbPath: dbPath === ":memory:" ? dbPath : path.resolve(dbPath),
+    backups: {
+      dir: path.resolve(settings.BACKUP_DIR),
+      // 0 turns scheduled backups off
+      intervalHours: readInteger("BACKUP_INTERVAL_HOURS", 0, 24 * 365),
+      keepDaily: readInteger("BACKUP_KEEP_DAILY", 0, 365),
+      keepWeekly: readInteger("BACKUP_KEEP_WEEKLY", 0, 520),
+    },
+  };
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  Object.freeze(config.allowedOrigins);
+  Object.freeze(config.backups);
+  return { config: Object.freeze(config) };
+};
+
+const { config, errors } = buildConfig(readSettings());
+
+if (errors) {
+  console.error("ERROR: Invalid configuration:");
+  errors.forEach((error) => console.error(`  - ${error}`));
+  process.exit(1);
+}
+
+module.exports = config;
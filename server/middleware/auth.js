@@ -1,38 +1,64 @@
 const jwt = require('jsonwebtoken');
-const database = require('../models/database');
+const config = require('../config');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this-in-production';
+// Middleware that checks the bearer token and loads its user from
+// `database` into req.user. The token's session must still be active, so
+// revoking a session locks its device out straight away rather than when
+// the token expires. req.sessionId is the session the request came from.
+const createAuthenticateToken = database => {
+  return async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
 
-const authenticateToken = async (req, res, next) => {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({ error: 'Access token required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, config.jwtSecret);
+    } catch (err) {
+      // The client refreshes and retries on 401
+      if (err instanceof jwt.TokenExpiredError) {
+        return res.status(401).json({ error: 'Token expired' });
+      }
+      console.error('Token verification error:', err);
+      return res.status(403).json({ error: 'Invalid token' });
+    }
 
-  if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
-  }
+    try {
+      // Tokens issued before sessions existed carry no session ID
+      const session = decoded.sessionId
+        ? await database.getActiveSession(decoded.sessionId, decoded.userId)
+        : null;
+      if (!session) {
+        return res.status(401).json({ error: 'Session expired' });
+      }
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await database.getUserById(decoded.userId);
+      const user = await database.getUserById(decoded.userId);
     
-    if (!user) {
-      return res.status(401).json({ error: 'User not found' });
-    }
+      if (!user) {
+        return res.status(401).json({ error: 'User not found' });
+      }
 
-    req.user = user;
-    next();
-  } catch (err) {
-    console.error('Token verification error:', err);
-    return res.status(403).json({ error: 'Invalid token' });
-  }
+      req.user = user;
+      req.sessionId = session.id;
+      next();
+    } catch (err) {
+      console.error('Authentication error:', err);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  };
 };
 
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, JWT_SECRET, { expiresIn: '7d' });
+// Short-lived token for API requests, tied to a login session
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, config.jwtSecret, {
+    expiresIn: config.accessTokenMinutes * 60
+  });
 };
 
 module.exports = {
-  authenticateToken,
-  generateToken,
-  JWT_SECRET
-};
\ No newline at end of file
+  createAuthenticateToken,
+  generateAccessToken
+};
@@ -0,0 +1,108 @@
+// Move exercises and sets out of the workouts.workout_data JSON blob into
+// their own tables so history can be queried per exercise. The blob column
+// is kept as the raw submitted payload; the new tables are authoritative.
+
+// Blank strings from the set inputs become NULL
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const inferType = (sets) =>
+  sets.some((set) => toNumber(set.time) !== null) &&
+  !sets.some((set) => toNumber(set.reps) !== null)
+    ? "time"
+    : "reps";
+
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE workouts ADD COLUMN workout_name TEXT");
+
+    await db.run(`
+      CREATE TABLE workout_exercises (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workout_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        type TEXT NOT NULL DEFAULT 'reps',
+        notes TEXT NOT NULL DEFAULT '',
+        FOREIGN KEY (workout_id) REFERENCES workouts (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(`
+      CREATE TABLE workout_sets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        exercise_id INTEGER NOT NULL,
+        position INTEGER NOT NULL,
+        reps INTEGER,
+        weight REAL,
+        time INTEGER,
+        notes TEXT NOT NULL DEFAULT '',
+        FOREIGN KEY (exercise_id) REFERENCES workout_exercises (id) ON DELETE CASCADE
+      )
+    `);
+
+    await db.run(
+      "CREATE INDEX idx_workout_exercises_workout ON workout_exercises (workout_id)"
+    );
+    await db.run(
+      "CREATE INDEX idx_workout_exercises_name ON workout_exercises (name)"
+    );
+    await db.run(
+      "CREATE INDEX idx_workout_sets_exercise ON workout_sets (exercise_id)"
+    );
+
+    // Backfill from the existing blobs
+    const workouts = await db.all("SELECT id, workout_data FROM workouts");
+
+    for (const workout of workouts) {
+      let data;
+      try {
+        data = JSON.parse(workout.workout_data);
+      } catch (err) {
+        console.warn(
+          `Skipping workout ${workout.id}: unreadable workout_data (${err.message})`
+        );
+        continue;
+      }
+
+      await db.run("UPDATE workouts SET workout_name = ? WHERE id = ?", [
+        data.workoutName || null,
+        workout.id,
+      ]);
+
+      const exercises = Array.isArray(data.exercises) ? data.exercises : [];
+      for (const [position, exercise] of exercises.entries()) {
+        const sets = Array.isArray(exercise.sets) ? exercise.sets : [];
+        const { lastID: exerciseId } = await db.run(
+          `INSERT INTO workout_exercises (workout_id, position, name, type, notes)
+           VALUES (?, ?, ?, ?, ?)`,
+          [
+            workout.id,
+            position,
+            exercise.name || "Unnamed Exercise",
+            inferType(sets),
+            exercise.notes || "",
+          ]
+        );
+
+        for (const [setPosition, set] of sets.entries()) {
+          await db.run(
+            `INSERT INTO workout_sets (exercise_id, position, reps, weight, time, notes)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [
+              exerciseId,
+              setPosition,
+              toNumber(set.reps),
+              toNumber(set.weight),
+              toNumber(set.time),
+              set.notes || "",
+            ]
+          );
+        }
+      }
+    }
+  },
+};
@@ -0,0 +1,10 @@
+// Track when each plan was last made active. Multi-week programs without an
+// explicit start_date count their weeks from this date.
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE workout_plans ADD COLUMN activated_at DATETIME");
+    await db.run(
+      "UPDATE workout_plans SET activated_at = created_at WHERE active = 1"
+    );
+  },
+};
@@ -0,0 +1,17 @@
+// Rotation plans ("Day A / Day B / Day C") pick the next day from history.
+// Workouts remember which plan and rotation slot they completed, and each
+// plan keeps the skip/back adjustments made since its last session.
+module.exports = {
+  async up(db) {
+    await db.run(
+      "ALTER TABLE workouts ADD COLUMN plan_id INTEGER REFERENCES workout_plans (id) ON DELETE SET NULL"
+    );
+    await db.run("ALTER TABLE workouts ADD COLUMN rotation_index INTEGER");
+    await db.run(
+      "ALTER TABLE workout_plans ADD COLUMN rotation_offset INTEGER NOT NULL DEFAULT 0"
+    );
+    await db.run(
+      "CREATE INDEX idx_workouts_plan_rotation ON workouts (plan_id, rotation_index)"
+    );
+  },
+};
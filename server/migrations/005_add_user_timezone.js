@@ -0,0 +1,7 @@
+// IANA timezone per user (e.g. "America/Chicago") so "today" follows the
+// user's clock instead of the server's
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE users ADD COLUMN timezone TEXT");
+  },
+};
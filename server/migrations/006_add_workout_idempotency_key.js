@@ -0,0 +1,11 @@
+// Client-generated key sent with each completion so a retried request
+// returns the workout it already saved instead of inserting a duplicate
+module.exports = {
+  async up(db) {
+    await db.run("ALTER TABLE workouts ADD COLUMN idempotency_key TEXT");
+    // Unique per user; workouts without a key (NULL) are not constrained
+    await db.run(
+      "CREATE UNIQUE INDEX idx_workouts_idempotency_key ON workouts (user_id, idempotency_key)"
+    );
+  },
+};
@@ -0,0 +1,17 @@
+// The session in progress, autosaved while the user logs sets so it
+// survives a refresh and can be picked up on another device. One draft per
+// user; it is removed when the workout is completed.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE workout_drafts (
+        user_id INTEGER PRIMARY KEY,
+        date TEXT NOT NULL,
+        workout_name TEXT NOT NULL,
+        draft_data TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+  },
+};
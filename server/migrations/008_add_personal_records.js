@@ -0,0 +1,30 @@
+// Personal records set by completed workouts. Each row is the session that
+// beat the previous best, so the table doubles as a PR history; rows go away
+// with their workout.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE personal_records (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        workout_id INTEGER NOT NULL,
+        exercise_name TEXT NOT NULL,
+        record_type TEXT NOT NULL,
+        value REAL NOT NULL,
+        previous_value REAL,
+        weight REAL,
+        reps INTEGER,
+        date TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (workout_id) REFERENCES workouts (id) ON DELETE CASCADE
+      )
+    `);
+    await db.run(
+      "CREATE INDEX idx_personal_records_user ON personal_records (user_id, date)"
+    );
+    await db.run(
+      "CREATE INDEX idx_personal_records_workout ON personal_records (workout_id)"
+    );
+  },
+};
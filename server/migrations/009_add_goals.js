@@ -0,0 +1,32 @@
+// User goals. Progress is worked out from saved workouts whenever goals are
+// read, so only the targets are stored, plus when (and by which workout) a
+// goal was first met.
+//   strength:    exercise_name, target_weight, target_reps
+//   consistency: sessions_per_week, weeks
+//   volume:      target_volume, optionally for one exercise_name
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE goals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL,
+        title TEXT,
+        exercise_name TEXT,
+        target_weight REAL,
+        target_reps INTEGER,
+        sessions_per_week INTEGER,
+        weeks INTEGER,
+        target_volume REAL,
+        start_date TEXT NOT NULL,
+        end_date TEXT,
+        completed_at DATETIME,
+        completed_workout_id INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE,
+        FOREIGN KEY (completed_workout_id) REFERENCES workouts (id) ON DELETE SET NULL
+      )
+    `);
+    await db.run("CREATE INDEX idx_goals_user ON goals (user_id)");
+  },
+};
@@ -0,0 +1,28 @@
+// Login sessions, one per signed-in device. Each holds the SHA-256 hash of
+// its current refresh token; the token is replaced on every refresh and
+// the one before it is kept so a stolen, already-used token can be spotted.
+// A session ends when it expires or revoked_at is set.
+module.exports = {
+  async up(db) {
+    await db.run(`
+      CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash TEXT NOT NULL UNIQUE,
+        previous_token_hash TEXT,
+        rotated_at DATETIME,
+        user_agent TEXT,
+        ip_address TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        revoked_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+      )
+    `);
+    await db.run("CREATE INDEX idx_sessions_user ON sessions (user_id)");
+    await db.run(
+      "CREATE INDEX idx_sessions_previous_token ON sessions (previous_token_hash)"
+    );
+  },
+};
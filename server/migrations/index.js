@@ -0,0 +1,102 @@
+const fs = require("fs");
+const path = require("path");
+
+// Migration files live next to this module and are named
+// "<version>_<name>.js", e.g. "002_add_workout_sets.js". Each exports an
+// async up(db) that receives the Database instance.
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+const createMigrationsTable = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+// Read every migration file in version order
+const loadMigrations = (directory = __dirname) => {
+  const migrations = fs
+    .readdirSync(directory)
+    .map((file) => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) return null;
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        module: require(path.join(directory, file)),
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.version - b.version);
+
+  // Two files sharing a version number would make the order ambiguous
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+    if (typeof migration.module.up !== "function") {
+      throw new Error(`Migration ${migration.file} must export an up() function`);
+    }
+  });
+
+  return migrations;
+};
+
+const getAppliedMigrations = async (db) => {
+  await db.run(createMigrationsTable);
+  return db.all(
+    "SELECT version, name, applied_at FROM schema_migrations ORDER BY version"
+  );
+};
+
+// Apply every pending migration, each inside its own transaction.
+// Returns the migrations that were applied on this run.
+const runMigrations = async (db, migrations = loadMigrations()) => {
+  const appliedVersions = new Set(
+    (await getAppliedMigrations(db)).map((row) => row.version)
+  );
+  const applied = [];
+
+  for (const migration of migrations) {
+    if (appliedVersions.has(migration.version)) continue;
+
+    try {
+      await db.transaction(async () => {
+        await migration.module.up(db);
+        await db.run(
+          "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+          [migration.version, migration.name]
+        );
+      });
+    } catch (err) {
+      err.message = `Migration ${migration.file} failed: ${err.message}`;
+      throw err;
+    }
+
+    applied.push(migration);
+  }
+
+  return applied;
+};
+
+// Report which migrations have been applied and which are still pending
+const getMigrationStatus = async (db, migrations = loadMigrations()) => {
+  const appliedRows = await getAppliedMigrations(db);
+  const appliedByVersion = new Map(appliedRows.map((row) => [row.version, row]));
+
+  return migrations.map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    applied: appliedByVersion.has(migration.version),
+    appliedAt: appliedByVersion.get(migration.version)?.applied_at || null,
+  }));
+};
+
+module.exports = {
+  loadMigrations,
+  runMigrations,
+  getMigrationStatus,
+};
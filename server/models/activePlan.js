@@ -0,0 +1,54 @@
+const fs = require('fs').promises;
+const path = require('path');
+const {
+  resolveTimeZone,
+  getLocalDate,
+  parseSqliteTimestamp
+} = require('../utils/timezone');
+
+// The plan a user is following right now, shared by the workout and
+// analytics routes
+
+// Load the user's active plan, falling back to the default file-based plan.
+// startDate is when week 1 of a multi-week plan begins, as a calendar date
+// in the request's timezone.
+const loadActivePlan = async (database, req) => {
+  const userId = req.user.id;
+
+  // First, try to get user's custom workout plan
+  try {
+    const userPlan = await database.getUserWorkoutPlan(userId);
+    if (userPlan) {
+      return {
+        // The stored name wins so renames show up everywhere
+        plan: { ...userPlan.plan_data, name: userPlan.name },
+        planSource: 'user',
+        planId: userPlan.id,
+        startDate: userPlan.plan_data.start_date || getLocalDate(
+          resolveTimeZone(req),
+          parseSqliteTimestamp(userPlan.activated_at || userPlan.created_at)
+        ),
+        rotationOffset: userPlan.rotation_offset || 0
+      };
+    }
+  } catch (error) {
+    console.warn('Could not load user workout plan, falling back to default:', error);
+  }
+
+  // If no user plan, fall back to default file-based plan
+  const planPath = path.join(__dirname, '../workout-plans/current-plan.json');
+  const planData = await fs.readFile(planPath, 'utf8');
+  const plan = JSON.parse(planData);
+
+  return {
+    plan,
+    planSource: 'default',
+    planId: null,
+    startDate: plan.start_date || null,
+    rotationOffset: 0
+  };
+};
+
+module.exports = {
+  loadActivePlan
+};
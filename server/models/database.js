@@ -1,73 +1,246 @@
 const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
+const { AsyncLocalStorage } = require("async_hooks");
 
-const dbPath = path.join(__dirname, "../workout_tracker.db");
+const { runMigrations, getMigrationStatus } = require("../migrations");
+const { findPersonalRecords } = require("../utils/personalRecords");
 
-class Database {
-  constructor() {
-    this.db = new sqlite3.Database(dbPath, (err) => {
-      if (err) {
-        console.error("Error opening database:", err.message);
-      } else {
-        console.log("Connected to SQLite database.");
-        this.initializeTables();
-      }
-    });
-  }
+const MEMORY_DB = ":memory:";
 
-  initializeTables() {
-    const createUsersTable = `
-      CREATE TABLE IF NOT EXISTS users (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        username TEXT UNIQUE NOT NULL,
-        password_hash TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      )
-    `;
-
-    const createWorkoutsTable = `
-      CREATE TABLE IF NOT EXISTS workouts (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,
-        date TEXT NOT NULL,
-        workout_data TEXT NOT NULL,
-        completed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id)
-      )
-    `;
-
-    const createWorkoutPlansTable = `
-      CREATE TABLE IF NOT EXISTS workout_plans (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        user_id INTEGER NOT NULL,  -- ADD THIS LINE
-        name TEXT NOT NULL,
-        plan_data TEXT NOT NULL,    
-        active BOOLEAN DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (user_id) REFERENCES users (id)  -- ADD THIS LINE
-      )
-    `;
-
-    this.db.run(createUsersTable);
-    this.db.run(createWorkoutsTable);
-    this.db.run(createWorkoutPlansTable);
-  }
+// A backup step that finds the database locked by another connection is
+// tried again this often, this many times, before the backup gives up
+const BACKUP_RETRY_ERRORS = ["SQLITE_BUSY", "SQLITE_LOCKED"];
+const BACKUP_RETRY_DELAY = 100;
+const BACKUP_MAX_RETRIES = 100;
 
-  // User methods
-  createUser(username, passwordHash) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(
-        "INSERT INTO users (username, password_hash) VALUES (?, ?)"
-      );
-      stmt.run(username, passwordHash, function (err) {
+// Relative paths are taken from the working directory. ":memory:" is kept
+// as is and gives a throwaway database.
+const resolveDatabasePath = (filename) =>
+  filename === MEMORY_DB ? MEMORY_DB : path.resolve(filename);
+
+// Set inputs arrive as strings from the form; blanks are stored as NULL
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Same fallbacks as the migration that first filled the exercise tables
+const getExerciseName = (exercise) => exercise.name || "Unnamed Exercise";
+const getExerciseSets = (exercise) =>
+  Array.isArray(exercise.sets) ? exercise.sets : [];
+
+// Exercises logged before types were sent are inferred from their sets
+const inferExerciseType = (sets) =>
+  sets.some((set) => toNumber(set.time) !== null) &&
+  !sets.some((set) => toNumber(set.reps) !== null)
+    ? "time"
+    : "reps";
+
+const getExerciseType = (exercise) =>
+  exercise.type === "time" || exercise.type === "reps"
+    ? exercise.type
+    : inferExerciseType(getExerciseSets(exercise));
+
+// LIKE pattern matching `text` anywhere, with its own % and _ taken literally
+const toLikePattern = (text) => `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+
+// Rebuild the set object shape clients have always received
+const formatSetRow = (row) => {
+  const set = {};
+  if (row.reps !== null) set.reps = row.reps;
+  if (row.weight !== null) set.weight = row.weight;
+  if (row.time !== null) set.time = row.time;
+  if (row.notes) set.notes = row.notes;
+  return set;
+};
+
+const formatRecordRow = (row) => ({
+  id: row.id,
+  workoutId: row.workout_id,
+  exercise: row.exercise_name,
+  type: row.record_type,
+  value: row.value,
+  previousValue: row.previous_value,
+  weight: row.weight,
+  reps: row.reps,
+  date: row.date,
+});
+
+const formatGoalRow = (row) => ({
+  id: row.id,
+  type: row.type,
+  title: row.title,
+  exercise: row.exercise_name,
+  targetWeight: row.target_weight,
+  targetReps: row.target_reps,
+  sessionsPerWeek: row.sessions_per_week,
+  weeks: row.weeks,
+  targetVolume: row.target_volume,
+  startDate: row.start_date,
+  endDate: row.end_date,
+  completedAt: row.completed_at,
+  completedWorkoutId: row.completed_workout_id,
+  createdAt: row.created_at,
+});
+
+const formatSessionRow = (row) => ({
+  id: row.id,
+  userAgent: row.user_agent,
+  ipAddress: row.ip_address,
+  createdAt: row.created_at,
+  lastUsedAt: row.last_used_at,
+  expiresAt: row.expires_at,
+});
+
+// Goal fields in column order, for inserts and updates
+const goalValues = (goal) => [
+  goal.type,
+  goal.title,
+  goal.exercise,
+  goal.targetWeight,
+  goal.targetReps,
+  goal.sessionsPerWeek,
+  goal.weeks,
+  goal.targetVolume,
+  goal.startDate,
+  goal.endDate,
+];
+
+class Database {
+  constructor(filename) {
+    this.path = filename;
+    this.inMemory = filename === MEMORY_DB;
+
+    // Resolves once the connection is open; schema changes are applied
+    // separately by initialize() so tooling can inspect a database without
+    // migrating it
+    this.ready = new Promise((resolve, reject) => {
+      this.db = new sqlite3.Database(filename, (err) => {
         if (err) {
+          console.error("Error opening database:", err.message);
           reject(err);
         } else {
-          resolve({ id: this.lastID, username });
+          console.log("Connected to SQLite database.");
+          // Needed for ON DELETE CASCADE on exercise and set rows
+          this.db.run("PRAGMA foreign_keys = ON", (pragmaErr) =>
+            pragmaErr ? reject(pragmaErr) : resolve()
+          );
         }
       });
-      stmt.finalize();
     });
+
+    // Everything shares the single connection, so statements are queued and
+    // a transaction holds the queue from BEGIN to COMMIT. Otherwise another
+    // request's statement could run inside it and be rolled back with it.
+    // Statements made by the transaction itself are recognised through
+    // transactionScope and skip the queue.
+    this.queue = Promise.resolve();
+    this.transactionScope = new AsyncLocalStorage();
+    this.closed = null;
+  }
+
+  // Open the connection and bring the schema up to date
+  async initialize() {
+    await this.ready;
+    const applied = await runMigrations(this);
+
+    applied.forEach((migration) => {
+      console.log(
+        `Applied migration ${migration.version}: ${migration.name}`
+      );
+    });
+
+    return applied;
+  }
+
+  migrationStatus() {
+    return this.ready.then(() => getMigrationStatus(this));
+  }
+
+  // Run `task` once the connection is free, or straight away if called
+  // from inside the open transaction
+  enqueue(task) {
+    if (this.transactionScope.getStore()) {
+      return task();
+    }
+
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  // Promise wrappers around the sqlite3 callback API
+  run(sql, params = []) {
+    return this.enqueue(
+      () =>
+        new Promise((resolve, reject) => {
+          this.db.run(sql, params, function (err) {
+            if (err) {
+              reject(err);
+            } else {
+              resolve({ lastID: this.lastID, changes: this.changes });
+            }
+          });
+        })
+    );
+  }
+
+  get(sql, params = []) {
+    return this.enqueue(
+      () =>
+        new Promise((resolve, reject) => {
+          this.db.get(sql, params, (err, row) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(row);
+            }
+          });
+        })
+    );
+  }
+
+  all(sql, params = []) {
+    return this.enqueue(
+      () =>
+        new Promise((resolve, reject) => {
+          this.db.all(sql, params, (err, rows) => {
+            if (err) {
+              reject(err);
+            } else {
+              resolve(rows);
+            }
+          });
+        })
+    );
+  }
+
+  // Run the given callback inside BEGIN/COMMIT, rolling back if it throws.
+  // The callback must not start another transaction.
+  transaction(callback) {
+    return this.enqueue(() =>
+      this.transactionScope.run(true, async () => {
+        await this.run("BEGIN TRANSACTION");
+        try {
+          const value = await callback();
+          await this.run("COMMIT");
+          return value;
+        } catch (err) {
+          await this.run("ROLLBACK");
+          throw err;
+        }
+      })
+    );
+  }
+
+  // User methods
+  async createUser(username, passwordHash) {
+    const { lastID } = await this.run(
+      "INSERT INTO users (username, password_hash) VALUES (?, ?)",
+      [username, passwordHash]
+    );
+    return { id: lastID, username };
   }
 
   getUserByUsername(username) {
@@ -89,7 +262,7 @@ class Database {
   getUserById(id) {
     return new Promise((resolve, reject) => {
       this.db.get(
-        "SELECT id, username, created_at FROM users WHERE id = ?",
+        "SELECT id, username, timezone, created_at FROM users WHERE id = ?",
         id,
         (err, row) => {
           if (err) {
@@ -102,115 +275,764 @@ class Database {
     });
   }
 
+  async updateUserTimezone(userId, timezone) {
+    await this.run("UPDATE users SET timezone = ? WHERE id = ?", [
+      timezone,
+      userId,
+    ]);
+  }
+
   // Workout methods
-  saveWorkout(userId, date, workoutData) {
-    return new Promise((resolve, reject) => {
-      const stmt = this.db.prepare(
-        "INSERT INTO workouts (user_id, date, workout_data) VALUES (?, ?, ?)"
-      );
-      stmt.run(userId, date, JSON.stringify(workoutData), function (err) {
-        if (err) {
-          reject(err);
+  // Save a completed workout. `rotation` ({ planId, index }) records which
+  // rotation day this session completed; it also clears any skips made on
+  // that plan since last time. When idempotencyKey matches a workout the
+  // user already saved, that workout is returned (with replayed: true)
+  // instead of inserting a second copy. Either way the workout comes back
+  // as stored, with numeric sets.
+  saveWorkout(
+    userId,
+    date,
+    workoutData,
+    { rotation = null, idempotencyKey = null } = {}
+  ) {
+    return this.transaction(async () => {
+      let row = idempotencyKey
+        ? await this.get(
+            "SELECT * FROM workouts WHERE user_id = ? AND idempotency_key = ?",
+            [userId, idempotencyKey]
+          )
+        : null;
+      const replayed = Boolean(row);
+
+      if (!replayed) {
+        const { lastID } = await this.run(
+          `INSERT INTO workouts (user_id, date, workout_name, workout_data, plan_id, rotation_index, idempotency_key)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            date,
+            workoutData.workoutName,
+            JSON.stringify(workoutData),
+            rotation ? rotation.planId : null,
+            rotation ? rotation.index : null,
+            idempotencyKey,
+          ]
+        );
+        await this.insertWorkoutExercises(lastID, workoutData.exercises);
+
+        // A backdated workout (e.g. synced late from the offline queue)
+        // changes what later sessions were measured against, so their
+        // records are worked out again too
+        const later = await this.get(
+          "SELECT id FROM workouts WHERE user_id = ? AND date > ? LIMIT 1",
+          [userId, date]
+        );
+        if (later) {
+          await this.rebuildPersonalRecords(
+            userId,
+            workoutData.exercises.map(getExerciseName),
+            date
+          );
         } else {
-          resolve({ id: this.lastID, userId, date, workoutData });
+          await this.recordPersonalRecords(
+            userId,
+            lastID,
+            date,
+            workoutData.exercises
+          );
         }
+
+        if (rotation) {
+          await this.run(
+            "UPDATE workout_plans SET rotation_offset = 0 WHERE id = ?",
+            [rotation.planId]
+          );
+        }
+
+        row = await this.get("SELECT * FROM workouts WHERE id = ?", [lastID]);
+      }
+
+      const [saved] = await this.attachWorkoutData([row]);
+      return {
+        id: saved.id,
+        userId,
+        date: saved.date,
+        workoutData: saved.workout_data,
+        personalRecords: await this.getWorkoutPersonalRecords(saved.id),
+        replayed,
+      };
+    });
+  }
+
+  // Write the normalized exercise and set rows for a workout.
+  // Must be called inside a transaction.
+  async insertWorkoutExercises(workoutId, exercises = []) {
+    for (const [position, exercise] of exercises.entries()) {
+      const sets = getExerciseSets(exercise);
+      const { lastID: exerciseId } = await this.run(
+        `INSERT INTO workout_exercises (workout_id, position, name, type, notes)
+         VALUES (?, ?, ?, ?, ?)`,
+        [
+          workoutId,
+          position,
+          getExerciseName(exercise),
+          getExerciseType(exercise),
+          exercise.notes || "",
+        ]
+      );
+
+      for (const [setPosition, set] of sets.entries()) {
+        await this.run(
+          `INSERT INTO workout_sets (exercise_id, position, reps, weight, time, notes)
+           VALUES (?, ?, ?, ?, ?, ?)`,
+          [
+            exerciseId,
+            setPosition,
+            toNumber(set.reps),
+            toNumber(set.weight),
+            toNumber(set.time),
+            set.notes || "",
+          ]
+        );
+      }
+    }
+  }
+
+  // Assemble the workout_data object for each workout row from the
+  // normalized tables
+  async attachWorkoutData(rows) {
+    if (rows.length === 0) return [];
+
+    const ids = rows.map((row) => row.id);
+    const placeholders = ids.map(() => "?").join(", ");
+
+    const exerciseRows = await this.all(
+      `SELECT * FROM workout_exercises
+       WHERE workout_id IN (${placeholders})
+       ORDER BY workout_id, position`,
+      ids
+    );
+    const setRows = await this.all(
+      `SELECT s.* FROM workout_sets s
+       JOIN workout_exercises e ON e.id = s.exercise_id
+       WHERE e.workout_id IN (${placeholders})
+       ORDER BY s.exercise_id, s.position`,
+      ids
+    );
+
+    const setsByExercise = new Map();
+    setRows.forEach((row) => {
+      if (!setsByExercise.has(row.exercise_id)) {
+        setsByExercise.set(row.exercise_id, []);
+      }
+      setsByExercise.get(row.exercise_id).push(formatSetRow(row));
+    });
+
+    const exercisesByWorkout = new Map();
+    exerciseRows.forEach((row) => {
+      if (!exercisesByWorkout.has(row.workout_id)) {
+        exercisesByWorkout.set(row.workout_id, []);
+      }
+      exercisesByWorkout.get(row.workout_id).push({
+        name: row.name,
+        type: row.type,
+        sets: setsByExercise.get(row.id) || [],
+        notes: row.notes,
       });
-      stmt.finalize();
     });
+
+    return rows.map((row) => ({
+      id: row.id,
+      user_id: row.user_id,
+      date: row.date,
+      workout_data: {
+        workoutName: row.workout_name,
+        exercises: exercisesByWorkout.get(row.id) || [],
+      },
+      completed_at: row.completed_at,
+    }));
   }
 
+  // Records set after the workout were measured against it, so they are
+  // worked out again without it
   deleteWorkout(workoutId, userId) {
-    return new Promise((resolve, reject) => {
+    return this.transaction(async () => {
       // First, verify that the workout belongs to the user
-      this.db.get(
-        "SELECT id FROM workouts WHERE id = ? AND user_id = ?",
-        [workoutId, userId],
-        (err, row) => {
-          if (err) {
-            reject(err);
-            return;
-          }
+      const row = await this.get(
+        "SELECT id, date FROM workouts WHERE id = ? AND user_id = ?",
+        [workoutId, userId]
+      );
+      if (!row) {
+        throw new Error("Workout not found or access denied");
+      }
+      const exerciseNames = await this.getWorkoutExerciseNames(workoutId);
 
-          if (!row) {
-            reject(new Error("Workout not found or access denied"));
-            return;
-          }
+      // If workout exists and belongs to user, delete it
+      const { changes } = await this.run(
+        "DELETE FROM workouts WHERE id = ? AND user_id = ?",
+        [workoutId, userId]
+      );
+      await this.rebuildPersonalRecords(userId, exerciseNames, row.date);
 
-          // If workout exists and belongs to user, delete it
-          this.db.run(
-            "DELETE FROM workouts WHERE id = ? AND user_id = ?",
-            [workoutId, userId],
-            function (err) {
-              if (err) {
-                reject(err);
-              } else {
-                resolve({
-                  deleted: true,
-                  workoutId: workoutId,
-                  changesCount: this.changes,
-                });
-              }
-            }
-          );
-        }
+      return {
+        deleted: true,
+        workoutId: workoutId,
+        changesCount: changes,
+      };
+    });
+  }
+
+  // A single workout, or null if it does not exist or belongs to someone else
+  async getWorkoutById(workoutId, userId) {
+    const row = await this.get(
+      "SELECT * FROM workouts WHERE id = ? AND user_id = ?",
+      [workoutId, userId]
+    );
+    if (!row) return null;
+
+    const [workout] = await this.attachWorkoutData([row]);
+    return workout;
+  }
+
+  // Replace the exercises and sets of a saved workout. The date and name
+  // are only changed when given. Records from this workout on are worked
+  // out again, since later sessions were measured against the old sets.
+  async updateWorkout(workoutId, userId, { date, workoutName, exercises }) {
+    await this.transaction(async () => {
+      // Same ownership check as deleteWorkout
+      const row = await this.get(
+        "SELECT id, date, workout_name FROM workouts WHERE id = ? AND user_id = ?",
+        [workoutId, userId]
+      );
+      if (!row) {
+        throw new Error("Workout not found or access denied");
+      }
+      const previousNames = await this.getWorkoutExerciseNames(workoutId);
+
+      const workoutData = {
+        workoutName: workoutName || row.workout_name,
+        exercises,
+      };
+      await this.run(
+        `UPDATE workouts SET date = COALESCE(?, date), workout_name = ?, workout_data = ?
+         WHERE id = ?`,
+        [
+          date || null,
+          workoutData.workoutName,
+          JSON.stringify(workoutData),
+          workoutId,
+        ]
+      );
+
+      // Sets go with their exercises via ON DELETE CASCADE
+      await this.run("DELETE FROM workout_exercises WHERE workout_id = ?", [
+        workoutId,
+      ]);
+      await this.insertWorkoutExercises(workoutId, exercises);
+
+      const newDate = date || row.date;
+      await this.rebuildPersonalRecords(
+        userId,
+        [...previousNames, ...exercises.map(getExerciseName)],
+        newDate < row.date ? newDate : row.date
       );
     });
+
+    return this.getWorkoutById(workoutId, userId);
   }
 
-  getWorkoutsByUser(userId, limit = 10) {
-    return new Promise((resolve, reject) => {
-      this.db.all(
-        "SELECT * FROM workouts WHERE user_id = ? ORDER BY date DESC LIMIT ?",
-        [userId, limit],
-        (err, rows) => {
-          if (err) {
-            reject(err);
-          } else {
-            const workouts = rows.map((row) => ({
-              ...row,
-              workout_data: JSON.parse(row.workout_data),
-            }));
-            resolve(workouts);
-          }
-        }
+  async getWorkoutExerciseNames(workoutId) {
+    const rows = await this.all(
+      "SELECT DISTINCT name FROM workout_exercises WHERE workout_id = ?",
+      [workoutId]
+    );
+    return rows.map((row) => row.name);
+  }
+
+  // A page of workouts, newest first. `before` is the { date, completedAt,
+  // id } of the last workout on the previous page. Dates are inclusive;
+  // workout and exercise names match anywhere, case-insensitively.
+  async getWorkoutsByUser(
+    userId,
+    {
+      limit = 10,
+      before = null,
+      from = null,
+      to = null,
+      workoutName = null,
+      exerciseName = null,
+    } = {}
+  ) {
+    const conditions = ["w.user_id = ?"];
+    const params = [userId];
+
+    if (before) {
+      conditions.push("(w.date, w.completed_at, w.id) < (?, ?, ?)");
+      params.push(before.date, before.completedAt, before.id);
+    }
+    if (from) {
+      conditions.push("w.date >= ?");
+      params.push(from);
+    }
+    if (to) {
+      conditions.push("w.date <= ?");
+      params.push(to);
+    }
+    if (workoutName) {
+      conditions.push("w.workout_name LIKE ? ESCAPE '\\'");
+      params.push(toLikePattern(workoutName));
+    }
+    if (exerciseName) {
+      conditions.push(
+        `EXISTS (SELECT 1 FROM workout_exercises e
+                 WHERE e.workout_id = w.id AND e.name LIKE ? ESCAPE '\\')`
       );
+      params.push(toLikePattern(exerciseName));
+    }
+
+    const rows = await this.all(
+      `SELECT w.* FROM workouts w
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY w.date DESC, w.completed_at DESC, w.id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    return this.attachWorkoutData(rows);
+  }
+
+  // Every logged set of one exercise, oldest first. Names match
+  // case-insensitively so "bench press" finds "Bench Press".
+  getExerciseSets(userId, exerciseName) {
+    return this.all(
+      `SELECT w.id AS workout_id, w.date, e.name, e.type, s.reps, s.weight, s.time
+       FROM workout_sets s
+       JOIN workout_exercises e ON e.id = s.exercise_id
+       JOIN workouts w ON w.id = e.workout_id
+       WHERE w.user_id = ? AND e.name = ? COLLATE NOCASE
+       ORDER BY w.date, w.completed_at, w.id, e.position, s.position`,
+      [userId, exerciseName]
+    );
+  }
+
+  // Every exercise the user has logged, most recently done first. Names
+  // are grouped case-insensitively; with MAX() in the query SQLite takes the
+  // bare name and type columns from the latest session.
+  getLoggedExercises(userId) {
+    return this.all(
+      `SELECT e.name, e.type, COUNT(DISTINCT w.id) AS sessions, MAX(w.date) AS last_date
+       FROM workout_exercises e
+       JOIN workouts w ON w.id = e.workout_id
+       WHERE w.user_id = ?
+       GROUP BY e.name COLLATE NOCASE
+       ORDER BY last_date DESC, e.name`,
+      [userId]
+    );
+  }
+
+  // Each date the user saved a workout on, oldest first, with how many
+  getWorkoutDays(userId) {
+    return this.all(
+      `SELECT date, COUNT(*) AS workouts FROM workouts
+       WHERE user_id = ?
+       GROUP BY date
+       ORDER BY date`,
+      [userId]
+    );
+  }
+
+  // Personal record methods
+  // Sets of one exercise from the user's workouts before the given one: an
+  // earlier date, or saved earlier on the same date
+  getPreviousExerciseSets(userId, exerciseName, type, { workoutId, date }) {
+    return this.all(
+      `SELECT s.reps, s.weight, s.time
+       FROM workout_sets s
+       JOIN workout_exercises e ON e.id = s.exercise_id
+       JOIN workouts w ON w.id = e.workout_id
+       WHERE w.user_id = ? AND e.name = ? COLLATE NOCASE AND e.type = ?
+         AND (w.date < ? OR (w.date = ? AND w.id < ?))`,
+      [userId, exerciseName, type, date, date, workoutId]
+    );
+  }
+
+  // Store the records a workout set against the sessions before it and
+  // return them. Must be called inside a transaction.
+  async recordPersonalRecords(userId, workoutId, date, exercises = []) {
+    // An exercise listed twice in one session is judged on all its sets
+    const exercisesByName = new Map();
+    exercises.forEach((exercise) => {
+      const name = getExerciseName(exercise);
+      const key = name.toLowerCase();
+      if (!exercisesByName.has(key)) {
+        exercisesByName.set(key, {
+          name,
+          type: getExerciseType(exercise),
+          sets: [],
+        });
+      }
+      getExerciseSets(exercise).forEach((set) => {
+        exercisesByName.get(key).sets.push({
+          reps: toNumber(set.reps),
+          weight: toNumber(set.weight),
+          time: toNumber(set.time),
+        });
+      });
     });
+
+    for (const { name, type, sets } of exercisesByName.values()) {
+      const previousSets = await this.getPreviousExerciseSets(
+        userId,
+        name,
+        type,
+        { workoutId, date }
+      );
+
+      for (const record of findPersonalRecords(type, sets, previousSets)) {
+        await this.run(
+          `INSERT INTO personal_records (user_id, workout_id, exercise_name, record_type, value, previous_value, weight, reps, date)
+           VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            userId,
+            workoutId,
+            name,
+            record.type,
+            record.value,
+            record.previousValue,
+            record.weight,
+            record.reps,
+            date,
+          ]
+        );
+      }
+    }
+
+    return this.getWorkoutPersonalRecords(workoutId);
+  }
+
+  // Work out the records of the given exercises again for every workout
+  // on or after `fromDate`, oldest first so each is judged against the
+  // corrected history before it. Must be called inside a transaction.
+  async rebuildPersonalRecords(userId, exerciseNames, fromDate) {
+    const names = [...new Set(exerciseNames.map((name) => name.toLowerCase()))];
+
+    for (const name of names) {
+      await this.run(
+        `DELETE FROM personal_records
+         WHERE user_id = ? AND exercise_name = ? COLLATE NOCASE AND date >= ?`,
+        [userId, name, fromDate]
+      );
+
+      const rows = await this.all(
+        `SELECT DISTINCT w.* FROM workouts w
+         JOIN workout_exercises e ON e.workout_id = w.id
+         WHERE w.user_id = ? AND e.name = ? COLLATE NOCASE AND w.date >= ?
+         ORDER BY w.date, w.id`,
+        [userId, name, fromDate]
+      );
+      for (const workout of await this.attachWorkoutData(rows)) {
+        await this.recordPersonalRecords(
+          userId,
+          workout.id,
+          workout.date,
+          workout.workout_data.exercises.filter(
+            (exercise) => exercise.name.toLowerCase() === name
+          )
+        );
+      }
+    }
+  }
+
+  async getWorkoutPersonalRecords(workoutId) {
+    const rows = await this.all(
+      "SELECT * FROM personal_records WHERE workout_id = ? ORDER BY id",
+      [workoutId]
+    );
+    return rows.map(formatRecordRow);
+  }
+
+  // A user's records, newest first. Optionally narrowed to one exercise
+  // (matched case-insensitively) or one record type.
+  async getPersonalRecords(
+    userId,
+    { exercise = null, type = null, limit = 50 } = {}
+  ) {
+    const conditions = ["user_id = ?"];
+    const params = [userId];
+    if (exercise) {
+      conditions.push("exercise_name = ? COLLATE NOCASE");
+      params.push(exercise);
+    }
+    if (type) {
+      conditions.push("record_type = ?");
+      params.push(type);
+    }
+
+    const rows = await this.all(
+      `SELECT * FROM personal_records
+       WHERE ${conditions.join(" AND ")}
+       ORDER BY date DESC, id DESC
+       LIMIT ?`,
+      [...params, limit]
+    );
+    return rows.map(formatRecordRow);
+  }
+
+  // Every logged set with a weight, from any exercise, oldest first
+  getWeightedSets(userId) {
+    return this.all(
+      `SELECT w.date, e.name, s.reps, s.weight
+       FROM workout_sets s
+       JOIN workout_exercises e ON e.id = s.exercise_id
+       JOIN workouts w ON w.id = e.workout_id
+       WHERE w.user_id = ? AND s.weight > 0
+       ORDER BY w.date, w.id, e.position, s.position`,
+      [userId]
+    );
+  }
+
+  // Goal methods
+  // Open goals first, then completed ones; newest first within each
+  async getGoals(userId) {
+    const rows = await this.all(
+      `SELECT * FROM goals WHERE user_id = ?
+       ORDER BY completed_at IS NOT NULL, created_at DESC, id DESC`,
+      [userId]
+    );
+    return rows.map(formatGoalRow);
+  }
+
+  async getGoalById(goalId, userId) {
+    const row = await this.get(
+      "SELECT * FROM goals WHERE id = ? AND user_id = ?",
+      [goalId, userId]
+    );
+    return row ? formatGoalRow(row) : null;
+  }
+
+  async createGoal(userId, goal) {
+    const { lastID } = await this.run(
+      `INSERT INTO goals (user_id, type, title, exercise_name, target_weight, target_reps, sessions_per_week, weeks, target_volume, start_date, end_date)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [userId, ...goalValues(goal)]
+    );
+    return this.getGoalById(lastID, userId);
+  }
+
+  // Replace a goal's fields. `reopen` clears its completion, for when the
+  // target itself changed.
+  async updateGoal(goalId, userId, goal, { reopen = false } = {}) {
+    const { changes } = await this.run(
+      `UPDATE goals SET type = ?, title = ?, exercise_name = ?, target_weight = ?, target_reps = ?,
+         sessions_per_week = ?, weeks = ?, target_volume = ?, start_date = ?, end_date = ?,
+         completed_at = CASE WHEN ? THEN NULL ELSE completed_at END,
+         completed_workout_id = CASE WHEN ? THEN NULL ELSE completed_workout_id END
+       WHERE id = ? AND user_id = ?`,
+      [...goalValues(goal), reopen ? 1 : 0, reopen ? 1 : 0, goalId, userId]
+    );
+    return changes > 0;
+  }
+
+  async deleteGoal(goalId, userId) {
+    const { changes } = await this.run(
+      "DELETE FROM goals WHERE id = ? AND user_id = ?",
+      [goalId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Record the workout that first met a goal. Returns false if the goal
+  // was already completed.
+  async markGoalCompleted(goalId, workoutId) {
+    const { changes } = await this.run(
+      `UPDATE goals SET completed_at = CURRENT_TIMESTAMP, completed_workout_id = ?
+       WHERE id = ? AND completed_at IS NULL`,
+      [workoutId, goalId]
+    );
+    return changes > 0;
+  }
+
+  // Undo a completion whose workout no longer meets the goal
+  async reopenGoal(goalId, userId) {
+    const { changes } = await this.run(
+      `UPDATE goals SET completed_at = NULL, completed_workout_id = NULL
+       WHERE id = ? AND user_id = ?`,
+      [goalId, userId]
+    );
+    return changes > 0;
+  }
+
+  async getGoalsCompletedByWorkout(userId, workoutId) {
+    const rows = await this.all(
+      "SELECT * FROM goals WHERE user_id = ? AND completed_workout_id = ? ORDER BY id",
+      [userId, workoutId]
+    );
+    return rows.map(formatGoalRow);
+  }
+
+  // Login sessions. Tokens are only ever stored hashed; a session is active
+  // until it expires or is revoked.
+  async createSession(userId, { tokenHash, userAgent, ipAddress, lifetimeDays }) {
+    const { lastID } = await this.run(
+      `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+       VALUES (?, ?, ?, ?, datetime('now', ?))`,
+      [userId, tokenHash, userAgent, ipAddress, `+${lifetimeDays} days`]
+    );
+    return lastID;
+  }
+
+  async getActiveSession(sessionId, userId) {
+    const row = await this.get(
+      `SELECT * FROM sessions
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')`,
+      [sessionId, userId]
+    );
+    return row ? formatSessionRow(row) : null;
+  }
+
+  async getActiveSessions(userId) {
+    const rows = await this.all(
+      `SELECT * FROM sessions
+       WHERE user_id = ? AND revoked_at IS NULL AND expires_at > datetime('now')
+       ORDER BY last_used_at DESC, id DESC`,
+      [userId]
+    );
+    return rows.map(formatSessionRow);
+  }
+
+  // The session a refresh token belongs to, whether it is the current token
+  // (reused: false) or the one it replaced (reused: true). Expired and
+  // revoked sessions are included so callers can tell why a token failed.
+  async findSessionByToken(tokenHash) {
+    const row = await this.get(
+      `SELECT *, refresh_token_hash != ? AS reused,
+         (julianday('now') - julianday(rotated_at)) * 86400 AS seconds_since_rotation,
+         revoked_at IS NULL AND expires_at > datetime('now') AS active
+       FROM sessions
+       WHERE refresh_token_hash = ? OR previous_token_hash = ?`,
+      [tokenHash, tokenHash, tokenHash]
+    );
+    if (!row) return null;
+
+    return {
+      ...formatSessionRow(row),
+      userId: row.user_id,
+      active: row.active === 1,
+      reused: row.reused === 1,
+      secondsSinceRotation: row.seconds_since_rotation,
+    };
+  }
+
+  // Swap in a new refresh token and push the expiry out again. Only
+  // succeeds if `currentHash` is still the session's token, so two refreshes
+  // racing with the same token can't both win.
+  async rotateSession(sessionId, currentHash, newHash, lifetimeDays) {
+    const { changes } = await this.run(
+      `UPDATE sessions SET
+         refresh_token_hash = ?,
+         previous_token_hash = refresh_token_hash,
+         rotated_at = CURRENT_TIMESTAMP,
+         last_used_at = CURRENT_TIMESTAMP,
+         expires_at = datetime('now', ?)
+       WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL`,
+      [newHash, `+${lifetimeDays} days`, sessionId, currentHash]
+    );
+    return changes > 0;
+  }
+
+  async revokeSession(sessionId, userId) {
+    const { changes } = await this.run(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`,
+      [sessionId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Sign out every other device. Returns how many sessions were revoked.
+  async revokeOtherSessions(userId, keepSessionId) {
+    const { changes } = await this.run(
+      `UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+       WHERE user_id = ? AND id != ? AND revoked_at IS NULL`,
+      [userId, keepSessionId]
+    );
+    return changes;
+  }
+
+  // Ended sessions are kept for a while so reuse of their old tokens is
+  // still recognised, then cleared out
+  async deleteEndedSessions(olderThanDays) {
+    const { changes } = await this.run(
+      `DELETE FROM sessions
+       WHERE COALESCE(revoked_at, expires_at) < datetime('now', ?)`,
+      [`-${olderThanDays} days`]
+    );
+    return changes;
+  }
+
+  // In-progress workout drafts (one per user)
+  async getWorkoutDraft(userId) {
+    const row = await this.get(
+      "SELECT * FROM workout_drafts WHERE user_id = ?",
+      [userId]
+    );
+    if (!row) return null;
+
+    return {
+      date: row.date,
+      workoutName: row.workout_name,
+      exercises: JSON.parse(row.draft_data),
+      updatedAt: row.updated_at,
+    };
+  }
+
+  async saveWorkoutDraft(userId, { date, workoutName, exercises }) {
+    await this.run(
+      `INSERT INTO workout_drafts (user_id, date, workout_name, draft_data, updated_at)
+       VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+       ON CONFLICT (user_id) DO UPDATE SET
+         date = excluded.date,
+         workout_name = excluded.workout_name,
+         draft_data = excluded.draft_data,
+         updated_at = excluded.updated_at`,
+      [userId, date, workoutName, JSON.stringify(exercises)]
+    );
+    return this.getWorkoutDraft(userId);
+  }
+
+  // With `match` ({ date, workoutName }) the draft is only deleted if it is
+  // for that session, so logging one workout can't wipe another in progress
+  async deleteWorkoutDraft(userId, match = null) {
+    const { changes } = match
+      ? await this.run(
+          "DELETE FROM workout_drafts WHERE user_id = ? AND date = ? AND workout_name = ?",
+          [userId, match.date, match.workoutName]
+        )
+      : await this.run("DELETE FROM workout_drafts WHERE user_id = ?", [
+          userId,
+        ]);
+    return changes > 0;
   }
 
   // User Workout Plan methods
+  // Store a new plan and make it the active one
   saveUserWorkoutPlan(userId, name, planData) {
-    return new Promise((resolve, reject) => {
-      // First, set all existing plans for this user to inactive
-      const deactivateStmt = this.db.prepare(
-        "UPDATE workout_plans SET active = 0 WHERE user_id = ?"
+    return this.transaction(async () => {
+      await this.run("UPDATE workout_plans SET active = 0 WHERE user_id = ?", [
+        userId,
+      ]);
+      const { lastID } = await this.run(
+        `INSERT INTO workout_plans (user_id, name, plan_data, active, activated_at)
+         VALUES (?, ?, ?, 1, CURRENT_TIMESTAMP)`,
+        [userId, name, JSON.stringify(planData)]
       );
-      deactivateStmt.run(userId, (err) => {
-        if (err) {
-          reject(err);
-          return;
-        }
 
-        // Now insert the new plan as active
-        const insertStmt = this.db.prepare(`
-          INSERT INTO workout_plans (user_id, name, plan_data, active) 
-          VALUES (?, ?, ?, 1)
-        `);
-        insertStmt.run(userId, name, JSON.stringify(planData), function (err) {
-          if (err) {
-            reject(err);
-          } else {
-            resolve({
-              id: this.lastID,
-              userId,
-              name,
-              planData,
-              active: true,
-            });
-          }
-        });
-        insertStmt.finalize();
-      });
-      deactivateStmt.finalize();
+      return {
+        id: lastID,
+        userId,
+        name,
+        planData,
+        active: true,
+      };
     });
   }
 
@@ -235,15 +1057,164 @@ class Database {
     });
   }
 
-  close() {
-    this.db.close((err) => {
-      if (err) {
-        console.error("Error closing database:", err.message);
-      } else {
-        console.log("Database connection closed.");
-      }
+  // List every stored plan for a user, newest first, without plan bodies
+  async getUserWorkoutPlans(userId) {
+    const rows = await this.all(
+      `SELECT id, name, active, created_at FROM workout_plans
+       WHERE user_id = ? ORDER BY created_at DESC, id DESC`,
+      [userId]
+    );
+    return rows.map((row) => ({ ...row, active: row.active === 1 }));
+  }
+
+  async getUserWorkoutPlanById(planId, userId) {
+    const row = await this.get(
+      "SELECT * FROM workout_plans WHERE id = ? AND user_id = ?",
+      [planId, userId]
+    );
+    return row ? { ...row, plan_data: JSON.parse(row.plan_data) } : null;
+  }
+
+  // Make one of the user's plans the active one. Resolves null if the plan
+  // does not exist or belongs to someone else.
+  activateUserWorkoutPlan(planId, userId) {
+    return this.transaction(async () => {
+      const plan = await this.get(
+        "SELECT id, name FROM workout_plans WHERE id = ? AND user_id = ?",
+        [planId, userId]
+      );
+      if (!plan) return null;
+
+      await this.run("UPDATE workout_plans SET active = 0 WHERE user_id = ?", [
+        userId,
+      ]);
+      await this.run(
+        "UPDATE workout_plans SET active = 1, activated_at = CURRENT_TIMESTAMP WHERE id = ?",
+        [planId]
+      );
+
+      return { id: plan.id, name: plan.name, active: true };
     });
   }
+
+  async renameUserWorkoutPlan(planId, userId, name) {
+    const { changes } = await this.run(
+      "UPDATE workout_plans SET name = ? WHERE id = ? AND user_id = ?",
+      [name, planId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Replace a stored plan's name and contents (from the plan editor)
+  async updateUserWorkoutPlan(planId, userId, name, planData) {
+    const { changes } = await this.run(
+      "UPDATE workout_plans SET name = ?, plan_data = ? WHERE id = ? AND user_id = ?",
+      [name, JSON.stringify(planData), planId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Deleting the active plan leaves the user on the default plan
+  async deleteUserWorkoutPlan(planId, userId) {
+    const { changes } = await this.run(
+      "DELETE FROM workout_plans WHERE id = ? AND user_id = ?",
+      [planId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Rotation slot of the most recent session completed on a plan
+  async getLastRotationIndex(userId, planId) {
+    const row = await this.get(
+      `SELECT rotation_index FROM workouts
+       WHERE user_id = ? AND plan_id = ? AND rotation_index IS NOT NULL
+       ORDER BY completed_at DESC, id DESC LIMIT 1`,
+      [userId, planId]
+    );
+    return row ? row.rotation_index : null;
+  }
+
+  // Move a rotation plan forward (1) or back (-1) without logging a session
+  async shiftRotation(planId, userId, steps) {
+    const { changes } = await this.run(
+      "UPDATE workout_plans SET rotation_offset = rotation_offset + ? WHERE id = ? AND user_id = ?",
+      [steps, planId, userId]
+    );
+    return changes > 0;
+  }
+
+  // Copy the live database to `destination` with SQLite's online backup
+  // API. Pages are copied a batch at a time, so queries from the rest of
+  // the app keep running between steps; changes they make are carried into
+  // the copy. The backup handle, and its connection to `destination`, is
+  // released before the promise settles either way.
+  backup(destination, pagesPerStep = 100) {
+    return this.ready.then(
+      () =>
+        new Promise((resolve, reject) => {
+          let retries = 0;
+
+          const finish = (settle) => backup.finish(() => settle());
+          const fail = (err) => finish(() => reject(err));
+
+          const backup = this.db.backup(destination, (err) => {
+            if (err) {
+              // Nothing was opened, so there is nothing to finish
+              reject(err);
+            } else {
+              step();
+            }
+          });
+
+          const step = () => {
+            backup.step(pagesPerStep, (err) => {
+              if (
+                err &&
+                BACKUP_RETRY_ERRORS.includes(err.code) &&
+                retries < BACKUP_MAX_RETRIES
+              ) {
+                retries += 1;
+                setTimeout(step, BACKUP_RETRY_DELAY);
+              } else if (err) {
+                fail(err);
+              } else if (backup.completed) {
+                finish(() => resolve({ pageCount: backup.pageCount }));
+              } else if (backup.failed) {
+                fail(new Error("Database backup failed"));
+              } else {
+                setImmediate(step);
+              }
+            });
+          };
+        })
+    );
+  }
+
+  // Resolves once the connection is closed. Safe to call more than once.
+  close() {
+    if (!this.closed) {
+      this.closed = new Promise((resolve) => {
+        this.db.close((err) => {
+          if (err) {
+            console.error("Error closing database:", err.message);
+          } else {
+            console.log("Database connection closed.");
+          }
+          resolve();
+        });
+      });
+    }
+    return this.closed;
+  }
 }
 
-module.exports = new Database();
+// Open a database connection, usually at config.dbPath. Call initialize()
+// on it before use to apply migrations.
+const createDatabase = (filename) =>
+  new Database(resolveDatabasePath(filename));
+
+module.exports = {
+  Database,
+  createDatabase,
+  resolveDatabasePath,
+};
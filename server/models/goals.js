@@ -0,0 +1,91 @@
+const { computeGoalProgress } = require('../utils/goalProgress');
+
+// Goals with their progress, shared by the goal routes and workout
+// completion. Each helper takes the database to read from; `today` is the
+// user's calendar date.
+
+// Attach progress to each goal. The sets of an exercise are loaded once
+// however many goals use it.
+const withProgress = async (database, userId, goals, today) => {
+  const setsByExercise = new Map();
+  let weightedSets = null;
+  let workoutDays = null;
+
+  const loadSets = async exercise => {
+    if (!exercise) {
+      weightedSets = weightedSets || (await database.getWeightedSets(userId));
+      return weightedSets;
+    }
+    const key = exercise.toLowerCase();
+    if (!setsByExercise.has(key)) {
+      setsByExercise.set(key, await database.getExerciseSets(userId, exercise));
+    }
+    return setsByExercise.get(key);
+  };
+
+  const results = [];
+  for (const goal of goals) {
+    const data = { today };
+    if (goal.type === 'consistency') {
+      workoutDays = workoutDays || (await database.getWorkoutDays(userId));
+      data.workoutDays = workoutDays;
+    } else {
+      data.sets = await loadSets(goal.exercise);
+    }
+    results.push({ ...goal, progress: computeGoalProgress(goal, data) });
+  }
+  return results;
+};
+
+const getGoalsWithProgress = async (database, userId, today) =>
+  withProgress(database, userId, await database.getGoals(userId), today);
+
+const getGoalWithProgress = async (database, goalId, userId, today) => {
+  const goal = await database.getGoalById(goalId, userId);
+  if (!goal) return null;
+
+  const [result] = await withProgress(database, userId, [goal], today);
+  return result;
+};
+
+// Mark every open goal that is now met as completed by `workoutId`.
+// Returns the goals it completed.
+const completeMetGoals = async (database, userId, workoutId, today) => {
+  const openGoals = (await database.getGoals(userId)).filter(goal => !goal.completedAt);
+  if (openGoals.length === 0) return [];
+
+  for (const goal of await withProgress(database, userId, openGoals, today)) {
+    if (goal.progress.met) {
+      await database.markGoalCompleted(goal.id, workoutId);
+    }
+  }
+
+  return database.getGoalsCompletedByWorkout(userId, workoutId);
+};
+
+// Reopen the given completed goals that the saved workouts no longer meet
+const reopenUnmetGoals = async (database, userId, completedGoals, today) => {
+  for (const goal of await withProgress(database, userId, completedGoals, today)) {
+    if (!goal.progress.met) {
+      await database.reopenGoal(goal.id, userId);
+    }
+  }
+};
+
+// After a workout is corrected: reopen goals it completed that its new
+// sets no longer meet, then complete any the correction now meets.
+// Returns the goals it completes.
+const recheckGoals = async (database, userId, workoutId, today) => {
+  const completed = await database.getGoalsCompletedByWorkout(userId, workoutId);
+  await reopenUnmetGoals(database, userId, completed, today);
+
+  return completeMetGoals(database, userId, workoutId, today);
+};
+
+module.exports = {
+  getGoalsWithProgress,
+  getGoalWithProgress,
+  completeMetGoals,
+  reopenUnmetGoals,
+  recheckGoals
+};
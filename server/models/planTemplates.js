@@ -0,0 +1,47 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Built-in plan templates, one JSON file per template. The file name is the
+// template id; each file holds catalog details plus the plan itself.
+const templatesDir = path.join(__dirname, '../workout-plans/templates');
+
+const planScheduleModule = import('../../shared/planSchedule.js');
+
+let templatesCache = null;
+
+const loadTemplates = async () => {
+  if (!templatesCache) {
+    const files = (await fs.readdir(templatesDir))
+      .filter(file => file.endsWith('.json'))
+      .sort();
+
+    templatesCache = await Promise.all(
+      files.map(async file => {
+        const contents = await fs.readFile(path.join(templatesDir, file), 'utf8');
+        return { id: path.basename(file, '.json'), ...JSON.parse(contents) };
+      })
+    );
+  }
+  return templatesCache;
+};
+
+// Summaries for the catalog, without the plan bodies
+const listTemplates = async () => {
+  const templates = await loadTemplates();
+  const { getPlanType } = await planScheduleModule;
+  return templates.map(({ plan, ...summary }) => ({
+    ...summary,
+    planType: getPlanType(plan)
+  }));
+};
+
+// Full template including its plan, or null if there is no such template
+const getTemplate = async id => {
+  const templates = await loadTemplates();
+  return templates.find(template => template.id === id) || null;
+};
+
+module.exports = {
+  listTemplates,
+  getTemplate
+};
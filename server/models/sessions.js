@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { generateAccessToken } = require('../middleware/auth');
+
+// Login sessions: a short-lived access token for API requests plus a
+// refresh token that is swapped for a new one every time it is used.
+// Each helper takes the database to read from.
+
+// A token used again this soon after it was replaced most likely came from
+// two tabs refreshing at once, not from theft
+const ROTATION_GRACE_SECONDS = 30;
+
+// How long ended sessions are kept before they are cleared out
+const ENDED_SESSION_DAYS = 30;
+
+const MAX_USER_AGENT_LENGTH = 200;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+// What the client gets back from login, register and refresh
+const issueTokens = (userId, sessionId, refreshToken) => ({
+  token: generateAccessToken(userId, sessionId),
+  refreshToken,
+  expiresIn: config.accessTokenMinutes * 60
+});
+
+// Start a session for a user who just signed in, remembering the device
+// so it can be recognised in the session list
+const startSession = async (database, userId, req) => {
+  await database.deleteEndedSessions(ENDED_SESSION_DAYS);
+
+  const refreshToken = newRefreshToken();
+  const sessionId = await database.createSession(userId, {
+    tokenHash: hashToken(refreshToken),
+    userAgent: (req.get('User-Agent') || '').slice(0, MAX_USER_AGENT_LENGTH) || null,
+    ipAddress: req.ip || null,
+    lifetimeDays: config.refreshTokenDays
+  });
+
+  return issueTokens(userId, sessionId, refreshToken);
+};
+
+// Trade a refresh token for new tokens. Returns { tokens } or { error }.
+// A token that was already traded in, outside the grace period, means
+// someone else has a copy, so its whole session is revoked.
+const refreshSession = async (database, refreshToken) => {
+  const tokenHash = hashToken(refreshToken);
+  const session = await database.findSessionByToken(tokenHash);
+
+  if (!session || !session.active) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  if (session.reused) {
+    if (session.secondsSinceRotation > ROTATION_GRACE_SECONDS) {
+      console.warn(`Refresh token reused; revoking session ${session.id}`);
+      await database.revokeSession(session.id, session.userId);
+    }
+    return { error: 'Invalid refresh token' };
+  }
+
+  const nextToken = newRefreshToken();
+  const rotated = await database.rotateSession(
+    session.id,
+    tokenHash,
+    hashToken(nextToken),
+    config.refreshTokenDays
+  );
+  if (!rotated) {
+    return { error: 'Invalid refresh token' };
+  }
+
+  return { tokens: issueTokens(session.userId, session.id, nextToken) };
+};
+
+// Revoke the session a refresh token belongs to. Unknown tokens are
+// ignored: the device is signed out either way.
+const endSession = async (database, refreshToken) => {
+  const session = await database.findSessionByToken(hashToken(refreshToken));
+  if (session) {
+    await database.revokeSession(session.id, session.userId);
+  }
+};
+
+module.exports = {
+  startSession,
+  refreshSession,
+  endSession
+};
@@ -0,0 +1,107 @@
+const express = require('express');
+const { loadActivePlan } = require('../models/activePlan');
+const { createAuthenticateToken } = require('../middleware/auth');
+const { buildExerciseAnalytics } = require('../utils/exerciseAnalytics');
+const { buildConsistencyStats } = require('../utils/consistency');
+const { resolveTimeZone, getLocalDate } = require('../utils/timezone');
+
+const planScheduleModule = import('../../shared/planSchedule.js');
+
+const DEFAULT_ADHERENCE_DAYS = 28;
+const MAX_ADHERENCE_DAYS = 365;
+
+// Analytics routes, reading and writing `database`
+const createAnalyticsRoutes = database => {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(database);
+
+  // Every exercise in the user's history, most recently done first, for
+  // picking one to chart
+  router.get('/exercises', authenticateToken, async (req, res) => {
+    try {
+      const rows = await database.getLoggedExercises(req.user.id);
+      res.json({
+        exercises: rows.map(row => ({
+          name: row.name,
+          type: row.type,
+          sessions: row.sessions,
+          lastDate: row.last_date
+        }))
+      });
+    } catch (error) {
+      console.error('Error listing logged exercises:', error);
+      res.status(500).json({ error: 'Failed to load exercises' });
+    }
+  });
+
+  // Progress over time for one exercise: top set, volume, reps at each weight
+  // and estimated 1RM for rep exercises; longest hold and total time for
+  // timed ones
+  router.get('/exercises/:name', authenticateToken, async (req, res) => {
+    try {
+      const name = req.params.name.trim();
+      if (!name) {
+        return res.status(400).json({ error: 'Exercise name is required' });
+      }
+
+      const rows = await database.getExerciseSets(req.user.id, name);
+      const analytics = buildExerciseAnalytics(rows);
+      if (!analytics) {
+        return res.status(404).json({ error: 'No logged sets found for this exercise' });
+      }
+
+      res.json(analytics);
+    } catch (error) {
+      console.error('Error building exercise analytics:', error);
+      res.status(500).json({ error: 'Failed to load exercise analytics' });
+    }
+  });
+
+  // Current and longest streak, workouts per week and month, and adherence to
+  // the active plan over the last ?days= days (default 28). Rest days in the
+  // plan do not break a streak.
+  router.get('/consistency', authenticateToken, async (req, res) => {
+    try {
+      let adherenceDays = DEFAULT_ADHERENCE_DAYS;
+      if (req.query.days !== undefined) {
+        adherenceDays = parseInt(req.query.days, 10);
+        if (isNaN(adherenceDays) || adherenceDays < 1 || adherenceDays > MAX_ADHERENCE_DAYS) {
+          return res.status(400).json({ error: `Days must be between 1 and ${MAX_ADHERENCE_DAYS}` });
+        }
+      }
+      
+      const today = getLocalDate(resolveTimeZone(req));
+      const [workoutDays, activePlan] = await Promise.all([
+        database.getWorkoutDays(req.user.id),
+        loadActivePlan(database, req)
+      ]);
+      const { plan, startDate } = activePlan;
+      const { getPlanType, isTrainingDay } = await planScheduleModule;
+      const planType = getPlanType(plan);
+      
+      // A training day has exercises scheduled in that week of the plan and
+      // isn't marked as rest; every other weekday is a rest day
+      const isScheduledDay = planType === 'rotation'
+        ? null
+        : date => isTrainingDay(plan, startDate, date);
+      
+      res.json({
+        planType,
+        ...buildConsistencyStats({
+          workoutDays,
+          today,
+          isTrainingDay: isScheduledDay,
+          planStartDate: startDate,
+          adherenceDays
+        })
+      });
+    } catch (error) {
+      console.error('Error building consistency stats:', error);
+      res.status(500).json({ error: 'Failed to load consistency stats' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createAnalyticsRoutes;
@@ -1,99 +1,234 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const database = require('../models/database');
-const { generateToken, authenticateToken } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Register new user
-router.post('/register', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-
-    // Basic validation
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
+const { createAuthenticateToken } = require('../middleware/auth');
+const sessions = require('../models/sessions');
+const { createLoginThrottle } = require('../utils/loginThrottle');
+const { isValidTimeZone } = require('../utils/timezone');
+
+// Auth routes, reading and writing `database`
+const createAuthRoutes = database => {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(database);
+  const loginThrottle = createLoginThrottle();
+
+  // Register new user
+  router.post('/register', async (req, res) => {
+    try {
+      const { username, password, timezone } = req.body;
+
+      // Basic validation
+      if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+
+      if (password.length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      }
+
+      // Check if user already exists
+      const existingUser = await database.getUserByUsername(username);
+      if (existingUser) {
+        return res.status(409).json({ error: 'Username already exists' });
+      }
+
+      // Hash password and create user
+      const saltRounds = 10;
+      const passwordHash = await bcrypt.hash(password, saltRounds);
+      const user = await database.createUser(username, passwordHash);
+
+      // Remember the device's timezone for working out "today"
+      if (isValidTimeZone(timezone)) {
+        await database.updateUserTimezone(user.id, timezone);
+      }
+
+      // Sign the new user in on this device
+      const tokens = await sessions.startSession(database, user.id, req);
+
+      res.status(201).json({
+        message: 'User created successfully',
+        user: { id: user.id, username: user.username },
+        ...tokens
+      });
+    } catch (error) {
+      console.error('Registration error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  });
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  // Login user
+  router.post('/login', async (req, res) => {
+    try {
+      const { username, password, timezone } = req.body;
+
+      // Basic validation
+      if (!username || !password) {
+        return res.status(400).json({ error: 'Username and password are required' });
+      }
+
+      // Too many recent failures from this address or for this username
+      const retryAfter = loginThrottle.getRetryAfter(req.ip, username);
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Too many login attempts', retryAfter });
+      }
+
+      // Count the attempt as failed until the password checks out, so
+      // guesses sent side by side can't all get past the check above while
+      // bcrypt runs
+      loginThrottle.recordFailure(req.ip, username);
+
+      // Find user
+      const user = await database.getUserByUsername(username);
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      // Verify password
+      const passwordMatch = await bcrypt.compare(password, user.password_hash);
+      if (!passwordMatch) {
+        return res.status(401).json({ error: 'Invalid credentials' });
+      }
+
+      loginThrottle.recordSuccess(req.ip, username);
+
+      // Keep the stored timezone in step with the device logging in
+      if (isValidTimeZone(timezone) && timezone !== user.timezone) {
+        await database.updateUserTimezone(user.id, timezone);
+      }
+
+      // Each login is its own session, so devices can be signed out one by one
+      const tokens = await sessions.startSession(database, user.id, req);
+
+      res.json({
+        message: 'Login successful',
+        user: { id: user.id, username: user.username },
+        ...tokens
+      });
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  });
 
-    // Check if user already exists
-    const existingUser = await database.getUserByUsername(username);
-    if (existingUser) {
-      return res.status(409).json({ error: 'Username already exists' });
+  // Trade a refresh token for a new access token and refresh token. The old
+  // refresh token stops working.
+  router.post('/refresh', async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+      }
+
+      const { tokens, error } = await sessions.refreshSession(database, refreshToken);
+      if (error) {
+        return res.status(401).json({ error });
+      }
+
+      res.json(tokens);
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  });
 
-    // Hash password and create user
-    const saltRounds = 10;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-    const user = await database.createUser(username, passwordHash);
-
-    // Generate token
-    const token = generateToken(user.id);
+  // Sign this device out by revoking its session. Takes the refresh token
+  // rather than the access token, which may already have expired.
+  router.post('/logout', async (req, res) => {
+    try {
+      const { refreshToken } = req.body;
+      if (typeof refreshToken !== 'string' || !refreshToken) {
+        return res.status(400).json({ error: 'Refresh token is required' });
+      }
+
+      await sessions.endSession(database, refreshToken);
+      res.json({ message: 'Logged out' });
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
-    res.status(201).json({
-      message: 'User created successfully',
-      user: { id: user.id, username: user.username },
-      token
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Login user
-router.post('/login', async (req, res) => {
-  try {
-    const { username, password } = req.body;
-
-    // Basic validation
-    if (!username || !password) {
-      return res.status(400).json({ error: 'Username and password are required' });
+  // List the devices signed in to this account, most recently used first
+  router.get('/sessions', authenticateToken, async (req, res) => {
+    try {
+      const active = await database.getActiveSessions(req.user.id);
+      res.json({
+        sessions: active.map(session => ({
+          ...session,
+          current: session.id === req.sessionId
+        }))
+      });
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      res.status(500).json({ error: 'Failed to load sessions' });
     }
+  });
 
-    // Find user
-    const user = await database.getUserByUsername(username);
-    if (!user) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+  // Sign out every device except this one
+  router.delete('/sessions', authenticateToken, async (req, res) => {
+    try {
+      const revoked = await database.revokeOtherSessions(req.user.id, req.sessionId);
+      res.json({ message: 'Other sessions signed out', revoked });
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      res.status(500).json({ error: 'Failed to sign out other sessions' });
     }
+  });
 
-    // Verify password
-    const passwordMatch = await bcrypt.compare(password, user.password_hash);
-    if (!passwordMatch) {
-      return res.status(401).json({ error: 'Invalid credentials' });
+  // Sign out one device
+  router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+    try {
+      const sessionId = parseInt(req.params.id);
+      if (isNaN(sessionId)) {
+        return res.status(400).json({ error: 'Valid session ID is required' });
+      }
+
+      const revoked = await database.revokeSession(sessionId, req.user.id);
+      if (!revoked) {
+        return res.status(404).json({ error: 'Session not found' });
+      }
+
+      res.json({ message: 'Session signed out', sessionId });
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      res.status(500).json({ error: 'Failed to sign out session' });
     }
+  });
+
+  // Update the user's timezone
+  router.put('/timezone', authenticateToken, async (req, res) => {
+    try {
+      const { timezone } = req.body;
+
+      if (!isValidTimeZone(timezone)) {
+        return res.status(400).json({ error: 'A valid IANA timezone is required' });
+      }
 
-    // Generate token
-    const token = generateToken(user.id);
+      await database.updateUserTimezone(req.user.id, timezone);
+      res.json({ message: 'Timezone updated', timezone });
+    } catch (error) {
+      console.error('Timezone update error:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
 
+  router.get('/validate', authenticateToken, (req, res) => {
+    // If we get here, the token is valid (middleware verified it)
     res.json({
-      message: 'Login successful',
-      user: { id: user.id, username: user.username },
-      token
+      id: req.user.id,
+      username: req.user.username,
+      // Don't send sensitive data like passwords
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-router.get('/validate', authenticateToken, (req, res) => {
-  // If we get here, the token is valid (middleware verified it)
-  res.json({
-    id: req.user.id,
-    username: req.user.username,
-    // Don't send sensitive data like passwords
   });
-});
 
-// Get current user info (protected route)
-router.get('/me', authenticateToken, (req, res) => {
-  res.json({
-    user: req.user
+  // Get current user info (protected route)
+  router.get('/me', authenticateToken, (req, res) => {
+    res.json({
+      user: req.user
+    });
   });
-});
 
-module.exports = router;
\ No newline at end of file
+  return router;
+};
+
+module.exports = createAuthRoutes;
\ No newline at end of file
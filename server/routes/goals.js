@@ -0,0 +1,116 @@
+const express = require('express');
+const goals = require('../models/goals');
+const { createAuthenticateToken } = require('../middleware/auth');
+const { parseGoalInput } = require('../utils/goalProgress');
+const { resolveTimeZone, getLocalDate } = require('../utils/timezone');
+
+// Fields that decide when a goal is met; changing any of them reopens it
+const TARGET_FIELDS = [
+  'type',
+  'exercise',
+  'targetWeight',
+  'targetReps',
+  'sessionsPerWeek',
+  'weeks',
+  'targetVolume',
+  'startDate',
+  'endDate'
+];
+
+// Goal routes, reading and writing `database`
+const createGoalRoutes = database => {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(database);
+
+  // List the user's goals with their progress
+  router.get('/', authenticateToken, async (req, res) => {
+    try {
+      const today = getLocalDate(resolveTimeZone(req));
+      res.json({ goals: await goals.getGoalsWithProgress(database, req.user.id, today) });
+    } catch (error) {
+      console.error('Error fetching goals:', error);
+      res.status(500).json({ error: 'Failed to load goals' });
+    }
+  });
+
+  // Create a strength, consistency or volume goal
+  router.post('/', authenticateToken, async (req, res) => {
+    try {
+      const today = getLocalDate(resolveTimeZone(req));
+      const { goal, error } = parseGoalInput(req.body, today);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const created = await database.createGoal(req.user.id, goal);
+
+      res.status(201).json({
+        message: 'Goal created',
+        goal: await goals.getGoalWithProgress(database, created.id, req.user.id, today)
+      });
+    } catch (error) {
+      console.error('Error creating goal:', error);
+      res.status(500).json({ error: 'Failed to create goal' });
+    }
+  });
+
+  // Replace a goal. A goal whose target changes is no longer completed until
+  // another saved workout meets it.
+  router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+      const goalId = parseInt(req.params.id);
+      if (isNaN(goalId)) {
+        return res.status(400).json({ error: 'Valid goal ID is required' });
+      }
+
+      const today = getLocalDate(resolveTimeZone(req));
+      const { goal, error } = parseGoalInput(req.body, today);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const existing = await database.getGoalById(goalId, req.user.id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Goal not found' });
+      }
+
+      const reopen = TARGET_FIELDS.some(field => goal[field] !== existing[field]);
+      await database.updateGoal(goalId, req.user.id, goal, { reopen });
+
+      res.json({
+        message: 'Goal updated',
+        goal: await goals.getGoalWithProgress(database, goalId, req.user.id, today)
+      });
+    } catch (error) {
+      console.error('Error updating goal:', error);
+      res.status(500).json({ error: 'Failed to update goal' });
+    }
+  });
+
+  // Delete a goal
+  router.delete('/:id', authenticateToken, async (req, res) => {
+    try {
+      const goalId = parseInt(req.params.id);
+      if (isNaN(goalId)) {
+        return res.status(400).json({ error: 'Valid goal ID is required' });
+      }
+
+      const deleted = await database.deleteGoal(goalId, req.user.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Goal not found' });
+      }
+
+      res.json({
+        message: 'Goal deleted',
+        goalId
+      });
+    } catch (error) {
+      console.error('Error deleting goal:', error);
+      res.status(500).json({ error: 'Failed to delete goal' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createGoalRoutes;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { createAuthenticateToken } = require('../middleware/auth');
+const { RECORD_TYPES } = require('../utils/personalRecords');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Personal record routes, reading and writing `database`
+const createRecordRoutes = database => {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(database);
+
+  // Personal records set by completed workouts, newest first.
+  // Optional filters: ?exercise=Bench Press&type=heaviest_weight&limit=20
+  router.get('/', authenticateToken, async (req, res) => {
+    try {
+      const { exercise, type } = req.query;
+      
+      if (type !== undefined && !RECORD_TYPES.includes(type)) {
+        return res.status(400).json({ error: `Record type must be one of: ${RECORD_TYPES.join(', ')}` });
+      }
+      
+      let limit = DEFAULT_LIMIT;
+      if (req.query.limit !== undefined) {
+        limit = parseInt(req.query.limit, 10);
+        if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+          return res.status(400).json({ error: `Limit must be between 1 and ${MAX_LIMIT}` });
+        }
+      }
+      
+      const records = await database.getPersonalRecords(req.user.id, {
+        exercise: typeof exercise === 'string' && exercise.trim() ? exercise.trim() : null,
+        type: type || null,
+        limit
+      });
+      
+      res.json({ records });
+    } catch (error) {
+      console.error('Error fetching personal records:', error);
+      res.status(500).json({ error: 'Failed to load personal records' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createRecordRoutes;
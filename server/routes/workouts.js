@@ -1,243 +1,773 @@
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const database = require('../models/database');
-const { authenticateToken } = require('../middleware/auth');
-
-const router = express.Router();
-
-// Get current workout plan
-router.get('/plan', authenticateToken, async (req, res) => {
-  try {
-    let plan = null;
-    let planSource = 'default';
-    
-    // First, try to get user's custom workout plan
-    try {
-      const userPlan = await database.getUserWorkoutPlan(req.user.id);
-      if (userPlan) {
-        plan = userPlan.plan_data;
-        planSource = 'user';
-      }
-    } catch (error) {
-      console.warn('Could not load user workout plan, falling back to default:', error);
-    }
-    
-    // If no user plan, fall back to default file-based plan
-    if (!plan) {
-      const planPath = path.join(__dirname, '../workout-plans/current-plan.json');
-      const planData = await fs.readFile(planPath, 'utf8');
-      plan = JSON.parse(planData);
-      planSource = 'default';
-    }
-    
-    res.json({ 
-      plan,
-      planSource,
-      planName: plan.name || 'Current Plan'
-    });
-    
-  } catch (error) {
-    console.error('Error loading workout plan:', error);
-    res.status(500).json({ error: 'Failed to load workout plan' });
-  }
-});
-
-// Upload and save user workout plan
-router.post('/upload-plan', authenticateToken, async (req, res) => {
-  try {
-    const { name, planData } = req.body;
-    
-    // Validation: Check required fields
-    if (!name || !planData) {
-      return res.status(400).json({ 
-        error: 'Workout plan name and data are required' 
-      });
-    }
-    
-    // Validation: Check if planData has the expected structure
-    if (!planData.schedule || typeof planData.schedule !== 'object') {
-      return res.status(400).json({ 
-        error: 'Invalid workout plan format. Must include a schedule object.' 
-      });
-    }
-    
-    // Validation: Check if at least one day has exercises
-    const days = Object.keys(planData.schedule);
-    if (days.length === 0) {
-      return res.status(400).json({ 
-        error: 'Workout plan must include at least one day with exercises' 
-      });
-    }
-    
-    // Save the workout plan to database
-    const savedPlan = await database.saveUserWorkoutPlan(
-      req.user.id, 
-      name, 
-      planData
-    );
-    
-    res.json({
-      message: 'Workout plan uploaded successfully',
-      plan: {
-        id: savedPlan.id,
-        name: savedPlan.name,
-        active: savedPlan.active
-      }
-    });
-    
-  } catch (error) {
-    console.error('Error uploading workout plan:', error);
-    
-    // Handle specific database errors
-    if (error.code === 'SQLITE_CONSTRAINT') {
-      return res.status(400).json({ 
-        error: 'Invalid workout plan data' 
-      });
-    }
-    
-    res.status(500).json({ 
-      error: 'Failed to upload workout plan' 
-    });
-  }
-});
-
-// Get today's workout
-// Get today's workout
-router.get('/today', authenticateToken, async (req, res) => {
-  try {
-    const today = new Date();
-    const dayName = today.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-    
-    let plan = null;
-    let planSource = 'default';
-    
-    // First, try to get user's custom workout plan
-    try {
-      const userPlan = await database.getUserWorkoutPlan(req.user.id);
-      if (userPlan) {
-        plan = userPlan.plan_data;
-        planSource = 'user';
-      }
-    } catch (error) {
-      console.warn('Could not load user workout plan, falling back to default:', error);
-    }
-    
-    // If no user plan, fall back to default file-based plan
-    if (!plan) {
-      const planPath = path.join(__dirname, '../workout-plans/current-plan.json');
-      const planData = await fs.readFile(planPath, 'utf8');
-      plan = JSON.parse(planData);
-      planSource = 'default';
-    }
-    
-    const todaysWorkout = plan.schedule[dayName];
-    
-    if (!todaysWorkout) {
-      return res.json({ 
-        message: 'No workout scheduled for today',
-        date: today.toISOString().split('T')[0],
-        planSource
-      });
-    }
-    
-    res.json({
-      date: today.toISOString().split('T')[0],
-      workout: todaysWorkout,
-      planSource, // Let frontend know if this is user's custom plan or default
-      planName: plan.name || 'Current Plan'
-    });
-    
-  } catch (error) {
-    console.error('Error getting today\'s workout:', error);
-    res.status(500).json({ error: 'Failed to get today\'s workout' });
-  }
-});
-
-// Save completed workout
-router.post('/complete', authenticateToken, async (req, res) => {
-  try {
-    const { date, workout, exercises } = req.body;
-    
-    console.log('📋 Workout data received:', {
-      user: req.user.username,
-      date: date,
-      workoutName: workout?.name,
-      exerciseCount: exercises?.length,
-      timestamp: new Date().toISOString()
-    });
-    
-    if (!date || !workout || !exercises) {
-      return res.status(400).json({ error: 'Date, workout, and exercises are required' });
-    }
-    
-    const workoutData = {
-      workoutName: workout.name,
-      exercises: exercises.map(exercise => ({
-        name: exercise.name,
-        sets: exercise.sets || [],
-        notes: exercise.notes || ''
-      }))
-    };
-    
-    const savedWorkout = await database.saveWorkout(req.user.id, date, workoutData);
-    
-    res.json({
-      message: 'Workout saved successfully',
-      workout: savedWorkout
-    });
-  } catch (error) {
-    console.error('Error saving workout:', error);
-    res.status(500).json({ error: 'Failed to save workout' });
-  }
-});
-
-// Get workout history
-router.get('/history', authenticateToken, async (req, res) => {
-  try {
-    const limit = parseInt(req.query.limit) || 10;
-    const workouts = await database.getWorkoutsByUser(req.user.id, limit);
-    
-    res.json({ workouts });
-  } catch (error) {
-    console.error('Error getting workout history:', error);
-    res.status(500).json({ error: 'Failed to get workout history' });
+const planTemplates = require('../models/planTemplates');
+const { loadActivePlan } = require('../models/activePlan');
+const goals = require('../models/goals');
+const { createAuthenticateToken } = require('../middleware/auth');
+const {
+  resolveTimeZone,
+  getLocalDate,
+  isCalendarDate,
+  getWeekdayName
+} = require('../utils/timezone');
+
+// The plan schema and schedule helpers are ES modules shared with the frontend
+const planSchemaModule = import('../../shared/planSchema.js');
+const planScheduleModule = import('../../shared/planSchedule.js');
+
+// Index of the next day to do in a rotation plan
+const getNextRotationSlot = async (database, userId, activePlan) => {
+  const { getNextRotationIndex } = await planScheduleModule;
+  const lastIndex = activePlan.planId
+    ? await database.getLastRotationIndex(userId, activePlan.planId)
+    : null;
+  return getNextRotationIndex(activePlan.plan, lastIndex, activePlan.rotationOffset);
+};
+
+// Why the exercises in a request body can't be saved, or null if they can.
+// Each needs a name and a list of sets.
+const getExercisesError = exercises => {
+  if (!Array.isArray(exercises)) {
+    return 'Exercises must be a list';
   }
-});
-
-// Delete a workout by ID
-router.post('/delete', authenticateToken, async (req, res) => {
-  try {
-    const { workoutId } = req.body;
-    const userId = req.user.id;
-    
-    // Validate that workout ID is provided and is a number
-    if (!workoutId || isNaN(workoutId)) {
-      return res.status(400).json({ error: 'Valid workout ID is required' });
-    }
-    
-    // Delete the workout from database
-    const result = await database.deleteWorkout(parseInt(workoutId), userId);
-    
-    if (result.changesCount === 0) {
-      return res.status(404).json({ error: 'Workout not found or already deleted' });
-    }
-    
-    res.json({ 
-      message: 'Workout deleted successfully',
-      workoutId: result.workoutId 
-    });
-    
-  } catch (error) {
-    console.error('Error deleting workout:', error);
-    
-    // Handle specific error cases
-    if (error.message === 'Workout not found or access denied') {
-      return res.status(403).json({ error: 'Access denied or workout not found' });
-    }
-    
-    res.status(500).json({ error: 'Failed to delete workout' });
+
+  for (const [index, exercise] of exercises.entries()) {
+    if (!exercise || typeof exercise !== 'object') {
+      return `Exercise ${index + 1} is not an exercise`;
+    }
+    if (typeof exercise.name !== 'string' || !exercise.name.trim()) {
+      return `Exercise ${index + 1} needs a name`;
+    }
+    const setsValid = Array.isArray(exercise.sets) &&
+      exercise.sets.every(set => set && typeof set === 'object' && !Array.isArray(set));
+    if (!setsValid) {
+      return `Sets of "${exercise.name}" must be a list of sets`;
+    }
   }
-});
 
-module.exports = router;
\ No newline at end of file
+  return null;
+};
+
+// Keep only the exercise fields we store from a request body
+const toWorkoutExercises = exercises =>
+  exercises.map(exercise => ({
+    name: exercise.name,
+    type: exercise.type,
+    sets: exercise.sets || [],
+    notes: exercise.notes || ''
+  }));
+
+// Workout and plan routes, reading and writing `database`
+const createWorkoutRoutes = database => {
+  const router = express.Router();
+  const authenticateToken = createAuthenticateToken(database);
+
+  // Get current workout plan
+  router.get('/plan', authenticateToken, async (req, res) => {
+    try {
+      const activePlan = await loadActivePlan(database, req);
+      const { plan, planSource, planId, startDate } = activePlan;
+      const { getProgramWeek, getPlanType } = await planScheduleModule;
+      const isRotation = getPlanType(plan) === 'rotation';
+      const week = isRotation
+        ? null
+        : getProgramWeek(plan, startDate, getLocalDate(resolveTimeZone(req)));
+
+      res.json({
+        plan,
+        planSource,
+        planId,
+        planName: plan.name || 'Current Plan',
+        startDate,
+        currentWeek: week ? week.number : null,
+        nextRotationIndex: isRotation
+          ? await getNextRotationSlot(database, req.user.id, activePlan)
+          : null
+      });
+      
+    } catch (error) {
+      console.error('Error loading workout plan:', error);
+      res.status(500).json({ error: 'Failed to load workout plan' });
+    }
+  });
+
+  // Upload and save user workout plan
+  router.post('/upload-plan', authenticateToken, async (req, res) => {
+    try {
+      const { name, planData } = req.body;
+      
+      // Validation: Check required fields
+      if (!name || !planData) {
+        return res.status(400).json({ 
+          error: 'Workout plan name and data are required' 
+        });
+      }
+      
+      // Validation: Check planData against the shared plan schema
+      const { validateWorkoutPlan, formatPlanError } = await planSchemaModule;
+      const { valid, errors } = validateWorkoutPlan(planData);
+      if (!valid) {
+        return res.status(400).json({
+          error: `Invalid workout plan: ${formatPlanError(errors[0])}`,
+          details: errors.map(formatPlanError)
+        });
+      }
+      
+      // Save the workout plan to database
+      const savedPlan = await database.saveUserWorkoutPlan(
+        req.user.id, 
+        name, 
+        planData
+      );
+      
+      res.json({
+        message: 'Workout plan uploaded successfully',
+        plan: {
+          id: savedPlan.id,
+          name: savedPlan.name,
+          active: savedPlan.active
+        }
+      });
+      
+    } catch (error) {
+      console.error('Error uploading workout plan:', error);
+      
+      // Handle specific database errors
+      if (error.code === 'SQLITE_CONSTRAINT') {
+        return res.status(400).json({ 
+          error: 'Invalid workout plan data' 
+        });
+      }
+      
+      res.status(500).json({ 
+        error: 'Failed to upload workout plan' 
+      });
+    }
+  });
+
+  // List all of the user's stored workout plans
+  router.get('/plans', authenticateToken, async (req, res) => {
+    try {
+      const plans = await database.getUserWorkoutPlans(req.user.id);
+      res.json({ plans });
+    } catch (error) {
+      console.error('Error listing workout plans:', error);
+      res.status(500).json({ error: 'Failed to load workout plans' });
+    }
+  });
+
+  // Switch the active plan to one of the user's stored plans
+  router.post('/plans/:id/activate', authenticateToken, async (req, res) => {
+    try {
+      const planId = parseInt(req.params.id);
+      if (isNaN(planId)) {
+        return res.status(400).json({ error: 'Valid plan ID is required' });
+      }
+
+      const plan = await database.activateUserWorkoutPlan(planId, req.user.id);
+      if (!plan) {
+        return res.status(404).json({ error: 'Workout plan not found' });
+      }
+
+      res.json({
+        message: 'Workout plan activated',
+        plan
+      });
+    } catch (error) {
+      console.error('Error activating workout plan:', error);
+      res.status(500).json({ error: 'Failed to activate workout plan' });
+    }
+  });
+
+  // Rename a stored plan
+  router.patch('/plans/:id', authenticateToken, async (req, res) => {
+    try {
+      const planId = parseInt(req.params.id);
+      if (isNaN(planId)) {
+        return res.status(400).json({ error: 'Valid plan ID is required' });
+      }
+
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name) {
+        return res.status(400).json({ error: 'Workout plan name is required' });
+      }
+
+      const updated = await database.renameUserWorkoutPlan(planId, req.user.id, name);
+      if (!updated) {
+        return res.status(404).json({ error: 'Workout plan not found' });
+      }
+
+      res.json({
+        message: 'Workout plan renamed',
+        plan: { id: planId, name }
+      });
+    } catch (error) {
+      console.error('Error renaming workout plan:', error);
+      res.status(500).json({ error: 'Failed to rename workout plan' });
+    }
+  });
+
+  // Replace a stored plan's contents, e.g. after editing it in the plan editor
+  router.put('/plans/:id', authenticateToken, async (req, res) => {
+    try {
+      const planId = parseInt(req.params.id);
+      if (isNaN(planId)) {
+        return res.status(400).json({ error: 'Valid plan ID is required' });
+      }
+
+      const { planData } = req.body;
+      const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+      if (!name || !planData) {
+        return res.status(400).json({
+          error: 'Workout plan name and data are required'
+        });
+      }
+
+      const { validateWorkoutPlan, formatPlanError } = await planSchemaModule;
+      const { valid, errors } = validateWorkoutPlan(planData);
+      if (!valid) {
+        return res.status(400).json({
+          error: `Invalid workout plan: ${formatPlanError(errors[0])}`,
+          details: errors.map(formatPlanError)
+        });
+      }
+
+      const updated = await database.updateUserWorkoutPlan(
+        planId,
+        req.user.id,
+        name,
+        planData
+      );
+      if (!updated) {
+        return res.status(404).json({ error: 'Workout plan not found' });
+      }
+
+      res.json({
+        message: 'Workout plan updated',
+        plan: { id: planId, name }
+      });
+    } catch (error) {
+      console.error('Error updating workout plan:', error);
+      res.status(500).json({ error: 'Failed to update workout plan' });
+    }
+  });
+
+  // Delete a stored plan
+  router.delete('/plans/:id', authenticateToken, async (req, res) => {
+    try {
+      const planId = parseInt(req.params.id);
+      if (isNaN(planId)) {
+        return res.status(400).json({ error: 'Valid plan ID is required' });
+      }
+
+      const deleted = await database.deleteUserWorkoutPlan(planId, req.user.id);
+      if (!deleted) {
+        return res.status(404).json({ error: 'Workout plan not found' });
+      }
+
+      res.json({
+        message: 'Workout plan deleted',
+        planId
+      });
+    } catch (error) {
+      console.error('Error deleting workout plan:', error);
+      res.status(500).json({ error: 'Failed to delete workout plan' });
+    }
+  });
+
+  // List the built-in plan templates
+  router.get('/templates', authenticateToken, async (req, res) => {
+    try {
+      const templates = await planTemplates.listTemplates();
+      res.json({ templates });
+    } catch (error) {
+      console.error('Error listing plan templates:', error);
+      res.status(500).json({ error: 'Failed to load plan templates' });
+    }
+  });
+
+  // Get one template with its full plan, for previewing
+  router.get('/templates/:id', authenticateToken, async (req, res) => {
+    try {
+      const template = await planTemplates.getTemplate(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Plan template not found' });
+      }
+
+      res.json({ template });
+    } catch (error) {
+      console.error('Error loading plan template:', error);
+      res.status(500).json({ error: 'Failed to load plan template' });
+    }
+  });
+
+  // Copy a template into the user's plans and make it the active plan
+  router.post('/templates/:id/adopt', authenticateToken, async (req, res) => {
+    try {
+      const template = await planTemplates.getTemplate(req.params.id);
+      if (!template) {
+        return res.status(404).json({ error: 'Plan template not found' });
+      }
+
+      // Templates go through the same schema check as uploads
+      const { validateWorkoutPlan, formatPlanError } = await planSchemaModule;
+      const { valid, errors } = validateWorkoutPlan(template.plan);
+      if (!valid) {
+        console.error(`Plan template "${template.id}" is invalid:`, errors.map(formatPlanError));
+        return res.status(500).json({ error: 'Failed to adopt plan template' });
+      }
+
+      const savedPlan = await database.saveUserWorkoutPlan(
+        req.user.id,
+        template.plan.name,
+        template.plan
+      );
+
+      res.json({
+        message: 'Plan template adopted',
+        plan: {
+          id: savedPlan.id,
+          name: savedPlan.name,
+          active: savedPlan.active
+        }
+      });
+    } catch (error) {
+      console.error('Error adopting plan template:', error);
+      res.status(500).json({ error: 'Failed to adopt plan template' });
+    }
+  });
+
+  // Get today's workout
+  router.get('/today', authenticateToken, async (req, res) => {
+    try {
+      // "Today" is the user's calendar day, not the server's
+      const timeZone = resolveTimeZone(req);
+      const today = getLocalDate(timeZone);
+      const dayName = getWeekdayName(timeZone);
+      
+      const activePlan = await loadActivePlan(database, req);
+      const { plan, planSource, startDate } = activePlan;
+      const { getProgramWeek, getPlanType } = await planScheduleModule;
+      
+      let todaysWorkout;
+      let weekInfo;
+      let rotationInfo;
+      
+      if (getPlanType(plan) === 'rotation') {
+        // Rotation plans ignore the weekday and serve the next day in line
+        const index = await getNextRotationSlot(database, req.user.id, activePlan);
+        todaysWorkout = plan.rotation[index];
+        rotationInfo = { index, position: index + 1, total: plan.rotation.length };
+      } else {
+        // Multi-week plans serve the day from whichever week we're in
+        const week = getProgramWeek(plan, startDate, today);
+        weekInfo = week && week.total > 1
+          ? { number: week.number, total: week.total, name: week.name, cycle: week.cycle }
+          : undefined;
+        todaysWorkout = week?.schedule[dayName];
+      }
+      
+      if (!todaysWorkout) {
+        return res.json({ 
+          message: 'No workout scheduled for today',
+          date: today,
+          planSource,
+          week: weekInfo,
+          rotation: rotationInfo
+        });
+      }
+      
+      res.json({
+        date: today,
+        workout: todaysWorkout,
+        planSource, // Let frontend know if this is user's custom plan or default
+        planName: plan.name || 'Current Plan',
+        week: weekInfo,
+        rotation: rotationInfo
+      });
+      
+    } catch (error) {
+      console.error('Error getting today\'s workout:', error);
+      res.status(500).json({ error: 'Failed to get today\'s workout' });
+    }
+  });
+
+  // Save completed workout
+  router.post('/complete', authenticateToken, async (req, res) => {
+    try {
+      const { date, workout, exercises, rotationIndex, idempotencyKey } = req.body;
+      
+      console.log('📋 Workout data received:', {
+        user: req.user.username,
+        date: date,
+        workoutName: workout?.name,
+        exerciseCount: exercises?.length,
+        timestamp: new Date().toISOString()
+      });
+      
+      if (!date || !workout || !exercises) {
+        return res.status(400).json({ error: 'Date, workout, and exercises are required' });
+      }
+      if (!isCalendarDate(date)) {
+        return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+      }
+      
+      const exercisesError = getExercisesError(exercises);
+      if (exercisesError) {
+        return res.status(400).json({ error: exercisesError });
+      }
+      
+      // Optional client-generated key (e.g. a UUID) that makes retries safe
+      if (
+        idempotencyKey !== undefined &&
+        (typeof idempotencyKey !== 'string' || !idempotencyKey || idempotencyKey.length > 100)
+      ) {
+        return res.status(400).json({ error: 'Idempotency key must be a string of up to 100 characters' });
+      }
+      
+      const workoutData = {
+        workoutName: workout.name,
+        exercises: toWorkoutExercises(exercises)
+      };
+      
+      // Remember which rotation day was done so /today can serve the next one
+      let rotation = null;
+      if (Number.isInteger(rotationIndex)) {
+        const activePlan = await loadActivePlan(database, req);
+        const { getPlanType } = await planScheduleModule;
+        if (
+          activePlan.planId &&
+          getPlanType(activePlan.plan) === 'rotation' &&
+          rotationIndex >= 0 &&
+          rotationIndex < activePlan.plan.rotation.length
+        ) {
+          rotation = { planId: activePlan.planId, index: rotationIndex };
+        }
+      }
+      
+      const { replayed, personalRecords, ...savedWorkout } = await database.saveWorkout(
+        req.user.id,
+        date,
+        workoutData,
+        { rotation, idempotencyKey }
+      );
+      
+      // The session is logged, so its autosaved draft is no longer needed.
+      // A replay, or an older workout synced from another device's offline
+      // queue, leaves the session in progress alone.
+      if (!replayed) {
+        await database.deleteWorkoutDraft(req.user.id, {
+          date: savedWorkout.date,
+          workoutName: savedWorkout.workoutData.workoutName
+        });
+      }
+      
+      // Goals this workout met for the first time are marked complete. The
+      // workout is already saved, so a failure here must not report otherwise.
+      const today = getLocalDate(resolveTimeZone(req));
+      let completedGoals = [];
+      try {
+        completedGoals = replayed
+          ? await database.getGoalsCompletedByWorkout(req.user.id, savedWorkout.id)
+          : await goals.completeMetGoals(database, req.user.id, savedWorkout.id, today);
+      } catch (error) {
+        console.error('Error checking goals:', error);
+      }
+      
+      // A replay returns the workout (and records) saved by the first request
+      // with this key
+      res.json({
+        message: replayed ? 'Workout already saved' : 'Workout saved successfully',
+        workout: savedWorkout,
+        personalRecords,
+        completedGoals,
+        replayed
+      });
+    } catch (error) {
+      console.error('Error saving workout:', error);
+      res.status(500).json({ error: 'Failed to save workout' });
+    }
+  });
+
+  // Skip ahead or go back one day in a rotation plan
+  router.post('/rotation/skip', authenticateToken, async (req, res) => {
+    try {
+      const { direction } = req.body;
+      if (direction !== 'forward' && direction !== 'back') {
+        return res.status(400).json({ error: 'Direction must be "forward" or "back"' });
+      }
+      
+      const activePlan = await loadActivePlan(database, req);
+      const { getPlanType } = await planScheduleModule;
+      if (!activePlan.planId || getPlanType(activePlan.plan) !== 'rotation') {
+        return res.status(400).json({ error: 'Active plan is not a rotation plan' });
+      }
+      
+      const steps = direction === 'forward' ? 1 : -1;
+      await database.shiftRotation(activePlan.planId, req.user.id, steps);
+      activePlan.rotationOffset += steps;
+      
+      const index = await getNextRotationSlot(database, req.user.id, activePlan);
+      res.json({
+        message: direction === 'forward' ? 'Skipped ahead' : 'Went back',
+        rotation: { index, position: index + 1, total: activePlan.plan.rotation.length },
+        workout: activePlan.plan.rotation[index]
+      });
+    } catch (error) {
+      console.error('Error moving rotation:', error);
+      res.status(500).json({ error: 'Failed to update rotation' });
+    }
+  });
+
+  const HISTORY_PAGE_SIZE = 10;
+  const MAX_HISTORY_PAGE_SIZE = 50;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  // History cursors are opaque to clients: the sort key of the last workout
+  // on a page, as base64url JSON
+  const encodeHistoryCursor = workout =>
+    Buffer.from(
+      JSON.stringify({ date: workout.date, completedAt: workout.completed_at, id: workout.id })
+    ).toString('base64url');
+
+  // Returns null for anything that isn't a cursor this server handed out
+  const decodeHistoryCursor = cursor => {
+    try {
+      const { date, completedAt, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      if (typeof date !== 'string' || typeof completedAt !== 'string' || !Number.isInteger(id)) {
+        return null;
+      }
+      return { date, completedAt, id };
+    } catch (error) {
+      return null;
+    }
+  };
+
+  // Get workout history, newest first, a page at a time.
+  // Query: limit (1-50, default 10), cursor (nextCursor from the previous
+  // page), from/to (YYYY-MM-DD, inclusive), workout and exercise (names,
+  // matched anywhere). nextCursor is null on the last page.
+  router.get('/history', authenticateToken, async (req, res) => {
+    try {
+      const { cursor, from, to, workout, exercise } = req.query;
+      
+      let limit = HISTORY_PAGE_SIZE;
+      if (req.query.limit !== undefined) {
+        limit = parseInt(req.query.limit);
+        if (isNaN(limit) || limit < 1 || limit > MAX_HISTORY_PAGE_SIZE) {
+          return res.status(400).json({ error: `Limit must be between 1 and ${MAX_HISTORY_PAGE_SIZE}` });
+        }
+      }
+      
+      let before = null;
+      if (cursor !== undefined) {
+        before = decodeHistoryCursor(cursor);
+        if (!before) {
+          return res.status(400).json({ error: 'Invalid history cursor' });
+        }
+      }
+      
+      if ((from !== undefined && !DATE_PATTERN.test(from)) || (to !== undefined && !DATE_PATTERN.test(to))) {
+        return res.status(400).json({ error: 'Dates must be in YYYY-MM-DD format' });
+      }
+      
+      // One extra row tells us whether there is another page
+      const rows = await database.getWorkoutsByUser(req.user.id, {
+        limit: limit + 1,
+        before,
+        from: from || null,
+        to: to || null,
+        workoutName: typeof workout === 'string' && workout.trim() ? workout.trim() : null,
+        exerciseName: typeof exercise === 'string' && exercise.trim() ? exercise.trim() : null
+      });
+      const workouts = rows.slice(0, limit);
+      
+      res.json({
+        workouts,
+        nextCursor: rows.length > limit ? encodeHistoryCursor(workouts[workouts.length - 1]) : null
+      });
+    } catch (error) {
+      console.error('Error getting workout history:', error);
+      res.status(500).json({ error: 'Failed to get workout history' });
+    }
+  });
+
+  // Delete a workout by ID
+  router.post('/delete', authenticateToken, async (req, res) => {
+    try {
+      const { workoutId } = req.body;
+      const userId = req.user.id;
+      
+      // Validate that workout ID is provided and is a number
+      if (!workoutId || isNaN(workoutId)) {
+        return res.status(400).json({ error: 'Valid workout ID is required' });
+      }
+      
+      // Read these first: deleting the workout unlinks them from it
+      const completedGoals = await database.getGoalsCompletedByWorkout(userId, parseInt(workoutId));
+      
+      // Delete the workout from database
+      const result = await database.deleteWorkout(parseInt(workoutId), userId);
+      
+      if (result.changesCount === 0) {
+        return res.status(404).json({ error: 'Workout not found or already deleted' });
+      }
+      
+      // Goals this workout completed may not be met without it. The delete
+      // stands if this fails.
+      try {
+        const today = getLocalDate(resolveTimeZone(req));
+        await goals.reopenUnmetGoals(database, userId, completedGoals, today);
+      } catch (error) {
+        console.error('Error checking goals:', error);
+      }
+      
+      res.json({ 
+        message: 'Workout deleted successfully',
+        workoutId: result.workoutId 
+      });
+      
+    } catch (error) {
+      console.error('Error deleting workout:', error);
+      
+      // Handle specific error cases
+      if (error.message === 'Workout not found or access denied') {
+        return res.status(403).json({ error: 'Access denied or workout not found' });
+      }
+      
+      res.status(500).json({ error: 'Failed to delete workout' });
+    }
+  });
+
+  // Get the user's in-progress workout, if any
+  router.get('/draft', authenticateToken, async (req, res) => {
+    try {
+      const draft = await database.getWorkoutDraft(req.user.id);
+      res.json({ draft });
+    } catch (error) {
+      console.error('Error getting workout draft:', error);
+      res.status(500).json({ error: 'Failed to get workout draft' });
+    }
+  });
+
+  // Autosave the in-progress workout. exercises maps each exercise name to
+  // the { sets, notes } entered so far.
+  router.put('/draft', authenticateToken, async (req, res) => {
+    try {
+      const { date, workoutName, exercises } = req.body;
+
+      if (!isCalendarDate(date)) {
+        return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+      }
+      if (typeof workoutName !== 'string' || !workoutName.trim()) {
+        return res.status(400).json({ error: 'Workout name is required' });
+      }
+      if (!exercises || typeof exercises !== 'object' || Array.isArray(exercises)) {
+        return res.status(400).json({ error: 'Exercises are required' });
+      }
+
+      const draft = await database.saveWorkoutDraft(req.user.id, {
+        date,
+        workoutName: workoutName.trim(),
+        exercises
+      });
+
+      res.json({
+        message: 'Workout draft saved',
+        draft
+      });
+    } catch (error) {
+      console.error('Error saving workout draft:', error);
+      res.status(500).json({ error: 'Failed to save workout draft' });
+    }
+  });
+
+  // Throw away the in-progress workout
+  router.delete('/draft', authenticateToken, async (req, res) => {
+    try {
+      const deleted = await database.deleteWorkoutDraft(req.user.id);
+      res.json({
+        message: deleted ? 'Workout draft deleted' : 'No workout draft to delete',
+        deleted
+      });
+    } catch (error) {
+      console.error('Error deleting workout draft:', error);
+      res.status(500).json({ error: 'Failed to delete workout draft' });
+    }
+  });
+
+  // Get one saved workout. Declared last so "/:id" doesn't shadow the named routes.
+  router.get('/:id', authenticateToken, async (req, res) => {
+    try {
+      const workoutId = parseInt(req.params.id);
+      if (isNaN(workoutId)) {
+        return res.status(400).json({ error: 'Valid workout ID is required' });
+      }
+
+      const workout = await database.getWorkoutById(workoutId, req.user.id);
+      if (!workout) {
+        return res.status(404).json({ error: 'Workout not found' });
+      }
+
+      res.json({ workout });
+    } catch (error) {
+      console.error('Error getting workout:', error);
+      res.status(500).json({ error: 'Failed to get workout' });
+    }
+  });
+
+  // Correct the sets and notes of a saved workout
+  router.put('/:id', authenticateToken, async (req, res) => {
+    try {
+      const workoutId = parseInt(req.params.id);
+      if (isNaN(workoutId)) {
+        return res.status(400).json({ error: 'Valid workout ID is required' });
+      }
+
+      const { date, workout, exercises } = req.body;
+      if (!exercises) {
+        return res.status(400).json({ error: 'Exercises are required' });
+      }
+      const exercisesError = getExercisesError(exercises);
+      if (exercisesError) {
+        return res.status(400).json({ error: exercisesError });
+      }
+      if (date !== undefined && !isCalendarDate(date)) {
+        return res.status(400).json({ error: 'Date must be in YYYY-MM-DD format' });
+      }
+
+      const updatedWorkout = await database.updateWorkout(workoutId, req.user.id, {
+        date,
+        workoutName: workout?.name,
+        exercises: toWorkoutExercises(exercises)
+      });
+
+      // Corrected sets can meet a goal, or stop meeting one they completed.
+      // Like /complete, the saved edit stands if this fails.
+      const today = getLocalDate(resolveTimeZone(req));
+      let completedGoals = [];
+      try {
+        completedGoals = await goals.recheckGoals(database, req.user.id, workoutId, today);
+      } catch (error) {
+        console.error('Error checking goals:', error);
+      }
+
+      res.json({
+        message: 'Workout updated successfully',
+        workout: updatedWorkout,
+        completedGoals
+      });
+    } catch (error) {
+      console.error('Error updating workout:', error);
+
+      if (error.message === 'Workout not found or access denied') {
+        return res.status(403).json({ error: 'Access denied or workout not found' });
+      }
+
+      res.status(500).json({ error: 'Failed to update workout' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = createWorkoutRoutes;
\ No newline at end of file
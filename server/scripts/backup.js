@@ -0,0 +1,59 @@
+// Database backup command
+// Usage:
+//   node server/scripts/backup.js                 Back up now and rotate old backups
+//   node server/scripts/backup.js list            List backups, newest first
+//   node server/scripts/backup.js restore <file>  Check a backup and restore it
+//
+// Stop the server before restoring: the database file is replaced.
+const config = require("../config");
+const { createDatabase } = require("../models/database");
+const {
+  BACKUP_DIR,
+  listBackups,
+  createBackup,
+  restoreBackup,
+} = require("../utils/backups");
+
+// The database the server uses (DB_PATH, or server/workout_tracker.db)
+const database = createDatabase(config.dbPath);
+
+const printBackups = () => {
+  const backups = listBackups();
+  if (backups.length === 0) {
+    console.log(`No backups in ${BACKUP_DIR}`);
+    return;
+  }
+
+  backups.forEach((backup) => console.log(backup.file));
+  console.log(`\n${backups.length} backups in ${BACKUP_DIR}`);
+};
+
+const main = async () => {
+  const [command = "create", file] = process.argv.slice(2);
+
+  if (command === "create") {
+    const backup = await createBackup(database);
+    console.log(`Backed up to ${backup.path}`);
+    backup.rotated.forEach((rotated) => console.log(`Removed ${rotated}`));
+  } else if (command === "list") {
+    printBackups();
+  } else if (command === "restore") {
+    if (!file) {
+      throw new Error("Name the backup to restore, e.g. restore <file>.");
+    }
+    const result = await restoreBackup(database, file);
+    console.log(`Restored ${result.restored}`);
+    console.log(`The previous database was saved to ${result.safetyCopy}`);
+  } else {
+    throw new Error(
+      `Unknown command "${command}". Use "create", "list" or "restore".`
+    );
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error("Backup error:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
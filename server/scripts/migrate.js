@@ -0,0 +1,48 @@
+// Database migration command
+// Usage:
+//   node server/scripts/migrate.js          Apply pending migrations
+//   node server/scripts/migrate.js status   List applied and pending migrations
+const config = require("../config");
+const { createDatabase } = require("../models/database");
+
+// DB_PATH picks the database, as for the server
+const database = createDatabase(config.dbPath);
+
+const printStatus = async () => {
+  const status = await database.migrationStatus();
+  const pending = status.filter((migration) => !migration.applied);
+
+  status.forEach((migration) => {
+    const version = String(migration.version).padStart(3, "0");
+    const state = migration.applied
+      ? `applied ${migration.appliedAt}`
+      : "pending";
+    console.log(`${version}  ${migration.name.padEnd(32)} ${state}`);
+  });
+
+  console.log(
+    `\n${status.length - pending.length} applied, ${pending.length} pending`
+  );
+};
+
+const main = async () => {
+  const command = process.argv[2] || "up";
+
+  if (command === "status") {
+    await printStatus();
+  } else if (command === "up") {
+    const applied = await database.initialize();
+    if (applied.length === 0) {
+      console.log("Database schema is up to date.");
+    }
+  } else {
+    throw new Error(`Unknown command "${command}". Use "up" or "status".`);
+  }
+};
+
+main()
+  .catch((err) => {
+    console.error("Migration error:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => database.close());
@@ -0,0 +1,210 @@
+// Database backups: scheduled snapshots with rotation, and restore
+const fs = require('fs');
+const path = require('path');
+const sqlite3 = require('sqlite3').verbose();
+const config = require('../config');
+const { startOfWeek } = require('./consistency');
+
+const BACKUP_DIR = config.backups.dir;
+const BACKUP_INTERVAL_HOURS = config.backups.intervalHours;
+
+// workout_tracker-20250106-031500.db, stamped in UTC
+const BACKUP_PATTERN = /^workout_tracker-(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})\.db$/;
+
+// Tables every restorable database must have
+const REQUIRED_TABLES = ['schema_migrations', 'users', 'workouts'];
+
+const timestamp = (date = new Date()) =>
+  date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+
+// Backups in the directory, newest first. Other files are left alone.
+const listBackups = (dir = BACKUP_DIR) => {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs
+    .readdirSync(dir)
+    .map(file => {
+      const match = file.match(BACKUP_PATTERN);
+      if (!match) return null;
+      const [, year, month, day, hour, minute, second] = match;
+      return {
+        file,
+        path: path.join(dir, file),
+        date: `${year}-${month}-${day}`,
+        createdAt: new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.createdAt - a.createdAt);
+};
+
+// Keep the newest backup of each of the last `keepDaily` days that have one,
+// and the newest of each of the last `keepWeekly` weeks (Monday to Sunday).
+// Everything else is deleted. Returns the deleted files.
+const rotateBackups = (dir = BACKUP_DIR, { keepDaily = config.backups.keepDaily, keepWeekly = config.backups.keepWeekly } = {}) => {
+  const backups = listBackups(dir);
+  const keep = new Set();
+
+  const keepNewestPer = (period, limit) => {
+    const seen = new Set();
+    backups.forEach(backup => {
+      const key = period(backup);
+      if (seen.has(key) || seen.size >= limit) return;
+      seen.add(key);
+      keep.add(backup.file);
+    });
+  };
+
+  keepNewestPer(backup => backup.date, keepDaily);
+  keepNewestPer(backup => startOfWeek(backup.date), keepWeekly);
+
+  const deleted = backups.filter(backup => !keep.has(backup.file));
+  deleted.forEach(backup => fs.unlinkSync(backup.path));
+  return deleted.map(backup => backup.file);
+};
+
+// Snapshot the live database, then rotate. The copy is written under a
+// temporary name so a half-finished backup is never listed.
+const createBackup = async (database, dir = BACKUP_DIR) => {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const file = `workout_tracker-${timestamp()}.db`;
+  const destination = path.join(dir, file);
+  const partial = `${destination}.partial`;
+
+  try {
+    await database.backup(partial);
+    fs.renameSync(partial, destination);
+  } catch (err) {
+    fs.rmSync(partial, { force: true });
+    throw err;
+  }
+
+  const rotated = rotateBackups(dir);
+  return { file, path: destination, rotated };
+};
+
+// Open a database file read-only and make sure it is intact and looks like
+// ours. Resolves when it is, rejects with the reason when it isn't.
+const verifyBackup = file =>
+  new Promise((resolve, reject) => {
+    if (!fs.existsSync(file)) {
+      reject(new Error(`Backup not found: ${file}`));
+      return;
+    }
+
+    const db = new sqlite3.Database(file, sqlite3.OPEN_READONLY, err => {
+      if (err) {
+        reject(new Error(`Cannot open backup: ${err.message}`));
+        return;
+      }
+
+      const fail = message => db.close(() => reject(new Error(message)));
+
+      db.all('PRAGMA integrity_check', (err, rows) => {
+        if (err) return fail(`Integrity check failed: ${err.message}`);
+
+        const problems = rows.map(row => row.integrity_check).filter(result => result !== 'ok');
+        if (problems.length > 0) {
+          return fail(`Integrity check failed: ${problems.slice(0, 5).join('; ')}`);
+        }
+
+        db.all("SELECT name FROM sqlite_master WHERE type = 'table'", (err, tables) => {
+          if (err) return fail(`Cannot read backup schema: ${err.message}`);
+
+          const names = tables.map(table => table.name);
+          const missing = REQUIRED_TABLES.filter(table => !names.includes(table));
+          if (missing.length > 0) {
+            return fail(`Not a SweatSync database (missing ${missing.join(', ')})`);
+          }
+
+          db.close(() => resolve());
+        });
+      });
+    });
+  });
+
+// Replace the live database with a backup. Run this with the server
+// stopped: the app's connection is closed to swap the file. The current
+// database is saved as pre-restore-<timestamp>.db first, which rotation
+// never deletes.
+const restoreBackup = async (database, file, dir = BACKUP_DIR) => {
+  if (database.inMemory) {
+    throw new Error('An in-memory database cannot be restored from a backup');
+  }
+
+  const source = path.resolve(dir, file);
+  await verifyBackup(source);
+
+  fs.mkdirSync(dir, { recursive: true });
+  const safetyCopy = path.join(dir, `pre-restore-${timestamp()}.db`);
+  await database.backup(safetyCopy);
+  await database.close();
+
+  // Copy next to the database first so the swap itself is a single rename
+  const staging = `${database.path}.restoring`;
+  fs.copyFileSync(source, staging);
+  fs.rmSync(`${database.path}-journal`, { force: true });
+  fs.renameSync(staging, database.path);
+
+  return { restored: source, safetyCopy };
+};
+
+// Back up every BACKUP_INTERVAL_HOURS while the server runs. The first run
+// waits until the newest backup is an interval old, so restarts don't pile
+// up extra copies. Timers don't keep the process alive.
+const startBackupSchedule = database => {
+  // A throwaway database has nothing worth keeping
+  if (database.inMemory) return null;
+  if (BACKUP_INTERVAL_HOURS === 0) {
+    console.log('Scheduled backups are disabled (BACKUP_INTERVAL_HOURS=0)');
+    return null;
+  }
+
+  const interval = BACKUP_INTERVAL_HOURS * 60 * 60 * 1000;
+  let running = false;
+  let intervalTimer = null;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const backup = await createBackup(database);
+      console.log(`💾 Database backed up to ${backup.file}`);
+      if (backup.rotated.length > 0) {
+        console.log(`Removed old backups: ${backup.rotated.join(', ')}`);
+      }
+    } catch (err) {
+      console.error('Error backing up database:', err);
+    } finally {
+      running = false;
+    }
+  };
+
+  const [latest] = listBackups();
+  const delay = latest ? Math.max(0, latest.createdAt.getTime() + interval - Date.now()) : 0;
+
+  const firstTimer = setTimeout(() => {
+    run();
+    intervalTimer = setInterval(run, interval);
+    intervalTimer.unref();
+  }, delay);
+  firstTimer.unref();
+
+  return {
+    stop: () => {
+      clearTimeout(firstTimer);
+      clearInterval(intervalTimer);
+    }
+  };
+};
+
+module.exports = {
+  BACKUP_DIR,
+  listBackups,
+  rotateBackups,
+  createBackup,
+  verifyBackup,
+  restoreBackup,
+  startBackupSchedule
+};
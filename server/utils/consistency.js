@@ -0,0 +1,175 @@
+// Streaks, weekly and monthly counts, and plan adherence, built from the
+// dates a user saved workouts on. Dates are "YYYY-MM-DD" calendar days.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Rotation plans are not tied to weekdays, so any single day off between
+// sessions counts as a rest day; a second one in a row ends the streak
+const ROTATION_REST_DAYS = 1;
+
+// Parse as UTC midnight so day arithmetic has no DST drift
+const parseDate = date => {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatDate = time => new Date(time).toISOString().slice(0, 10);
+
+const addDays = (date, days) => formatDate(parseDate(date) + days * MS_PER_DAY);
+
+// Weeks run Monday to Sunday, matching plan schedules
+const startOfWeek = date => {
+  const daysSinceMonday = (new Date(parseDate(date)).getUTCDay() + 6) % 7;
+  return addDays(date, -daysSinceMonday);
+};
+
+const addMonths = (month, months) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return formatDate(Date.UTC(year, monthNumber - 1 + months, 1)).slice(0, 7);
+};
+
+// Walk every day from the first workout to today. A day with a workout
+// extends the streak, a rest day leaves it as it is, and a missed training
+// day ends it. Today only counts once it has a workout, since it isn't over.
+// Streak lengths are in days trained.
+const findStreaks = (trainedDates, firstDate, today, isTrainingDay) => {
+  const current = { days: 0, startDate: null, lastWorkoutDate: null };
+  const longest = { days: 0, startDate: null, endDate: null };
+  let restDaysInRow = 0;
+
+  for (let date = firstDate; date <= today; date = addDays(date, 1)) {
+    if (trainedDates.has(date)) {
+      current.days += 1;
+      current.startDate = current.startDate || date;
+      current.lastWorkoutDate = date;
+      restDaysInRow = 0;
+
+      if (current.days > longest.days) {
+        longest.days = current.days;
+        longest.startDate = current.startDate;
+        longest.endDate = date;
+      }
+      continue;
+    }
+
+    if (date === today) continue;
+
+    const restDay = isTrainingDay
+      ? !isTrainingDay(date)
+      : restDaysInRow < ROTATION_REST_DAYS;
+    if (restDay) {
+      restDaysInRow += 1;
+      continue;
+    }
+
+    current.days = 0;
+    current.startDate = null;
+    current.lastWorkoutDate = null;
+    restDaysInRow = 0;
+  }
+
+  return { current, longest };
+};
+
+// Scheduled training days from `from` to today and how many had a workout.
+// Workouts on rest days are counted separately as extra sessions.
+const findAdherence = (trainedDates, from, today, isTrainingDay) => {
+  let scheduledDays = 0;
+  let completedDays = 0;
+  let extraDays = 0;
+
+  for (let date = from; date <= today; date = addDays(date, 1)) {
+    const trained = trainedDates.has(date);
+    if (!isTrainingDay(date)) {
+      if (trained) extraDays += 1;
+      continue;
+    }
+    if (date === today && !trained) continue;
+
+    scheduledDays += 1;
+    if (trained) completedDays += 1;
+  }
+
+  return {
+    from,
+    to: today,
+    scheduledDays,
+    completedDays,
+    missedDays: scheduledDays - completedDays,
+    extraDays,
+    rate: scheduledDays > 0 ? Math.round((completedDays / scheduledDays) * 100) : null
+  };
+};
+
+// workoutDays: [{ date, workouts }] oldest first.
+// isTrainingDay(date) says whether the plan schedules a workout that day;
+// pass null for rotation plans, which have no calendar (adherence is then
+// null). Adherence covers the last `adherenceDays` days, but not before
+// planStartDate.
+const buildConsistencyStats = ({
+  workoutDays,
+  today,
+  isTrainingDay,
+  planStartDate = null,
+  adherenceDays = 28,
+  weeks = 12,
+  months = 12
+}) => {
+  const trainedDates = new Set(workoutDays.map(day => day.date));
+
+  const streaks = workoutDays.length > 0
+    ? findStreaks(trainedDates, workoutDays[0].date, today, isTrainingDay)
+    : {
+        current: { days: 0, startDate: null, lastWorkoutDate: null },
+        longest: { days: 0, startDate: null, endDate: null }
+      };
+
+  const workoutsByWeek = new Map();
+  const workoutsByMonth = new Map();
+  workoutDays.forEach(({ date, workouts }) => {
+    const week = startOfWeek(date);
+    const month = date.slice(0, 7);
+    workoutsByWeek.set(week, (workoutsByWeek.get(week) || 0) + workouts);
+    workoutsByMonth.set(month, (workoutsByMonth.get(month) || 0) + workouts);
+  });
+
+  // Oldest first, ending with the current week and month
+  const thisWeek = startOfWeek(today);
+  const perWeek = Array.from({ length: weeks }, (_, index) => {
+    const weekStart = addDays(thisWeek, (index - weeks + 1) * 7);
+    return { weekStart, workouts: workoutsByWeek.get(weekStart) || 0 };
+  });
+
+  const thisMonth = today.slice(0, 7);
+  const perMonth = Array.from({ length: months }, (_, index) => {
+    const month = addMonths(thisMonth, index - months + 1);
+    return { month, workouts: workoutsByMonth.get(month) || 0 };
+  });
+
+  let adherence = null;
+  if (isTrainingDay) {
+    const windowStart = addDays(today, -(adherenceDays - 1));
+    const from = planStartDate && planStartDate > windowStart ? planStartDate : windowStart;
+    adherence = findAdherence(trainedDates, from, today, isTrainingDay);
+  }
+
+  return {
+    today,
+    currentStreak: streaks.current,
+    longestStreak: streaks.longest,
+    totals: {
+      workouts: workoutDays.reduce((total, day) => total + day.workouts, 0),
+      trainingDays: workoutDays.length,
+      thisWeek: workoutsByWeek.get(thisWeek) || 0,
+      thisMonth: workoutsByMonth.get(thisMonth) || 0
+    },
+    perWeek,
+    perMonth,
+    adherence
+  };
+};
+
+module.exports = {
+  startOfWeek,
+  buildConsistencyStats
+};
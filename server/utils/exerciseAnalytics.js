@@ -0,0 +1,142 @@
+// Progress numbers for one exercise, built from the sets saved by /complete
+
+const round = value => Math.round(value * 10) / 10;
+
+const sum = values => values.reduce((total, value) => total + value, 0);
+
+// Epley formula: weight × (1 + reps / 30). A single rep is the weight itself.
+const estimateOneRepMax = (weight, reps) =>
+  reps === 1 ? weight : weight * (1 + reps / 30);
+
+// Group set rows (already in order) into one entry per workout
+const groupBySession = rows => {
+  const sessions = new Map();
+  rows.forEach(row => {
+    if (!sessions.has(row.workout_id)) {
+      sessions.set(row.workout_id, {
+        workoutId: row.workout_id,
+        date: row.date,
+        sets: []
+      });
+    }
+    sessions.get(row.workout_id).sets.push(row);
+  });
+  return [...sessions.values()];
+};
+
+// One point per session for a rep exercise. Sets without reps are ignored;
+// sets without weight (bodyweight) count toward reps but not weight numbers.
+const summarizeRepSession = ({ workoutId, date, sets }) => {
+  const logged = sets.filter(set => set.reps > 0);
+  if (logged.length === 0) return null;
+
+  const weighted = logged.filter(set => set.weight > 0);
+
+  // Heaviest set, with more reps breaking a tie
+  const topSet = weighted.reduce(
+    (best, set) =>
+      !best ||
+      set.weight > best.weight ||
+      (set.weight === best.weight && set.reps > best.reps)
+        ? set
+        : best,
+    null
+  );
+
+  const bestReps = new Map();
+  weighted.forEach(set => {
+    bestReps.set(set.weight, Math.max(bestReps.get(set.weight) || 0, set.reps));
+  });
+
+  return {
+    workoutId,
+    date,
+    sets: logged.length,
+    totalReps: sum(logged.map(set => set.reps)),
+    topSetWeight: topSet ? topSet.weight : null,
+    topSetReps: topSet ? topSet.reps : null,
+    volume: round(sum(weighted.map(set => set.weight * set.reps))),
+    estimatedOneRepMax: topSet
+      ? round(Math.max(...weighted.map(set => estimateOneRepMax(set.weight, set.reps))))
+      : null,
+    bestRepsByWeight: [...bestReps.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([weight, reps]) => ({ weight, reps }))
+  };
+};
+
+const summarizeTimeSession = ({ workoutId, date, sets }) => {
+  const logged = sets.filter(set => set.time > 0);
+  if (logged.length === 0) return null;
+
+  return {
+    workoutId,
+    date,
+    sets: logged.length,
+    longestHold: Math.max(...logged.map(set => set.time)),
+    totalTime: sum(logged.map(set => set.time))
+  };
+};
+
+// Best reps ever done at each weight, and when
+const getRepRecords = sessions => {
+  const records = new Map();
+  sessions.forEach(session => {
+    session.bestRepsByWeight.forEach(({ weight, reps }) => {
+      if (!records.has(weight) || reps > records.get(weight).reps) {
+        records.set(weight, { weight, reps, date: session.date });
+      }
+    });
+  });
+  return [...records.values()].sort((a, b) => a.weight - b.weight);
+};
+
+const maxOf = values => {
+  const present = values.filter(value => value !== null);
+  return present.length > 0 ? Math.max(...present) : null;
+};
+
+// Build the analytics for one exercise from its set rows, oldest first.
+// The exercise type (and name spelling) come from the most recent session,
+// and sets logged under the other type are left out.
+// Returns null when there is nothing to report.
+const buildExerciseAnalytics = rows => {
+  if (rows.length === 0) return null;
+
+  const latest = rows[rows.length - 1];
+  const type = latest.type === 'time' ? 'time' : 'reps';
+  const sessionRows = groupBySession(rows.filter(row => row.type === latest.type));
+
+  if (type === 'time') {
+    const sessions = sessionRows.map(summarizeTimeSession).filter(Boolean);
+    return {
+      exercise: latest.name,
+      type,
+      sessions,
+      summary: {
+        sessions: sessions.length,
+        longestHold: maxOf(sessions.map(session => session.longestHold)),
+        totalTime: sum(sessions.map(session => session.totalTime))
+      }
+    };
+  }
+
+  const sessions = sessionRows.map(summarizeRepSession).filter(Boolean);
+  return {
+    exercise: latest.name,
+    type,
+    sessions,
+    summary: {
+      sessions: sessions.length,
+      bestTopSetWeight: maxOf(sessions.map(session => session.topSetWeight)),
+      bestEstimatedOneRepMax: maxOf(sessions.map(session => session.estimatedOneRepMax)),
+      bestVolume: maxOf(sessions.map(session => session.volume)),
+      repRecords: getRepRecords(sessions)
+    }
+  };
+};
+
+module.exports = {
+  estimateOneRepMax,
+  buildExerciseAnalytics
+};
@@ -0,0 +1,164 @@
+// Goal validation and progress, worked out from saved workouts
+const { estimateOneRepMax } = require('./exerciseAnalytics');
+const { startOfWeek } = require('./consistency');
+
+const GOAL_TYPES = ['strength', 'consistency', 'volume'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_TEXT_LENGTH = 100;
+
+const isPositiveNumber = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+
+const isIntegerInRange = (value, min, max) =>
+  Number.isInteger(value) && value >= min && value <= max;
+
+const optionalText = value =>
+  typeof value === 'string' && value.trim() ? value.trim() : null;
+
+// Check a goal from a request body. Returns { goal } with the fields to
+// store, or { error } describing the first problem. startDate defaults to
+// `today`; consistency goals run by the week, so they take no end date.
+const parseGoalInput = (body, today) => {
+  const { type } = body;
+  if (!GOAL_TYPES.includes(type)) {
+    return { error: `Goal type must be one of: ${GOAL_TYPES.join(', ')}` };
+  }
+
+  const title = optionalText(body.title);
+  const exercise = optionalText(body.exercise);
+  if ((title && title.length > MAX_TEXT_LENGTH) || (exercise && exercise.length > MAX_TEXT_LENGTH)) {
+    return { error: `Goal title and exercise must be at most ${MAX_TEXT_LENGTH} characters` };
+  }
+
+  const startDate = body.startDate === undefined || body.startDate === null ? today : body.startDate;
+  const endDate = body.endDate === undefined || body.endDate === null ? null : body.endDate;
+  if (!DATE_PATTERN.test(startDate) || (endDate !== null && !DATE_PATTERN.test(endDate))) {
+    return { error: 'Goal dates must be in YYYY-MM-DD format' };
+  }
+  if (endDate !== null && endDate < startDate) {
+    return { error: 'Goal end date must not be before its start date' };
+  }
+
+  const goal = {
+    type,
+    title,
+    exercise: null,
+    targetWeight: null,
+    targetReps: null,
+    sessionsPerWeek: null,
+    weeks: null,
+    targetVolume: null,
+    startDate,
+    endDate
+  };
+
+  if (type === 'strength') {
+    if (!exercise) {
+      return { error: 'Strength goals need an exercise' };
+    }
+    if (!isPositiveNumber(body.targetWeight) || !isIntegerInRange(body.targetReps, 1, 100)) {
+      return { error: 'Strength goals need a target weight and a target of 1-100 reps' };
+    }
+    return {
+      goal: { ...goal, exercise, targetWeight: body.targetWeight, targetReps: body.targetReps }
+    };
+  }
+
+  if (type === 'consistency') {
+    if (!isIntegerInRange(body.sessionsPerWeek, 1, 14) || !isIntegerInRange(body.weeks, 1, 52)) {
+      return { error: 'Consistency goals need 1-14 sessions per week for 1-52 weeks' };
+    }
+    return {
+      goal: { ...goal, sessionsPerWeek: body.sessionsPerWeek, weeks: body.weeks, endDate: null }
+    };
+  }
+
+  if (!isPositiveNumber(body.targetVolume)) {
+    return { error: 'Volume goals need a target volume' };
+  }
+  return { goal: { ...goal, exercise, targetVolume: body.targetVolume } };
+};
+
+const inRange = (goal, date) =>
+  date >= goal.startDate && (goal.endDate === null || date <= goal.endDate);
+
+const percentOf = (value, target) => Math.min(100, Math.round((value / target) * 100));
+
+// Met by any single set at or above the target weight for the target reps.
+// Until then, progress compares the best estimated 1RM with the target's.
+const getStrengthProgress = (goal, sets) => {
+  const logged = sets.filter(set => inRange(goal, set.date) && set.weight > 0 && set.reps > 0);
+  const met = logged.some(set => set.weight >= goal.targetWeight && set.reps >= goal.targetReps);
+
+  const bestSet = logged.reduce(
+    (best, set) =>
+      !best || estimateOneRepMax(set.weight, set.reps) > estimateOneRepMax(best.weight, best.reps)
+        ? set
+        : best,
+    null
+  );
+  const estimatedPercent = bestSet
+    ? percentOf(
+        estimateOneRepMax(bestSet.weight, bestSet.reps),
+        estimateOneRepMax(goal.targetWeight, goal.targetReps)
+      )
+    : 0;
+
+  return {
+    percent: met ? 100 : Math.min(99, estimatedPercent),
+    met,
+    bestSet: bestSet ? { weight: bestSet.weight, reps: bestSet.reps, date: bestSet.date } : null
+  };
+};
+
+// Total weight × reps over the goal's dates
+const getVolumeProgress = (goal, sets) => {
+  const volume = sets
+    .filter(set => inRange(goal, set.date) && set.weight > 0 && set.reps > 0)
+    .reduce((total, set) => total + set.weight * set.reps, 0);
+
+  return {
+    percent: percentOf(volume, goal.targetVolume),
+    met: volume >= goal.targetVolume,
+    volume: Math.round(volume)
+  };
+};
+
+// Weeks (Monday to Sunday, from the week of the start date) with at least
+// sessionsPerWeek workouts. They don't have to be back to back.
+const getConsistencyProgress = (goal, workoutDays, today) => {
+  const firstWeek = startOfWeek(goal.startDate);
+  const sessionsByWeek = new Map();
+  workoutDays
+    .filter(day => day.date >= firstWeek)
+    .forEach(({ date, workouts }) => {
+      const week = startOfWeek(date);
+      sessionsByWeek.set(week, (sessionsByWeek.get(week) || 0) + workouts);
+    });
+
+  const weeksMet = [...sessionsByWeek.values()].filter(
+    sessions => sessions >= goal.sessionsPerWeek
+  ).length;
+
+  return {
+    percent: percentOf(weeksMet, goal.weeks),
+    met: weeksMet >= goal.weeks,
+    weeksMet,
+    thisWeekSessions: sessionsByWeek.get(startOfWeek(today)) || 0
+  };
+};
+
+// Progress for one goal. `sets` are { date, reps, weight } rows of the
+// goal's exercise (every exercise for an open volume goal); `workoutDays`
+// are { date, workouts } rows, used by consistency goals.
+const computeGoalProgress = (goal, { sets = [], workoutDays = [], today }) => {
+  if (goal.type === 'strength') return getStrengthProgress(goal, sets);
+  if (goal.type === 'volume') return getVolumeProgress(goal, sets);
+  return getConsistencyProgress(goal, workoutDays, today);
+};
+
+module.exports = {
+  GOAL_TYPES,
+  parseGoalInput,
+  computeGoalProgress
+};
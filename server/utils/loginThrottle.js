@@ -0,0 +1,118 @@
+// Brute-force protection for login. Failed attempts are counted per client
+// IP and per username; after a few free tries each further failure makes
+// that key wait twice as long as the last, and enough failures lock it out
+// for a while. Unknown usernames are counted the same way as real ones so
+// the responses don't reveal which accounts exist.
+//
+// State is kept in memory, per app instance, and is lost on restart.
+
+const MINUTE = 60 * 1000;
+
+const LIMITS = {
+  // One person mistyping a password
+  username: {
+    freeAttempts: 3,
+    baseDelay: 2 * 1000,
+    maxDelay: 5 * MINUTE,
+    lockoutAfter: 10,
+    lockoutDuration: 15 * MINUTE
+  },
+  // Several people behind one address, so more room before slowing down
+  ip: {
+    freeAttempts: 10,
+    baseDelay: 2 * 1000,
+    maxDelay: 5 * MINUTE,
+    lockoutAfter: 50,
+    lockoutDuration: 60 * MINUTE
+  }
+};
+
+// Failures are forgotten once a key has been quiet this long
+const FORGET_AFTER = 60 * MINUTE;
+
+// Prune forgotten keys once the table grows past this
+const PRUNE_THRESHOLD = 10000;
+
+// Milliseconds a key must wait after `failures` failures
+const getBlockDuration = (limits, failures) => {
+  if (failures >= limits.lockoutAfter) return limits.lockoutDuration;
+  if (failures <= limits.freeAttempts) return 0;
+  const delay = limits.baseDelay * 2 ** (failures - limits.freeAttempts - 1);
+  return Math.min(delay, limits.maxDelay);
+};
+
+const createLoginThrottle = ({ now = Date.now } = {}) => {
+  const attempts = new Map(); // key -> { failures, lastFailure, blockedUntil }
+
+  const usernameKey = username => `user:${String(username).trim().toLowerCase()}`;
+
+  const keysFor = (ip, username) => [
+    { key: `ip:${ip}`, limits: LIMITS.ip },
+    { key: usernameKey(username), limits: LIMITS.username }
+  ];
+
+  const getEntry = key => {
+    const entry = attempts.get(key);
+    if (entry && now() - entry.lastFailure > FORGET_AFTER) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  const prune = () => {
+    if (attempts.size < PRUNE_THRESHOLD) return;
+    for (const key of attempts.keys()) {
+      getEntry(key);
+    }
+  };
+
+  return {
+    // Seconds to wait before this IP or username may try again, or 0
+    getRetryAfter(ip, username) {
+      const waits = keysFor(ip, username).map(({ key }) => {
+        const entry = getEntry(key);
+        return entry ? entry.blockedUntil - now() : 0;
+      });
+      return Math.max(0, Math.ceil(Math.max(...waits) / 1000));
+    },
+
+    recordFailure(ip, username) {
+      prune();
+      keysFor(ip, username).forEach(({ key, limits }) => {
+        const failures = (getEntry(key)?.failures || 0) + 1;
+        attempts.set(key, {
+          failures,
+          lastFailure: now(),
+          blockedUntil: now() + getBlockDuration(limits, failures)
+        });
+      });
+    },
+
+    // A correct password clears the username's record. Logins are counted
+    // as failures before the password is checked, so the IP gets back the
+    // one this attempt was counted as; the rest of its record is kept so
+    // one good login can't be used to reset a guessing run from it.
+    recordSuccess(ip, username) {
+      attempts.delete(usernameKey(username));
+
+      const key = `ip:${ip}`;
+      const entry = getEntry(key);
+      if (!entry) return;
+      if (entry.failures <= 1) {
+        attempts.delete(key);
+        return;
+      }
+      const failures = entry.failures - 1;
+      attempts.set(key, {
+        ...entry,
+        failures,
+        blockedUntil: entry.lastFailure + getBlockDuration(LIMITS.ip, failures)
+      });
+    }
+  };
+};
+
+module.exports = {
+  createLoginThrottle
+};
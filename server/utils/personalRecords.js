@@ -0,0 +1,121 @@
+// Personal record detection for a newly saved session
+const { estimateOneRepMax } = require('./exerciseAnalytics');
+
+const RECORD_TYPES = ['heaviest_weight', 'most_reps', 'estimated_1rm', 'longest_hold'];
+
+const round = value => Math.round(value * 10) / 10;
+
+const maxOf = values => (values.length > 0 ? Math.max(...values) : null);
+
+// Heaviest set, with more reps breaking a tie
+const findTopSet = sets =>
+  sets.reduce(
+    (best, set) =>
+      !best ||
+      set.weight > best.weight ||
+      (set.weight === best.weight && set.reps > best.reps)
+        ? set
+        : best,
+    null
+  );
+
+// Best reps at each weight. Bodyweight sets (no weight) share the key null.
+const bestRepsByWeight = sets => {
+  const best = new Map();
+  sets.forEach(set => {
+    const weight = set.weight > 0 ? set.weight : null;
+    if (!best.has(weight) || set.reps > best.get(weight).reps) {
+      best.set(weight, set);
+    }
+  });
+  return best;
+};
+
+const findRepRecords = (sets, previousSets) => {
+  const logged = sets.filter(set => set.reps > 0);
+  const previous = previousSets.filter(set => set.reps > 0);
+  if (logged.length === 0 || previous.length === 0) return [];
+
+  const records = [];
+  const weighted = logged.filter(set => set.weight > 0);
+  const previousWeighted = previous.filter(set => set.weight > 0);
+
+  if (weighted.length > 0 && previousWeighted.length > 0) {
+    const topSet = findTopSet(weighted);
+    const previousWeight = maxOf(previousWeighted.map(set => set.weight));
+    if (topSet.weight > previousWeight) {
+      records.push({
+        type: 'heaviest_weight',
+        value: topSet.weight,
+        previousValue: previousWeight,
+        weight: topSet.weight,
+        reps: topSet.reps
+      });
+    }
+
+    const bestSet = weighted.reduce((best, set) =>
+      estimateOneRepMax(set.weight, set.reps) > estimateOneRepMax(best.weight, best.reps)
+        ? set
+        : best
+    );
+    const estimate = round(estimateOneRepMax(bestSet.weight, bestSet.reps));
+    const previousEstimate = round(
+      maxOf(previousWeighted.map(set => estimateOneRepMax(set.weight, set.reps)))
+    );
+    if (estimate > previousEstimate) {
+      records.push({
+        type: 'estimated_1rm',
+        value: estimate,
+        previousValue: previousEstimate,
+        weight: bestSet.weight,
+        reps: bestSet.reps
+      });
+    }
+  }
+
+  // Only weights done before have a best to beat
+  const previousReps = bestRepsByWeight(previous);
+  bestRepsByWeight(logged).forEach((set, weight) => {
+    if (previousReps.has(weight) && set.reps > previousReps.get(weight).reps) {
+      records.push({
+        type: 'most_reps',
+        value: set.reps,
+        previousValue: previousReps.get(weight).reps,
+        weight,
+        reps: set.reps
+      });
+    }
+  });
+
+  return records;
+};
+
+const findTimeRecords = (sets, previousSets) => {
+  const longestHold = maxOf(sets.filter(set => set.time > 0).map(set => set.time));
+  const previousHold = maxOf(previousSets.filter(set => set.time > 0).map(set => set.time));
+  if (longestHold === null || previousHold === null || longestHold <= previousHold) {
+    return [];
+  }
+
+  return [{
+    type: 'longest_hold',
+    value: longestHold,
+    previousValue: previousHold,
+    weight: null,
+    reps: null
+  }];
+};
+
+// Compare one exercise's sets from a session ({ reps, weight, time } as
+// numbers or null) with every set of it logged earlier. The first session
+// of an exercise has nothing to beat, so it never counts as a record.
+// Returns [{ type, value, previousValue, weight, reps }].
+const findPersonalRecords = (type, sets, previousSets) =>
+  type === 'time'
+    ? findTimeRecords(sets, previousSets)
+    : findRepRecords(sets, previousSets);
+
+module.exports = {
+  RECORD_TYPES,
+  findPersonalRecords
+};
@@ -0,0 +1,63 @@
+// Timezone helpers so "today" means the user's today, not the server's
+
+// True for IANA zone names the runtime knows, e.g. "America/Chicago"
+const isValidTimeZone = timeZone => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+// Pick the zone for a request: the device's zone from the X-Timezone header
+// (so travel is handled), then the zone stored for the user, then the
+// server's own zone
+const resolveTimeZone = req => {
+  const headerZone = req.get('X-Timezone');
+  if (isValidTimeZone(headerZone)) return headerZone;
+  if (isValidTimeZone(req.user?.timezone)) return req.user.timezone;
+  return Intl.DateTimeFormat().resolvedOptions().timeZone;
+};
+
+// Calendar date in the zone as "YYYY-MM-DD"
+const getLocalDate = (timeZone, date = new Date()) => {
+  // en-CA formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+  }).format(date);
+};
+
+// True for a real "YYYY-MM-DD" calendar date (so not "2025-02-30")
+const isCalendarDate = date => {
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return false;
+  }
+  const time = new Date(`${date}T00:00:00Z`);
+  return !isNaN(time.getTime()) && time.toISOString().startsWith(date);
+};
+
+// Lowercase weekday in the zone, e.g. "monday", matching plan schedule keys
+const getWeekdayName = (timeZone, date = new Date()) => {
+  return date
+    .toLocaleDateString('en-US', { timeZone, weekday: 'long' })
+    .toLowerCase();
+};
+
+// SQLite CURRENT_TIMESTAMP values are UTC but carry no zone marker
+const parseSqliteTimestamp = timestamp => {
+  return new Date(`${timestamp.replace(' ', 'T')}Z`);
+};
+
+module.exports = {
+  isValidTimeZone,
+  resolveTimeZone,
+  getLocalDate,
+  isCalendarDate,
+  getWeekdayName,
+  parseSqliteTimestamp,
+};
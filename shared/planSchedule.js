@@ -0,0 +1,100 @@
+// ==========================================
+// PLAN SCHEDULE HELPERS
+// ==========================================
+// Work out which part of a plan applies: the week of a multi-week program on
+// a given date, or the next slot of a rotation. Shared by the server (to
+// serve today's workout) and the frontend (to lay out the plan).
+
+import { DAY_NAMES } from './planSchema.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Plans written before days could say "rest": true named their rest days
+// like this
+const REST_DAY_NAME = /^rest( day)?$/i;
+
+// "rotation", "weeks" or "weekly" (a single repeating schedule)
+export const getPlanType = plan => {
+  if (Array.isArray(plan?.rotation)) return 'rotation';
+  if (Array.isArray(plan?.weeks)) return 'weeks';
+  return 'weekly';
+};
+
+// Every plan as a list of weeks. Single-schedule plans are one repeating week.
+export const getPlanWeeks = plan => {
+  if (Array.isArray(plan?.weeks)) {
+    return plan.weeks.map((week, index) => ({
+      name: week.name || `Week ${index + 1}`,
+      schedule: week.schedule || {},
+    }));
+  }
+
+  return plan?.schedule ? [{ name: plan.name, schedule: plan.schedule }] : [];
+};
+
+// Position of the next rotation day: the one after the last completed
+// session (or the first day if there is none), moved by any skips since.
+export const getNextRotationIndex = (plan, lastIndex, offset = 0) => {
+  const total = plan.rotation.length;
+  const base = Number.isInteger(lastIndex) ? lastIndex + 1 : 0;
+  return (((base + offset) % total) + total) % total;
+};
+
+// Parse "YYYY-MM-DD" as a calendar date (UTC midnight, so no DST drift)
+const parseDate = dateString => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+// Weeks run Monday to Sunday, matching the schedule keys
+const startOfWeek = time => {
+  const daysSinceMonday = (new Date(time).getUTCDay() + 6) % 7;
+  return time - daysSinceMonday * MS_PER_DAY;
+};
+
+// A day with nothing scheduled, or one marked "rest": true, is a rest day.
+// Unmarked days named "Rest Day" are too, unless they say "rest": false.
+export const isRestDay = day => {
+  if (!day?.exercises?.length) return true;
+  return day.rest ?? REST_DAY_NAME.test(day.name.trim());
+};
+
+// Which week of the plan falls on `date` ("YYYY-MM-DD").
+// Week 1 is the Monday-to-Sunday week containing `startDate`. Programs repeat
+// after their last week unless the plan sets "repeat": false, in which case
+// the last week is served and `completed` is true.
+export const getProgramWeek = (plan, startDate, date) => {
+  const weeks = getPlanWeeks(plan);
+  const total = weeks.length;
+
+  if (total === 0) return null;
+
+  const elapsedWeeks = startDate
+    ? Math.floor(
+        (startOfWeek(parseDate(date)) - startOfWeek(parseDate(startDate))) /
+          (7 * MS_PER_DAY)
+      )
+    : 0;
+  const weeksIn = Math.max(elapsedWeeks, 0);
+  const repeat = plan.repeat !== false;
+  const completed = !repeat && weeksIn >= total;
+  const index = completed ? total - 1 : weeksIn % total;
+
+  return {
+    index,
+    number: index + 1,
+    total,
+    cycle: repeat ? Math.floor(weeksIn / total) + 1 : 1,
+    name: weeks[index].name,
+    schedule: weeks[index].schedule,
+    notStarted: elapsedWeeks < 0,
+    completed,
+  };
+};
+
+// Whether a weekly or multi-week plan has training scheduled on `date`
+export const isTrainingDay = (plan, startDate, date) => {
+  const week = getProgramWeek(plan, startDate, date);
+  const dayName = DAY_NAMES[(new Date(parseDate(date)).getUTCDay() + 6) % 7];
+  return !isRestDay(week?.schedule[dayName]);
+};
@@ -0,0 +1,217 @@
+// ==========================================
+// WORKOUT PLAN SCHEMA
+// ==========================================
+// The one definition of what a valid workout plan looks like. The server
+// enforces it on every write; the frontend runs the same checks before
+// uploading so users get the same messages without a round trip.
+
+export const DAY_NAMES = [
+  'monday',
+  'tuesday',
+  'wednesday',
+  'thursday',
+  'friday',
+  'saturday',
+  'sunday',
+];
+
+export const EXERCISE_TYPES = ['reps', 'time'];
+
+const exerciseSchema = {
+  type: 'object',
+  required: ['name', 'type', 'sets'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    type: { enum: EXERCISE_TYPES },
+    sets: { type: 'integer', minimum: 1, maximum: 20 },
+    target_reps: { type: ['string', 'number'] },
+    target_time: { type: ['string', 'number'] },
+    notes: { type: 'string', maxLength: 500 },
+  },
+};
+
+const daySchema = {
+  type: 'object',
+  required: ['name', 'exercises'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    exercises: { type: 'array', maxItems: 50, items: exerciseSchema },
+    // A day of light activity (walking, stretching) that isn't training
+    rest: { type: 'boolean' },
+  },
+};
+
+const scheduleSchema = {
+  type: 'object',
+  minProperties: 1,
+  propertyNames: DAY_NAMES,
+  additionalProperties: daySchema,
+};
+
+const weekSchema = {
+  type: 'object',
+  required: ['schedule'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    schedule: scheduleSchema,
+  },
+};
+
+// A plan is one of:
+// - "schedule": a single week keyed by weekday that repeats
+// - "weeks": a block of weeks that runs from "start_date" (and repeats
+//   unless "repeat" is false)
+// - "rotation": days done in order regardless of weekday, each session
+//   picking up after the last one completed
+export const planSchema = {
+  type: 'object',
+  required: ['name'],
+  exactlyOneOf: ['schedule', 'weeks', 'rotation'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    schedule: scheduleSchema,
+    weeks: { type: 'array', minItems: 1, maxItems: 52, items: weekSchema },
+    rotation: { type: 'array', minItems: 1, maxItems: 14, items: daySchema },
+    start_date: { type: 'string', format: 'date' },
+    repeat: { type: 'boolean' },
+  },
+};
+
+// ==========================================
+// VALIDATOR
+// ==========================================
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// "YYYY-MM-DD" that names a real calendar day
+const isValidDate = value => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+// Build a JSON path like "schedule.monday.exercises[2].type"
+const joinPath = (path, key) =>
+  typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+
+const validateNode = (value, schema, path, errors) => {
+  const addError = message => errors.push({ path, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      addError(`must be ${types.map(type => `a ${type}`).join(' or ')}`);
+      return; // Nothing further to check on a value of the wrong type
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addError(`must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.format === 'date' && !isValidDate(value)) {
+      addError('must be a date in YYYY-MM-DD format');
+    }
+    if (
+      schema.minLength !== undefined &&
+      value.trim().length < schema.minLength
+    ) {
+      addError('must not be empty');
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      addError(`must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(`must contain at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      addError(`must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) =>
+        validateNode(item, schema.items, joinPath(path, index), errors)
+      );
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const keys = Object.keys(value);
+
+    if (
+      schema.minProperties !== undefined &&
+      keys.length < schema.minProperties
+    ) {
+      addError(`must contain at least ${schema.minProperties} entry`);
+    }
+
+    if (schema.exactlyOneOf) {
+      const present = schema.exactlyOneOf.filter(
+        key => value[key] !== undefined
+      );
+      if (present.length !== 1) {
+        addError(`must have exactly one of: ${schema.exactlyOneOf.join(', ')}`);
+      }
+    }
+
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path: joinPath(path, key), message: 'is required' });
+      }
+    });
+
+    keys.forEach(key => {
+      const keyPath = joinPath(path, key);
+
+      if (schema.propertyNames && !schema.propertyNames.includes(key)) {
+        errors.push({
+          path: keyPath,
+          message: `is not a valid key. Use: ${schema.propertyNames.join(', ')}`,
+        });
+        return;
+      }
+
+      const propertySchema =
+        schema.properties?.[key] || schema.additionalProperties;
+      if (propertySchema && value[key] !== undefined) {
+        validateNode(value[key], propertySchema, keyPath, errors);
+      }
+    });
+  }
+};
+
+// Turn an error into a readable sentence, e.g.
+// "schedule.monday.exercises[2].type must be one of: reps, time"
+export const formatPlanError = ({ path, message }) =>
+  `${path || 'Workout plan'} ${message}`;
+
+// Validate a workout plan against the schema.
+// Returns { valid, errors } where each error is { path, message }.
+export const validateWorkoutPlan = plan => {
+  const errors = [];
+  validateNode(plan, planSchema, '', errors);
+  return { valid: errors.length === 0, errors };
+};
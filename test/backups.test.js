@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { createDatabase } = require('../server/models/database');
+const {
+  listBackups,
+  rotateBackups,
+  createBackup,
+  verifyBackup
+} = require('../server/utils/backups');
+
+const makeTempDir = t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sweatsync-backups-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+};
+
+const openDatabase = async t => {
+  const database = createDatabase(':memory:');
+  await database.initialize();
+  t.after(() => database.close());
+  return database;
+};
+
+test('a backup waits for a destination another connection has locked', async t => {
+  const dir = makeTempDir(t);
+  const database = await openDatabase(t);
+  const destination = path.join(dir, 'copy.db');
+
+  const other = new sqlite3.Database(destination);
+  t.after(() => new Promise(resolve => other.close(resolve)));
+  await new Promise((resolve, reject) =>
+    other.exec('CREATE TABLE held (id INTEGER); BEGIN EXCLUSIVE;', err =>
+      err ? reject(err) : resolve()
+    )
+  );
+  setTimeout(() => other.exec('COMMIT'), 300);
+
+  const { pageCount } = await database.backup(destination);
+  assert.ok(pageCount > 0);
+
+  const copy = createDatabase(destination);
+  t.after(() => copy.close());
+  assert.ok(await copy.get("SELECT name FROM sqlite_master WHERE name = 'workouts'"));
+});
+
+test('a backup that cannot open its destination rejects', async t => {
+  const database = await openDatabase(t);
+
+  await assert.rejects(database.backup(path.join(makeTempDir(t), 'missing', 'copy.db')), {
+    code: 'SQLITE_CANTOPEN'
+  });
+});
+
+test('backup rotation', async t => {
+  const dir = makeTempDir(t);
+  const files = [
+    'workout_tracker-20250115-030000.db', // Wednesday
+    'workout_tracker-20250115-010000.db',
+    'workout_tracker-20250114-030000.db',
+    'workout_tracker-20250113-030000.db', // Monday
+    'workout_tracker-20250110-030000.db', // the week before
+    'workout_tracker-20250107-030000.db',
+    'workout_tracker-20241231-030000.db' // the week before that
+  ];
+  const others = [
+    'notes.txt',
+    'pre-restore-20250101-000000.db',
+    'workout_tracker-20250116-030000.db.partial'
+  ];
+  [...files, ...others].forEach(file => fs.writeFileSync(path.join(dir, file), ''));
+
+  await t.test('lists only backups, newest first', () => {
+    const backups = listBackups(dir);
+
+    assert.deepEqual(backups.map(backup => backup.file), files);
+    assert.equal(backups[0].date, '2025-01-15');
+    assert.equal(backups[0].createdAt.toISOString(), '2025-01-15T03:00:00.000Z');
+  });
+
+  await t.test('a missing directory has no backups', () => {
+    assert.deepEqual(listBackups(path.join(dir, 'missing')), []);
+  });
+
+  await t.test('keeps the newest backup of recent days and weeks', () => {
+    const deleted = rotateBackups(dir, { keepDaily: 2, keepWeekly: 2 });
+
+    assert.deepEqual(deleted, [
+      'workout_tracker-20250115-010000.db',
+      'workout_tracker-20250113-030000.db',
+      'workout_tracker-20250107-030000.db',
+      'workout_tracker-20241231-030000.db'
+    ]);
+    assert.deepEqual(
+      fs.readdirSync(dir).sort(),
+      [
+        ...others,
+        'workout_tracker-20250110-030000.db',
+        'workout_tracker-20250114-030000.db',
+        'workout_tracker-20250115-030000.db'
+      ].sort()
+    );
+  });
+});
+
+test('createBackup writes a backup that verifies', async t => {
+  const dir = makeTempDir(t);
+  const database = await openDatabase(t);
+
+  const backup = await createBackup(database, dir);
+
+  assert.match(backup.file, /^workout_tracker-\d{8}-\d{6}\.db$/);
+  assert.deepEqual(fs.readdirSync(dir), [backup.file]);
+  await verifyBackup(backup.path);
+});
+
+test('verifyBackup rejects files that are not our databases', async t => {
+  const dir = makeTempDir(t);
+  const other = path.join(dir, 'other.db');
+  const db = new sqlite3.Database(other);
+  await new Promise((resolve, reject) =>
+    db.exec('CREATE TABLE notes (id INTEGER)', err => (err ? reject(err) : db.close(resolve)))
+  );
+
+  await assert.rejects(verifyBackup(other), {
+    message: 'Not a SweatSync database (missing schema_migrations, users, workouts)'
+  });
+  await assert.rejects(verifyBackup(path.join(dir, 'missing.db')), /Backup not found/);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CONFIG_PATH = path.join(__dirname, '..', 'server', 'config.js');
+
+// Config is read once on require and exits on bad settings, so each case
+// loads it in its own process with only the given environment
+const loadConfig = env => {
+  const result = spawnSync(
+    process.execPath,
+    ['-e', `console.log(JSON.stringify(require(${JSON.stringify(CONFIG_PATH)})))`],
+    {
+      env: { PATH: process.env.PATH, NODE_ENV: 'test', JWT_SECRET: 'test-secret', ...env },
+      encoding: 'utf8'
+    }
+  );
+  return {
+    status: result.status,
+    config: result.status === 0 ? JSON.parse(result.stdout) : null,
+    errors: result.stderr
+      .split('\n')
+      .filter(line => line.startsWith('  - '))
+      .map(line => line.slice(4))
+  };
+};
+
+test('configuration', async t => {
+  await t.test('reads and converts valid settings', () => {
+    const { status, config } = loadConfig({
+      PORT: '8080',
+      ALLOWED_ORIGINS: 'https://sweatsync.example.com, http://localhost:5173',
+      TRUST_PROXY: '1',
+      BACKUP_KEEP_DAILY: '3'
+    });
+
+    assert.equal(status, 0);
+    assert.equal(config.port, 8080);
+    assert.deepEqual(config.allowedOrigins, [
+      'https://sweatsync.example.com',
+      'http://localhost:5173'
+    ]);
+    assert.equal(config.trustProxy, 1);
+    assert.equal(config.backups.keepDaily, 3);
+  });
+
+  await t.test('tests default to an in-memory database and no backup timer', () => {
+    const { config } = loadConfig({});
+
+    assert.equal(config.dbPath, ':memory:');
+    assert.equal(config.backups.intervalHours, 0);
+  });
+
+  await t.test('exits listing every bad setting', () => {
+    const { status, errors } = loadConfig({
+      PORT: '70000',
+      ACCESS_TOKEN_MINUTES: 'soon',
+      ALLOWED_ORIGINS: 'https://sweatsync.example.com/app',
+      TRUST_PROXY: 'every proxy!'
+    });
+
+    assert.equal(status, 1);
+    assert.deepEqual(errors, [
+      'ALLOWED_ORIGINS entry "https://sweatsync.example.com/app" is not an origin like https://example.com',
+      'PORT must be a whole number from 1 to 65535 (got "70000")',
+      'ACCESS_TOKEN_MINUTES must be a whole number from 1 to 1440 (got "soon")',
+      'TRUST_PROXY must be true, false, a hop count or a list of addresses (got "every proxy!")'
+    ]);
+  });
+
+  await t.test('requires a real JWT secret', () => {
+    assert.deepEqual(loadConfig({ JWT_SECRET: '' }).errors, ['JWT_SECRET is required']);
+    assert.deepEqual(
+      loadConfig({ JWT_SECRET: 'your-secret-key-change-this-in-production' }).errors,
+      ['JWT_SECRET is still the example placeholder; set a random secret']
+    );
+  });
+
+  await t.test('production needs a long secret', () => {
+    assert.equal(loadConfig({ NODE_ENV: 'production' }).status, 1);
+    assert.equal(loadConfig({ NODE_ENV: 'production', JWT_SECRET: 'x'.repeat(32) }).status, 0);
+  });
+
+  await t.test('rejects unknown environments', () => {
+    assert.deepEqual(loadConfig({ NODE_ENV: 'staging' }).errors, [
+      'NODE_ENV must be one of: development, test, production (got "staging")'
+    ]);
+  });
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildConsistencyStats, startOfWeek } = require('../server/utils/consistency');
+const defaultPlan = require('../server/workout-plans/current-plan.json');
+
+const planScheduleModule = import('../shared/planSchedule.js');
+
+const days = (...dates) => dates.map(date => ({ date, workouts: 1 }));
+
+// Monday, Wednesday and Friday
+const threeDaysAWeek = date => [1, 3, 5].includes(new Date(`${date}T00:00:00Z`).getUTCDay());
+
+test('weeks start on Monday', () => {
+  assert.equal(startOfWeek('2025-01-06'), '2025-01-06');
+  assert.equal(startOfWeek('2025-01-12'), '2025-01-06');
+  assert.equal(startOfWeek('2025-01-01'), '2024-12-30');
+});
+
+test('days off the plan do not break a streak', () => {
+  const stats = buildConsistencyStats({
+    workoutDays: days('2025-01-06', '2025-01-08', '2025-01-10', '2025-01-13'),
+    today: '2025-01-14',
+    isTrainingDay: threeDaysAWeek
+  });
+
+  assert.deepEqual(stats.currentStreak, {
+    days: 4,
+    startDate: '2025-01-06',
+    lastWorkoutDate: '2025-01-13'
+  });
+  assert.deepEqual(stats.longestStreak, { days: 4, startDate: '2025-01-06', endDate: '2025-01-13' });
+});
+
+test('a missed training day ends the streak', () => {
+  const stats = buildConsistencyStats({
+    workoutDays: days('2025-01-06', '2025-01-08', '2025-01-13'),
+    today: '2025-01-13',
+    isTrainingDay: threeDaysAWeek
+  });
+
+  assert.equal(stats.currentStreak.days, 1);
+  assert.equal(stats.currentStreak.startDate, '2025-01-13');
+  assert.equal(stats.longestStreak.days, 2);
+});
+
+test('today only counts once it has a workout', () => {
+  const stats = buildConsistencyStats({
+    workoutDays: days('2025-01-06', '2025-01-08'),
+    today: '2025-01-10',
+    isTrainingDay: threeDaysAWeek,
+    planStartDate: '2025-01-06'
+  });
+
+  assert.equal(stats.currentStreak.days, 2);
+  assert.equal(stats.adherence.scheduledDays, 2);
+  assert.equal(stats.adherence.missedDays, 0);
+});
+
+test('rotation plans allow one day off in a row', () => {
+  const stats = buildConsistencyStats({
+    workoutDays: days('2025-01-06', '2025-01-08', '2025-01-09', '2025-01-12'),
+    today: '2025-01-12',
+    isTrainingDay: null
+  });
+
+  assert.equal(stats.longestStreak.days, 3);
+  assert.equal(stats.currentStreak.days, 1);
+  assert.equal(stats.adherence, null);
+});
+
+test('adherence counts scheduled days done, and extra sessions apart', () => {
+  const stats = buildConsistencyStats({
+    workoutDays: days('2025-01-06', '2025-01-07', '2025-01-10'),
+    today: '2025-01-12',
+    isTrainingDay: threeDaysAWeek,
+    planStartDate: '2025-01-06'
+  });
+
+  assert.deepEqual(stats.adherence, {
+    from: '2025-01-06',
+    to: '2025-01-12',
+    scheduledDays: 3,
+    completedDays: 2,
+    missedDays: 1,
+    extraDays: 1,
+    rate: 67
+  });
+});
+
+test('totals and per-week counts include every workout on a day', () => {
+  const stats = buildConsistencyStats({
+    workoutDays: [
+      { date: '2025-01-06', workouts: 2 },
+      { date: '2025-01-15', workouts: 1 }
+    ],
+    today: '2025-01-15',
+    isTrainingDay: threeDaysAWeek,
+    weeks: 2,
+    months: 1
+  });
+
+  assert.deepEqual(stats.totals, { workouts: 3, trainingDays: 2, thisWeek: 1, thisMonth: 3 });
+  assert.deepEqual(stats.perWeek, [
+    { weekStart: '2025-01-06', workouts: 2 },
+    { weekStart: '2025-01-13', workouts: 1 }
+  ]);
+  assert.deepEqual(stats.perMonth, [{ month: '2025-01', workouts: 3 }]);
+});
+
+test('no workouts means no streak', () => {
+  const stats = buildConsistencyStats({ workoutDays: [], today: '2025-01-15', isTrainingDay: threeDaysAWeek });
+
+  assert.equal(stats.currentStreak.days, 0);
+  assert.equal(stats.longestStreak.days, 0);
+  assert.equal(stats.totals.workouts, 0);
+});
+
+test('the default plan\'s rest days do not break a streak', async () => {
+  const { isTrainingDay } = await planScheduleModule;
+
+  // Monday 6th to Monday 13th, skipping the Wednesday and Sunday rest days
+  const stats = buildConsistencyStats({
+    workoutDays: days(
+      '2025-01-06',
+      '2025-01-07',
+      '2025-01-09',
+      '2025-01-10',
+      '2025-01-11',
+      '2025-01-13'
+    ),
+    today: '2025-01-13',
+    isTrainingDay: date => isTrainingDay(defaultPlan, null, date)
+  });
+
+  assert.equal(stats.currentStreak.days, 6);
+  assert.equal(stats.currentStreak.startDate, '2025-01-06');
+});
+
+test('skipping a training day of the default plan ends the streak', async () => {
+  const { isTrainingDay } = await planScheduleModule;
+
+  const stats = buildConsistencyStats({
+    workoutDays: days('2025-01-06', '2025-01-07', '2025-01-10', '2025-01-11'),
+    today: '2025-01-11',
+    isTrainingDay: date => isTrainingDay(defaultPlan, null, date)
+  });
+
+  assert.equal(stats.currentStreak.days, 2);
+  assert.equal(stats.currentStreak.startDate, '2025-01-10');
+});
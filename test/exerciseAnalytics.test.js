@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildExerciseAnalytics, estimateOneRepMax } = require('../server/utils/exerciseAnalytics');
+
+// Set rows as the analytics query returns them, oldest first
+const repSet = (workoutId, date, weight, reps) => ({
+  workout_id: workoutId,
+  date,
+  name: 'Bench Press',
+  type: 'reps',
+  weight,
+  reps,
+  time: null
+});
+
+const holdSet = (workoutId, date, time) => ({
+  workout_id: workoutId,
+  date,
+  name: 'Plank',
+  type: 'time',
+  weight: null,
+  reps: null,
+  time
+});
+
+test('a single rep is its own one-rep max', () => {
+  assert.equal(estimateOneRepMax(200, 1), 200);
+  assert.equal(estimateOneRepMax(150, 10), 200);
+});
+
+test('nothing logged means nothing to report', () => {
+  assert.equal(buildExerciseAnalytics([]), null);
+});
+
+test('rep sessions report the top set, volume and estimated 1RM', () => {
+  const analytics = buildExerciseAnalytics([
+    repSet(1, '2025-01-06', 135, 8),
+    repSet(1, '2025-01-06', 145, 5),
+    repSet(2, '2025-01-08', 145, 6),
+    repSet(2, '2025-01-08', null, null)
+  ]);
+
+  assert.equal(analytics.type, 'reps');
+  assert.deepEqual(
+    analytics.sessions.map(session => [session.date, session.sets, session.topSetWeight, session.volume]),
+    [
+      ['2025-01-06', 2, 145, 1805],
+      ['2025-01-08', 1, 145, 870]
+    ]
+  );
+  assert.equal(analytics.sessions[1].estimatedOneRepMax, 174);
+  assert.equal(analytics.summary.bestTopSetWeight, 145);
+  assert.deepEqual(analytics.summary.repRecords, [
+    { weight: 135, reps: 8, date: '2025-01-06' },
+    { weight: 145, reps: 6, date: '2025-01-08' }
+  ]);
+});
+
+test('bodyweight sets count toward reps but not weight numbers', () => {
+  const [session] = buildExerciseAnalytics([
+    repSet(1, '2025-01-06', null, 12),
+    repSet(1, '2025-01-06', 0, 10)
+  ]).sessions;
+
+  assert.equal(session.totalReps, 22);
+  assert.equal(session.topSetWeight, null);
+  assert.equal(session.estimatedOneRepMax, null);
+  assert.equal(session.volume, 0);
+});
+
+test('the latest session decides the type, and sets of the other type are left out', () => {
+  const analytics = buildExerciseAnalytics([
+    { ...repSet(1, '2025-01-06', null, 30), name: 'Plank' },
+    holdSet(2, '2025-01-08', 45),
+    holdSet(2, '2025-01-08', 60)
+  ]);
+
+  assert.equal(analytics.type, 'time');
+  assert.deepEqual(analytics.summary, { sessions: 1, longestHold: 60, totalTime: 105 });
+});
@@ -0,0 +1,50 @@
+// Shared setup for the API tests: an app on a fresh in-memory database,
+// listening on a free port, with a small JSON client for it
+const { once } = require('events');
+const { createDatabase } = require('../server/models/database');
+const { createApp } = require('../server.js');
+
+const startTestServer = async () => {
+  const database = createDatabase(':memory:');
+  await database.initialize();
+
+  const server = createApp(database).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  const baseUrl = `http://127.0.0.1:${server.address().port}/api`;
+
+  // Resolves with { status, body } whatever the status
+  const request = async (method, path, { body, token } = {}) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  // Register a user and resolve with their access token
+  const registerUser = async (username = 'tester', password = 'password123') => {
+    const { status, body } = await request('POST', '/auth/register', {
+      body: { username, password }
+    });
+    if (status !== 201) {
+      throw new Error(`Could not register ${username}: ${body.error}`);
+    }
+    return body.token;
+  };
+
+  const stop = async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await database.close();
+  };
+
+  return { database, request, registerUser, stop };
+};
+
+module.exports = {
+  startTestServer
+};
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createLoginThrottle } = require('../server/utils/loginThrottle');
+const { startTestServer } = require('./helpers');
+
+const MINUTE = 60 * 1000;
+
+// A throttle on a clock the test moves by hand
+const createClockedThrottle = () => {
+  const clock = { time: Date.UTC(2025, 0, 6) };
+  const throttle = createLoginThrottle({ now: () => clock.time });
+  return { clock, throttle };
+};
+
+const fail = (throttle, times, ip = '10.0.0.1', username = 'alice') => {
+  for (let i = 0; i < times; i += 1) {
+    throttle.recordFailure(ip, username);
+  }
+};
+
+test('the first few failures are free', () => {
+  const { throttle } = createClockedThrottle();
+
+  fail(throttle, 3);
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'alice'), 0);
+});
+
+test('each failure after that doubles the wait', () => {
+  const { throttle } = createClockedThrottle();
+
+  fail(throttle, 4);
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'alice'), 2);
+  fail(throttle, 1);
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'alice'), 4);
+  fail(throttle, 1);
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'alice'), 8);
+});
+
+test('ten failures lock the username for 15 minutes from any address', () => {
+  const { clock, throttle } = createClockedThrottle();
+
+  for (let i = 0; i < 10; i += 1) {
+    throttle.recordFailure(`10.0.0.${i}`, 'alice');
+  }
+  assert.equal(throttle.getRetryAfter('192.168.1.1', 'alice'), 15 * 60);
+  assert.equal(throttle.getRetryAfter('192.168.1.1', 'bob'), 0);
+
+  clock.time += 15 * MINUTE;
+  assert.equal(throttle.getRetryAfter('192.168.1.1', 'alice'), 0);
+});
+
+test('usernames are matched case-insensitively', () => {
+  const { throttle } = createClockedThrottle();
+
+  fail(throttle, 4, '10.0.0.1', 'Alice');
+  assert.equal(throttle.getRetryAfter('10.0.0.2', ' alice '), 2);
+});
+
+test('one address guessing many usernames is throttled too', () => {
+  const { throttle } = createClockedThrottle();
+
+  for (let i = 0; i < 11; i += 1) {
+    throttle.recordFailure('10.0.0.1', `user${i}`);
+  }
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'someone-else'), 2);
+  assert.equal(throttle.getRetryAfter('10.0.0.2', 'someone-else'), 0);
+});
+
+test('a correct password clears the username but not the address', () => {
+  const { throttle } = createClockedThrottle();
+
+  // The last attempt is the one that succeeded
+  fail(throttle, 12);
+  throttle.recordSuccess('10.0.0.1', 'alice');
+  assert.equal(throttle.getRetryAfter('10.0.0.2', 'alice'), 0);
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'bob'), 2);
+});
+
+test('successful logins do not add up against an address', () => {
+  const { throttle } = createClockedThrottle();
+
+  for (let i = 0; i < 20; i += 1) {
+    throttle.recordFailure('10.0.0.1', `user${i}`);
+    throttle.recordSuccess('10.0.0.1', `user${i}`);
+  }
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'someone-else'), 0);
+});
+
+test('failures are forgotten after an hour of quiet', () => {
+  const { clock, throttle } = createClockedThrottle();
+
+  fail(throttle, 3);
+  clock.time += 61 * MINUTE;
+  fail(throttle, 1);
+  assert.equal(throttle.getRetryAfter('10.0.0.1', 'alice'), 0);
+});
+
+test('POST /auth/login throttles guesses sent side by side', async t => {
+  const app = await startTestServer();
+  t.after(() => app.stop());
+  await app.registerUser('alice');
+
+  const guesses = await Promise.all(
+    Array.from({ length: 6 }, () =>
+      app.request('POST', '/auth/login', { body: { username: 'alice', password: 'wrong-guess' } })
+    )
+  );
+
+  // Three free attempts, then the fourth starts a wait that stops the rest
+  assert.deepEqual(guesses.map(guess => guess.status).sort(), [401, 401, 401, 401, 429, 429]);
+
+  const login = await app.request('POST', '/auth/login', {
+    body: { username: 'alice', password: 'password123' }
+  });
+  assert.equal(login.status, 429);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase } = require('../server/models/database');
+const {
+  loadMigrations,
+  runMigrations,
+  getMigrationStatus
+} = require('../server/migrations');
+
+const openDatabase = async () => {
+  const database = createDatabase(':memory:');
+  await database.ready;
+  return database;
+};
+
+const tableExists = async (database, name) =>
+  Boolean(
+    await database.get(
+      "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+      [name]
+    )
+  );
+
+test('migrations are numbered 1, 2, 3... without gaps', () => {
+  const versions = loadMigrations().map(migration => migration.version);
+  assert.deepEqual(
+    versions,
+    versions.map((_, index) => index + 1)
+  );
+});
+
+test('a fresh database gets every migration once', async t => {
+  const database = await openDatabase();
+  t.after(() => database.close());
+
+  const applied = await runMigrations(database);
+  assert.equal(applied.length, loadMigrations().length);
+  assert.deepEqual(await runMigrations(database), []);
+
+  const status = await getMigrationStatus(database);
+  assert.ok(status.every(migration => migration.applied));
+  for (const table of ['users', 'workouts', 'workout_exercises', 'workout_sets', 'personal_records', 'goals', 'sessions']) {
+    assert.ok(await tableExists(database, table), `${table} should exist`);
+  }
+});
+
+test('workouts saved as JSON are moved into the exercise and set tables', async t => {
+  const database = await openDatabase();
+  t.after(() => database.close());
+
+  const migrations = loadMigrations();
+  await runMigrations(database, migrations.filter(migration => migration.version === 1));
+
+  await database.run("INSERT INTO users (username, password_hash) VALUES ('old', 'hash')");
+  await database.run('INSERT INTO workouts (user_id, date, workout_data) VALUES (1, ?, ?)', [
+    '2025-01-06',
+    JSON.stringify({
+      workoutName: 'Push Day',
+      exercises: [
+        { name: 'Bench Press', sets: [{ reps: '5', weight: '135' }, { reps: '', weight: '' }] },
+        { sets: [{ time: '30' }], notes: 'no name' }
+      ]
+    })
+  ]);
+
+  await runMigrations(database, migrations);
+
+  const [workout] = await database.getWorkoutsByUser(1);
+  assert.equal(workout.workout_data.workoutName, 'Push Day');
+  assert.deepEqual(workout.workout_data.exercises, [
+    { name: 'Bench Press', type: 'reps', sets: [{ reps: 5, weight: 135 }, {}], notes: '' },
+    { name: 'Unnamed Exercise', type: 'time', sets: [{ time: 30 }], notes: 'no name' }
+  ]);
+});
+
+test('a failing migration is rolled back and not recorded', async t => {
+  const database = await openDatabase();
+  t.after(() => database.close());
+
+  const broken = {
+    version: 99,
+    name: 'broken',
+    file: '099_broken.js',
+    module: {
+      async up(db) {
+        await db.run('CREATE TABLE half_done (id INTEGER)');
+        throw new Error('something went wrong');
+      }
+    }
+  };
+
+  await assert.rejects(runMigrations(database, [broken]), /099_broken\.js failed: something went wrong/);
+  assert.equal(await tableExists(database, 'half_done'), false);
+  assert.deepEqual(await getMigrationStatus(database, [broken]), [
+    { version: 99, name: 'broken', applied: false, appliedAt: null }
+  ]);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { findPersonalRecords } = require('../server/utils/personalRecords');
+
+const set = (weight, reps) => ({ weight, reps, time: null });
+const hold = time => ({ weight: null, reps: null, time });
+
+const recordTypes = records => records.map(record => record.type);
+
+test('the first session of an exercise is never a record', () => {
+  assert.deepEqual(findPersonalRecords('reps', [set(135, 5)], []), []);
+  assert.deepEqual(findPersonalRecords('time', [hold(60)], []), []);
+});
+
+test('a heavier top set is a weight and estimated 1RM record', () => {
+  const records = findPersonalRecords('reps', [set(145, 5), set(135, 8)], [set(135, 5)]);
+
+  assert.deepEqual(records.find(record => record.type === 'heaviest_weight'), {
+    type: 'heaviest_weight',
+    value: 145,
+    previousValue: 135,
+    weight: 145,
+    reps: 5
+  });
+  assert.ok(recordTypes(records).includes('estimated_1rm'));
+});
+
+test('more reps at a weight done before is a rep record', () => {
+  const records = findPersonalRecords('reps', [set(135, 7)], [set(135, 5), set(145, 3)]);
+
+  assert.deepEqual(records, [
+    { type: 'estimated_1rm', value: 166.5, previousValue: 159.5, weight: 135, reps: 7 },
+    { type: 'most_reps', value: 7, previousValue: 5, weight: 135, reps: 7 }
+  ]);
+});
+
+test('reps at a new weight have nothing to beat', () => {
+  const records = findPersonalRecords('reps', [set(125, 10)], [set(135, 5)]);
+  assert.equal(recordTypes(records).includes('most_reps'), false);
+});
+
+test('bodyweight sets only compete on reps', () => {
+  const records = findPersonalRecords('reps', [set(null, 12)], [set(null, 10)]);
+  assert.deepEqual(records, [
+    { type: 'most_reps', value: 12, previousValue: 10, weight: null, reps: 12 }
+  ]);
+});
+
+test('matching a previous best is not a record', () => {
+  assert.deepEqual(findPersonalRecords('reps', [set(135, 5)], [set(135, 5)]), []);
+  assert.deepEqual(findPersonalRecords('time', [hold(60)], [hold(60)]), []);
+});
+
+test('a longer hold is a time record', () => {
+  assert.deepEqual(findPersonalRecords('time', [hold(75), hold(50)], [hold(60)]), [
+    { type: 'longest_hold', value: 75, previousValue: 60, weight: null, reps: null }
+  ]);
+});
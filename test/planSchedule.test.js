@@ -0,0 +1,107 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const planScheduleModule = import('../shared/planSchedule.js');
+
+const day = name => ({ name, exercises: [] });
+
+const blockPlan = (options = {}) => ({
+  name: 'Block',
+  weeks: [
+    { name: 'Base', schedule: { monday: day('A') } },
+    { schedule: { monday: day('B') } },
+    { name: 'Deload', schedule: { monday: day('C') } }
+  ],
+  ...options
+});
+
+test('tells the plan types apart', async () => {
+  const { getPlanType } = await planScheduleModule;
+
+  assert.equal(getPlanType({ schedule: {} }), 'weekly');
+  assert.equal(getPlanType({ weeks: [] }), 'weeks');
+  assert.equal(getPlanType({ rotation: [] }), 'rotation');
+  assert.equal(getPlanType(null), 'weekly');
+});
+
+test('a weekly plan is one repeating week', async () => {
+  const { getPlanWeeks, getProgramWeek } = await planScheduleModule;
+  const plan = { name: 'Weekly', schedule: { monday: day('A') } };
+
+  assert.deepEqual(getPlanWeeks(plan), [{ name: 'Weekly', schedule: plan.schedule }]);
+  const week = getProgramWeek(plan, null, '2025-06-18');
+  assert.equal(week.number, 1);
+  assert.equal(week.total, 1);
+  assert.equal(week.schedule, plan.schedule);
+});
+
+test('weeks of a program run Monday to Sunday from the start date', async () => {
+  const { getProgramWeek } = await planScheduleModule;
+  const plan = blockPlan();
+
+  // 2025-01-08 is a Wednesday, so week 1 began on Monday 2025-01-06
+  assert.equal(getProgramWeek(plan, '2025-01-08', '2025-01-06').number, 1);
+  assert.equal(getProgramWeek(plan, '2025-01-08', '2025-01-12').number, 1);
+  assert.equal(getProgramWeek(plan, '2025-01-08', '2025-01-13').number, 2);
+  assert.equal(getProgramWeek(plan, '2025-01-08', '2025-01-13').name, 'Week 2');
+  assert.equal(getProgramWeek(plan, '2025-01-08', '2025-01-20').name, 'Deload');
+});
+
+test('programs repeat after their last week unless repeat is false', async () => {
+  const { getProgramWeek } = await planScheduleModule;
+
+  const repeating = getProgramWeek(blockPlan(), '2025-01-06', '2025-01-27');
+  assert.equal(repeating.number, 1);
+  assert.equal(repeating.cycle, 2);
+  assert.equal(repeating.completed, false);
+
+  const finished = getProgramWeek(blockPlan({ repeat: false }), '2025-01-06', '2025-03-03');
+  assert.equal(finished.number, 3);
+  assert.equal(finished.completed, true);
+});
+
+test('dates before the start serve week 1 and are flagged', async () => {
+  const { getProgramWeek } = await planScheduleModule;
+
+  const week = getProgramWeek(blockPlan(), '2025-01-20', '2025-01-06');
+  assert.equal(week.number, 1);
+  assert.equal(week.notStarted, true);
+});
+
+test('rotations continue after the last completed day, moved by skips', async () => {
+  const { getNextRotationIndex } = await planScheduleModule;
+  const plan = { rotation: [day('A'), day('B'), day('C')] };
+
+  assert.equal(getNextRotationIndex(plan, null), 0);
+  assert.equal(getNextRotationIndex(plan, 0), 1);
+  assert.equal(getNextRotationIndex(plan, 2), 0);
+  assert.equal(getNextRotationIndex(plan, 0, 1), 2);
+  assert.equal(getNextRotationIndex(plan, null, -1), 2);
+});
+
+test('rest days are marked, named "Rest Day" or empty', async () => {
+  const { isRestDay } = await planScheduleModule;
+  const walk = { name: 'Light Walk', type: 'time', sets: 1 };
+
+  assert.equal(isRestDay(undefined), true);
+  assert.equal(isRestDay(day('Push Day')), true);
+  assert.equal(isRestDay({ name: 'Recovery', rest: true, exercises: [walk] }), true);
+  assert.equal(isRestDay({ name: 'Rest Day', exercises: [walk] }), true);
+  assert.equal(isRestDay({ name: 'Rest Day', rest: false, exercises: [walk] }), false);
+  assert.equal(isRestDay({ name: 'Cardio', exercises: [walk] }), false);
+});
+
+test('training days follow the week of the plan', async () => {
+  const { isTrainingDay } = await planScheduleModule;
+  const squat = { name: 'Squat', type: 'reps', sets: 5 };
+  const plan = {
+    weeks: [
+      { schedule: { monday: { name: 'Legs', exercises: [squat] } } },
+      { schedule: { monday: { name: 'Deload', rest: true, exercises: [squat] } } }
+    ]
+  };
+
+  assert.equal(isTrainingDay(plan, '2025-01-06', '2025-01-06'), true);
+  assert.equal(isTrainingDay(plan, '2025-01-06', '2025-01-07'), false);
+  assert.equal(isTrainingDay(plan, '2025-01-06', '2025-01-13'), false);
+});
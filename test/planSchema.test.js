@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const planSchemaModule = import('../shared/planSchema.js');
+
+const pushDay = {
+  name: 'Push Day',
+  exercises: [
+    { name: 'Bench Press', type: 'reps', sets: 3, target_reps: '8-12' },
+    { name: 'Plank', type: 'time', sets: 3, target_time: '60s' }
+  ]
+};
+
+const errorMessages = (validateWorkoutPlan, formatPlanError, plan) =>
+  validateWorkoutPlan(plan).errors.map(formatPlanError);
+
+test('accepts weekly, multi-week and rotation plans', async () => {
+  const { validateWorkoutPlan } = await planSchemaModule;
+
+  const plans = [
+    { name: 'Weekly', schedule: { monday: pushDay } },
+    {
+      name: 'Block',
+      start_date: '2025-01-06',
+      repeat: false,
+      weeks: [{ schedule: { monday: pushDay } }, { name: 'Deload', schedule: { friday: pushDay } }]
+    },
+    { name: 'Rotation', rotation: [pushDay, { name: 'Legs', exercises: [] }] }
+  ];
+  plans.forEach(plan => assert.deepEqual(validateWorkoutPlan(plan), { valid: true, errors: [] }));
+});
+
+test('the default plan and every template are valid', async () => {
+  const { validateWorkoutPlan, formatPlanError } = await planSchemaModule;
+  const plansDir = path.join(__dirname, '../server/workout-plans');
+  const templatesDir = path.join(plansDir, 'templates');
+
+  const plans = [
+    ['current-plan.json', JSON.parse(fs.readFileSync(path.join(plansDir, 'current-plan.json')))],
+    ...fs.readdirSync(templatesDir).map(file => [
+      file,
+      JSON.parse(fs.readFileSync(path.join(templatesDir, file))).plan
+    ])
+  ];
+  plans.forEach(([file, plan]) =>
+    assert.deepEqual(errorMessages(validateWorkoutPlan, formatPlanError, plan), [], file)
+  );
+});
+
+test('reports each problem with the path to it', async () => {
+  const { validateWorkoutPlan, formatPlanError } = await planSchemaModule;
+
+  const plan = {
+    name: '',
+    schedule: {
+      funday: pushDay,
+      monday: {
+        name: 'Push',
+        exercises: [{ name: 'Bench', type: 'weight', sets: 0 }]
+      }
+    },
+    start_date: '2025-02-30'
+  };
+  assert.deepEqual(errorMessages(validateWorkoutPlan, formatPlanError, plan), [
+    'name must not be empty',
+    'schedule.funday is not a valid key. Use: monday, tuesday, wednesday, thursday, friday, saturday, sunday',
+    'schedule.monday.exercises[0].type must be one of: reps, time',
+    'schedule.monday.exercises[0].sets must be at least 1',
+    'start_date must be a date in YYYY-MM-DD format'
+  ]);
+});
+
+test('a plan needs exactly one of schedule, weeks and rotation', async () => {
+  const { validateWorkoutPlan, formatPlanError } = await planSchemaModule;
+  const message = 'Workout plan must have exactly one of: schedule, weeks, rotation';
+
+  assert.deepEqual(errorMessages(validateWorkoutPlan, formatPlanError, { name: 'Empty' }), [message]);
+  assert.deepEqual(
+    errorMessages(validateWorkoutPlan, formatPlanError, {
+      name: 'Both',
+      schedule: { monday: pushDay },
+      rotation: [pushDay]
+    }),
+    [message]
+  );
+});
+
+test('rejects values of the wrong type', async () => {
+  const { validateWorkoutPlan, formatPlanError } = await planSchemaModule;
+
+  assert.deepEqual(errorMessages(validateWorkoutPlan, formatPlanError, []), ['Workout plan must be a object']);
+  assert.deepEqual(
+    errorMessages(validateWorkoutPlan, formatPlanError, {
+      name: 'Bad',
+      rotation: [{ name: 'Day', exercises: 'squats' }]
+    }),
+    ['rotation[0].exercises must be a array']
+  );
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+test('login sessions', async t => {
+  const app = await startTestServer();
+  t.after(() => app.stop());
+  await app.registerUser('tester', 'password123');
+
+  // Each login is a new device with its own session
+  const login = async () =>
+    (
+      await app.request('POST', '/auth/login', {
+        body: { username: 'tester', password: 'password123' }
+      })
+    ).body;
+
+  const refresh = refreshToken => app.request('POST', '/auth/refresh', { body: { refreshToken } });
+
+  const currentSessionId = async token =>
+    (await app.request('GET', '/auth/sessions', { token })).body.sessions.find(
+      session => session.current
+    ).id;
+
+  const canUse = async token => (await app.request('GET', '/auth/me', { token })).status === 200;
+
+  await t.test('refreshing rotates the token and rejects the old one', async () => {
+    const device = await login();
+
+    const first = await refresh(device.refreshToken);
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, device.refreshToken);
+    assert.ok(await canUse(first.body.token));
+
+    const replay = await refresh(device.refreshToken);
+    assert.equal(replay.status, 401);
+    assert.equal(replay.body.error, 'Invalid refresh token');
+
+    // Within the grace period the session survives the replay
+    assert.equal((await refresh(first.body.refreshToken)).status, 200);
+  });
+
+  await t.test('reusing a replaced token after the grace period revokes the session', async () => {
+    const device = await login();
+    const rotated = (await refresh(device.refreshToken)).body;
+
+    await app.database.run(
+      "UPDATE sessions SET rotated_at = datetime('now', '-31 seconds') WHERE id = ?",
+      [await currentSessionId(rotated.token)]
+    );
+
+    assert.equal((await refresh(device.refreshToken)).status, 401);
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal(await canUse(rotated.token), false);
+  });
+
+  await t.test('signing a device out locks it out straight away', async () => {
+    const phone = await login();
+    const laptop = await login();
+
+    const phoneSessionId = await currentSessionId(phone.token);
+    const { status } = await app.request('DELETE', `/auth/sessions/${phoneSessionId}`, {
+      token: laptop.token
+    });
+
+    assert.equal(status, 200);
+    assert.equal(await canUse(phone.token), false);
+    assert.equal((await refresh(phone.refreshToken)).status, 401);
+    assert.ok(await canUse(laptop.token));
+  });
+
+  await t.test('a logged out refresh token no longer refreshes', async () => {
+    const device = await login();
+
+    const { status } = await app.request('POST', '/auth/logout', {
+      body: { refreshToken: device.refreshToken }
+    });
+
+    assert.equal(status, 200);
+    assert.equal((await refresh(device.refreshToken)).status, 401);
+    assert.equal(await canUse(device.token), false);
+  });
+});
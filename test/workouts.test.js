@@ -0,0 +1,335 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers');
+
+const completion = (overrides = {}) => ({
+  date: '2025-01-06',
+  workout: { name: 'Push Day' },
+  exercises: [
+    { name: 'Bench Press', type: 'reps', sets: [{ reps: '5', weight: '135' }], notes: '' }
+  ],
+  ...overrides
+});
+
+test('POST /workouts/complete', async t => {
+  const app = await startTestServer();
+  t.after(() => app.stop());
+  const token = await app.registerUser();
+
+  const history = async (userToken = token) =>
+    (await app.request('GET', '/workouts/history', { token: userToken })).body.workouts;
+
+  await t.test('requires a login', async () => {
+    const { status } = await app.request('POST', '/workouts/complete', { body: completion() });
+    assert.equal(status, 401);
+  });
+
+  await t.test('saves the workout with numeric sets', async () => {
+    const { status, body } = await app.request('POST', '/workouts/complete', {
+      body: completion(),
+      token
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.replayed, false);
+    assert.deepEqual(body.workout.workoutData.exercises[0].sets, [{ reps: 5, weight: 135 }]);
+    assert.equal((await history()).length, 1);
+  });
+
+  await t.test('a repeated idempotency key returns the first save', async () => {
+    const body = completion({ idempotencyKey: 'retry-key' });
+    const first = await app.request('POST', '/workouts/complete', { body, token });
+    const retry = await app.request('POST', '/workouts/complete', { body, token });
+
+    assert.equal(first.body.replayed, false);
+    assert.equal(retry.status, 200);
+    assert.equal(retry.body.replayed, true);
+    assert.equal(retry.body.message, 'Workout already saved');
+    assert.deepEqual(retry.body.workout, first.body.workout);
+    assert.deepEqual(retry.body.personalRecords, first.body.personalRecords);
+    assert.equal((await history()).length, 2);
+  });
+
+  await t.test('concurrent requests with one key save one workout', async () => {
+    const body = completion({ idempotencyKey: 'double-tap' });
+    const responses = await Promise.all([
+      app.request('POST', '/workouts/complete', { body, token }),
+      app.request('POST', '/workouts/complete', { body, token })
+    ]);
+
+    assert.deepEqual(responses.map(response => response.status), [200, 200]);
+    assert.deepEqual(responses.map(response => response.body.replayed).sort(), [false, true]);
+    assert.equal(responses[0].body.workout.id, responses[1].body.workout.id);
+    assert.equal((await history()).length, 3);
+  });
+
+  await t.test('keys belong to one user', async () => {
+    const otherToken = await app.registerUser('other');
+    const { body } = await app.request('POST', '/workouts/complete', {
+      body: completion({ idempotencyKey: 'retry-key' }),
+      token: otherToken
+    });
+
+    assert.equal(body.replayed, false);
+    assert.equal((await history(otherToken)).length, 1);
+  });
+
+  await t.test('rejects dates that are not calendar days', async () => {
+    for (const date of ['yesterday', '2025-02-30', '2025-1-6']) {
+      const response = await app.request('POST', '/workouts/complete', {
+        body: completion({ date }),
+        token
+      });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, 'Date must be in YYYY-MM-DD format');
+    }
+    assert.equal((await history()).length, 3);
+  });
+
+  await t.test('rejects malformed exercises', async () => {
+    const cases = [
+      [{ name: 'Bench Press' }, 'Exercises must be a list'],
+      [[{ sets: [] }], 'Exercise 1 needs a name'],
+      [[{ name: 'Bench Press', sets: 'lots' }], 'Sets of "Bench Press" must be a list of sets']
+    ];
+
+    for (const [exercises, error] of cases) {
+      const response = await app.request('POST', '/workouts/complete', {
+        body: completion({ exercises }),
+        token
+      });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, error);
+    }
+  });
+});
+
+test('a failing goal check does not fail a saved workout', async t => {
+  const app = await startTestServer();
+  t.after(() => app.stop());
+  const token = await app.registerUser();
+
+  app.database.getGoals = async () => {
+    throw new Error('goal lookup failed');
+  };
+  const { status, body } = await app.request('POST', '/workouts/complete', {
+    body: completion(),
+    token
+  });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.completedGoals, []);
+  assert.ok(await app.database.getWorkoutById(body.workout.id, body.workout.userId));
+});
+
+test('editing or deleting a workout', async t => {
+  const app = await startTestServer();
+  t.after(() => app.stop());
+  const token = await app.registerUser();
+
+  const benchAt = (date, weight) =>
+    completion({
+      date,
+      exercises: [{ name: 'Bench Press', type: 'reps', sets: [{ reps: '5', weight }] }]
+    });
+
+  const save = async (date, weight) =>
+    (await app.request('POST', '/workouts/complete', { body: benchAt(date, weight), token })).body;
+
+  const heaviest = async workoutId =>
+    (await app.database.getWorkoutPersonalRecords(workoutId)).find(
+      record => record.type === 'heaviest_weight'
+    );
+
+  const first = await save('2025-01-06', '135');
+  const second = await save('2025-01-08', '145');
+  const third = await save('2025-01-10', '150');
+
+  await t.test('rebuilds the records of later sessions', async () => {
+    assert.equal((await heaviest(third.workout.id)).previousValue, 145);
+
+    const { status } = await app.request('PUT', `/workouts/${second.workout.id}`, {
+      body: benchAt('2025-01-08', '13.5'),
+      token
+    });
+
+    assert.equal(status, 200);
+    assert.equal(await heaviest(second.workout.id), undefined);
+    assert.equal((await heaviest(third.workout.id)).previousValue, 135);
+  });
+
+  await t.test('rebuilds later records when a workout is deleted', async () => {
+    await app.request('POST', '/workouts/delete', { body: { workoutId: first.workout.id }, token });
+
+    // 13.5 is now the first session, so 150 beats it
+    assert.equal((await heaviest(third.workout.id)).previousValue, 13.5);
+  });
+
+  await t.test('reopens goals that only the deleted workout met', async () => {
+    const { body } = await app.request('POST', '/goals', {
+      body: {
+        type: 'strength',
+        exercise: 'Bench Press',
+        targetWeight: 200,
+        targetReps: 5,
+        startDate: '2025-01-01'
+      },
+      token
+    });
+    const heavy = await save('2025-01-12', '200');
+    assert.deepEqual(heavy.completedGoals.map(goal => goal.id), [body.goal.id]);
+
+    await app.request('POST', '/workouts/delete', { body: { workoutId: heavy.workout.id }, token });
+
+    const goal = (await app.request('GET', '/goals', { token })).body.goals.find(
+      ({ id }) => id === body.goal.id
+    );
+    assert.equal(goal.completedAt, null);
+    assert.equal(goal.progress.met, false);
+  });
+
+  await t.test('reopens and completes goals the edit changes', async () => {
+    const { body } = await app.request('POST', '/goals', {
+      body: {
+        type: 'strength',
+        exercise: 'Bench Press',
+        targetWeight: 140,
+        targetReps: 5,
+        startDate: '2025-01-01'
+      },
+      token
+    });
+    const goalId = body.goal.id;
+    const goalCompletedAt = async () =>
+      (await app.request('GET', '/goals', { token })).body.goals.find(goal => goal.id === goalId)
+        .completedAt;
+
+    const resaved = await app.request('PUT', `/workouts/${third.workout.id}`, {
+      body: benchAt('2025-01-10', '150'),
+      token
+    });
+    assert.deepEqual(resaved.body.completedGoals.map(goal => goal.id), [goalId]);
+
+    const lowered = await app.request('PUT', `/workouts/${third.workout.id}`, {
+      body: benchAt('2025-01-10', '130'),
+      token
+    });
+    assert.deepEqual(lowered.body.completedGoals, []);
+    assert.equal(await goalCompletedAt(), null);
+
+    const raised = await app.request('PUT', `/workouts/${second.workout.id}`, {
+      body: benchAt('2025-01-08', '140'),
+      token
+    });
+    assert.deepEqual(raised.body.completedGoals.map(goal => goal.id), [goalId]);
+  });
+});
+
+test('a backdated workout rebuilds the records of later sessions', async t => {
+  const app = await startTestServer();
+  t.after(() => app.stop());
+  const token = await app.registerUser();
+
+  // The 250 session is logged after the 200 one but happened before it
+  const sessions = [
+    ['2025-01-05', '100'],
+    ['2025-01-10', '200'],
+    ['2025-01-08', '250']
+  ];
+  for (const [date, weight] of sessions) {
+    await app.request('POST', '/workouts/complete', {
+      body: completion({
+        date,
+        exercises: [{ name: 'Bench Press', type: 'reps', sets: [{ reps: '5', weight }] }]
+      }),
+      token
+    });
+  }
+
+  const { body } = await app.request('GET', '/records?type=heaviest_weight', { token });
+  assert.deepEqual(
+    body.records.map(record => [record.date, record.value, record.previousValue]),
+    [['2025-01-08', 250, 100]]
+  );
+});
+
+test('GET /workouts/history', async t => {
+  const app = await startTestServer();
+  t.after(() => app.stop());
+  const token = await app.registerUser();
+
+  // Two sessions share a day, so paging has to break ties
+  const sessions = [
+    ['2025-01-06', 'Push Day', 'Bench Press'],
+    ['2025-01-08', 'Pull Day', 'Barbell Row'],
+    ['2025-01-08', 'Legs 100%', 'Squat'],
+    ['2025-01-10', 'Push Day', 'Overhead Press'],
+    ['2025-01-12', 'Pull Day', 'Pull-ups']
+  ];
+  const ids = [];
+  for (const [date, name, exercise] of sessions) {
+    const { body } = await app.request('POST', '/workouts/complete', {
+      body: completion({
+        date,
+        workout: { name },
+        exercises: [{ name: exercise, type: 'reps', sets: [{ reps: '5', weight: '100' }] }]
+      }),
+      token
+    });
+    ids.push(body.workout.id);
+  }
+  const [push, pull, legs, press, pullups] = ids;
+
+  const history = query => app.request('GET', `/workouts/history${query}`, { token });
+
+  // Follow nextCursor to the end, collecting the workout IDs of each page
+  const allPages = async query => {
+    const pages = [];
+    let cursor = null;
+    do {
+      const { body } = await history(
+        cursor ? `${query}&cursor=${encodeURIComponent(cursor)}` : query
+      );
+      pages.push(body.workouts.map(workout => workout.id));
+      cursor = body.nextCursor;
+    } while (cursor);
+    return pages;
+  };
+
+  await t.test('pages through every workout once, newest first', async () => {
+    assert.deepEqual(await allPages('?limit=2'), [[pullups, press], [legs, pull], [push]]);
+  });
+
+  await t.test('the last page has no cursor', async () => {
+    const { body } = await history('?limit=5');
+    assert.equal(body.workouts.length, 5);
+    assert.equal(body.nextCursor, null);
+  });
+
+  await t.test('filters by date range, workout and exercise', async () => {
+    assert.deepEqual(await allPages('?limit=1&from=2025-01-08&to=2025-01-10'), [
+      [press],
+      [legs],
+      [pull]
+    ]);
+    assert.deepEqual(await allPages('?workout=pull'), [[pullups, pull]]);
+    assert.deepEqual(await allPages('?exercise=press'), [[press, push]]);
+    // % is matched literally, not as a wildcard
+    assert.deepEqual(await allPages('?workout=100%25'), [[legs]]);
+  });
+
+  await t.test('rejects bad limits, cursors and dates', async () => {
+    const cases = [
+      ['?limit=0', 'Limit must be between 1 and 50'],
+      ['?limit=51', 'Limit must be between 1 and 50'],
+      ['?cursor=not-a-cursor', 'Invalid history cursor'],
+      ['?from=Jan-8', 'Dates must be in YYYY-MM-DD format']
+    ];
+
+    for (const [query, error] of cases) {
+      const response = await history(query);
+      assert.equal(response.status, 400);
+      assert.equal(response.body.error, error);
+    }
+  });
+});